@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IRecoverableWallet {
+    function isSigner(address _account) external view returns (bool);
+    function execTransactionFromModule(address _target, uint256 _value, bytes memory _data) external returns (bytes memory);
+}
+
+/**
+ * @title GuardianRecovery
+ * @dev Wallet module that lets a set of guardians replace the signers of a MultiSigWallet
+ * whose signers can no longer reach their threshold. Guardians propose and approve a new
+ * signer set with their own threshold; once approved, it can only be applied after a long
+ * delay, during which any current signer can veto it. The signers enable the module with
+ * enableModule and manage the guardians through approved transactions to this contract.
+ */
+contract GuardianRecovery {
+    event GuardiansUpdated(address[] guardians, uint256 threshold, uint256 delay);
+    event RecoveryProposed(uint256 indexed recoveryId, address indexed guardian, address[] newSigners, uint256 newThreshold);
+    event RecoveryApproved(uint256 indexed recoveryId, address indexed guardian);
+    event RecoveryScheduled(uint256 indexed recoveryId, uint256 eta);
+    event RecoveryVetoed(uint256 indexed recoveryId, address indexed signer);
+    event RecoveryCancelVoted(uint256 indexed recoveryId, address indexed guardian);
+    event RecoveryCancelled(uint256 indexed recoveryId);
+    event RecoveryExecuted(uint256 indexed recoveryId);
+
+    // Shortest delay between guardian approval and recovery, so signers have time to veto
+    uint256 public constant MIN_DELAY = 1 days;
+
+    address public immutable wallet;
+
+    address[] private guardians;
+    mapping(address => bool) public isGuardian;
+    uint256 public threshold;    // guardian approvals required
+    uint256 public delay;        // seconds between reaching the threshold and recovery
+
+    // A recovery is open until it is vetoed, cancelled or executed; only one can be open
+    struct Recovery {
+        address[] newSigners;
+        uint256 newThreshold;
+        address proposer;
+        uint256 approvals;
+        uint256 eta;             // 0 until the guardian threshold is reached
+        uint256 cancelVotes;     // guardians other than the proposer who want it cancelled
+        bool vetoed;
+        bool cancelled;
+        bool executed;
+    }
+
+    Recovery[] private recoveries;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+    mapping(uint256 => mapping(address => bool)) public hasVotedToCancel;
+
+    modifier onlyWallet() {
+        require(msg.sender == wallet, "Only the wallet");
+        _;
+    }
+
+    modifier onlyGuardian() {
+        require(isGuardian[msg.sender], "Not a guardian");
+        _;
+    }
+
+    modifier recoveryOpen(uint256 _recoveryId) {
+        require(_recoveryId < recoveries.length, "Recovery does not exist");
+        require(isOpen(recoveries[_recoveryId]), "Recovery closed");
+        _;
+    }
+
+    /**
+     * @param _wallet MultiSigWallet this module recovers
+     * @param _guardians Initial guardian addresses
+     * @param _threshold Guardian approvals required
+     * @param _delay Seconds between approval and recovery, at least MIN_DELAY
+     */
+    constructor(address _wallet, address[] memory _guardians, uint256 _threshold, uint256 _delay) {
+        require(_wallet != address(0), "Invalid wallet");
+        wallet = _wallet;
+        setGuardianSet(_guardians, _threshold, _delay);
+    }
+
+    /**
+     * @dev Replace the guardians, their threshold and the delay. Only callable by the wallet,
+     * i.e. through an approved transaction. Cancels any open recovery.
+     * @param _guardians New guardian addresses
+     * @param _threshold Guardian approvals required
+     * @param _delay Seconds between approval and recovery, at least MIN_DELAY
+     */
+    function setGuardians(address[] memory _guardians, uint256 _threshold, uint256 _delay) public onlyWallet {
+        if (recoveries.length > 0 && isOpen(recoveries[recoveries.length - 1])) {
+            recoveries[recoveries.length - 1].cancelled = true;
+            emit RecoveryCancelled(recoveries.length - 1);
+        }
+        setGuardianSet(_guardians, _threshold, _delay);
+    }
+
+    function setGuardianSet(address[] memory _guardians, uint256 _threshold, uint256 _delay) private {
+        require(_guardians.length > 0, "Guardians array empty");
+        require(_threshold > 0 && _threshold <= _guardians.length, "Invalid threshold");
+        require(_delay >= MIN_DELAY, "Delay too short");
+
+        for (uint256 i = 0; i < guardians.length; i++) {
+            isGuardian[guardians[i]] = false;
+        }
+        delete guardians;
+        for (uint256 i = 0; i < _guardians.length; i++) {
+            address guardian = _guardians[i];
+            require(guardian != address(0), "Invalid guardian address");
+            require(!isGuardian[guardian], "Duplicate guardian");
+
+            guardians.push(guardian);
+            isGuardian[guardian] = true;
+        }
+
+        threshold = _threshold;
+        delay = _delay;
+
+        emit GuardiansUpdated(_guardians, _threshold, _delay);
+    }
+
+    /**
+     * @dev Propose a new signer set and approve it as the proposing guardian
+     * @param _newSigners Signer addresses the wallet should have after recovery
+     * @param _newThreshold Wallet threshold after recovery
+     * @return recoveryId Id of the new recovery
+     */
+    function proposeRecovery(address[] memory _newSigners, uint256 _newThreshold) public onlyGuardian returns (uint256 recoveryId) {
+        require(_newSigners.length > 0, "Empty signers array");
+        require(_newThreshold > 0 && _newThreshold <= _newSigners.length, "Invalid threshold");
+        require(recoveries.length == 0 || !isOpen(recoveries[recoveries.length - 1]), "Recovery already open");
+
+        recoveryId = recoveries.length;
+        Recovery storage recovery = recoveries.push();
+        recovery.newSigners = _newSigners;
+        recovery.newThreshold = _newThreshold;
+        recovery.proposer = msg.sender;
+
+        emit RecoveryProposed(recoveryId, msg.sender, _newSigners, _newThreshold);
+        approve(recoveryId);
+    }
+
+    /**
+     * @dev Approve an open recovery. The delay starts once the guardian threshold is reached.
+     * @param _recoveryId Id of the recovery
+     */
+    function approveRecovery(uint256 _recoveryId) public onlyGuardian recoveryOpen(_recoveryId) {
+        require(!hasApproved[_recoveryId][msg.sender], "Already approved");
+        approve(_recoveryId);
+    }
+
+    function approve(uint256 _recoveryId) private {
+        Recovery storage recovery = recoveries[_recoveryId];
+        hasApproved[_recoveryId][msg.sender] = true;
+        recovery.approvals++;
+
+        emit RecoveryApproved(_recoveryId, msg.sender);
+
+        if (recovery.eta == 0 && recovery.approvals >= threshold) {
+            recovery.eta = block.timestamp + delay;
+            emit RecoveryScheduled(_recoveryId, recovery.eta);
+        }
+    }
+
+    /**
+     * @dev Stop an open recovery. Any single current signer of the wallet, or the wallet
+     * itself, can veto, so signers who still hold their keys keep control.
+     * @param _recoveryId Id of the recovery
+     */
+    function vetoRecovery(uint256 _recoveryId) public recoveryOpen(_recoveryId) {
+        require(msg.sender == wallet || IRecoverableWallet(wallet).isSigner(msg.sender), "Not a signer");
+
+        recoveries[_recoveryId].vetoed = true;
+
+        emit RecoveryVetoed(_recoveryId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw an open recovery. The guardian who proposed it cancels it at once; any
+     * other guardian casts a vote, and the recovery is cancelled once the guardian threshold
+     * votes, so a lost or compromised proposer cannot block recovery with a bad proposal.
+     * @param _recoveryId Id of the recovery
+     */
+    function cancelRecovery(uint256 _recoveryId) public onlyGuardian recoveryOpen(_recoveryId) {
+        Recovery storage recovery = recoveries[_recoveryId];
+
+        if (msg.sender != recovery.proposer) {
+            require(!hasVotedToCancel[_recoveryId][msg.sender], "Already voted to cancel");
+            hasVotedToCancel[_recoveryId][msg.sender] = true;
+            recovery.cancelVotes++;
+
+            emit RecoveryCancelVoted(_recoveryId, msg.sender);
+
+            if (recovery.cancelVotes < threshold) {
+                return;
+            }
+        }
+
+        recovery.cancelled = true;
+
+        emit RecoveryCancelled(_recoveryId);
+    }
+
+    /**
+     * @dev Replace the wallet's signers once a recovery's delay has passed. Anyone may call
+     * this. The wallet must have this contract enabled as a module.
+     * @param _recoveryId Id of the recovery
+     */
+    function executeRecovery(uint256 _recoveryId) public recoveryOpen(_recoveryId) {
+        Recovery storage recovery = recoveries[_recoveryId];
+        require(recovery.eta > 0, "Not enough approvals");
+        require(block.timestamp >= recovery.eta, "Recovery delay not expired");
+
+        recovery.executed = true;
+
+        // updateSigners skips signature checks when the wallet calls itself
+        IRecoverableWallet(wallet).execTransactionFromModule(
+            wallet,
+            0,
+            abi.encodeWithSignature(
+                "updateSigners(address[],uint256,bytes[])",
+                recovery.newSigners,
+                recovery.newThreshold,
+                new bytes[](0)
+            )
+        );
+
+        emit RecoveryExecuted(_recoveryId);
+    }
+
+    /**
+     * @dev Get a recovery by id
+     * @param _recoveryId Id of the recovery
+     */
+    function getRecovery(uint256 _recoveryId) public view returns (
+        address[] memory newSigners,
+        uint256 newThreshold,
+        address proposer,
+        uint256 approvals,
+        uint256 eta,
+        uint256 cancelVotes,
+        bool vetoed,
+        bool cancelled,
+        bool executed
+    ) {
+        require(_recoveryId < recoveries.length, "Recovery does not exist");
+        Recovery storage recovery = recoveries[_recoveryId];
+        return (
+            recovery.newSigners,
+            recovery.newThreshold,
+            recovery.proposer,
+            recovery.approvals,
+            recovery.eta,
+            recovery.cancelVotes,
+            recovery.vetoed,
+            recovery.cancelled,
+            recovery.executed
+        );
+    }
+
+    /**
+     * @dev Returns the number of recoveries ever proposed
+     */
+    function getRecoveryCount() public view returns (uint256) {
+        return recoveries.length;
+    }
+
+    /**
+     * @dev Returns the current guardians
+     */
+    function getGuardians() public view returns (address[] memory) {
+        return guardians;
+    }
+
+    function isOpen(Recovery storage _recovery) private view returns (bool) {
+        return !_recovery.vetoed && !_recovery.cancelled && !_recovery.executed;
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IERC1155Receiver {
+    function onERC1155Received(address operator, address from, uint256 id, uint256 value, bytes calldata data) external returns (bytes4);
+    function onERC1155BatchReceived(address operator, address from, uint256[] calldata ids, uint256[] calldata values, bytes calldata data) external returns (bytes4);
+}
+
+/**
+ * @title MockERC1155
+ * @dev A simple ERC1155 token for testing multi-token transfers into and out of the wallet
+ */
+contract MockERC1155 {
+    mapping(uint256 => mapping(address => uint256)) private balances;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+    
+    event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value);
+    event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values);
+    event ApprovalForAll(address indexed account, address indexed operator, bool approved);
+    
+    function supportsInterface(bytes4 interfaceId) public pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0xd9b67a26; // ERC165, ERC1155
+    }
+    
+    function balanceOf(address account, uint256 id) public view returns (uint256) {
+        return balances[id][account];
+    }
+    
+    function balanceOfBatch(address[] memory accounts, uint256[] memory ids) public view returns (uint256[] memory) {
+        require(accounts.length == ids.length, "Length mismatch");
+        
+        uint256[] memory result = new uint256[](accounts.length);
+        for (uint i = 0; i < accounts.length; i++) {
+            result[i] = balances[ids[i]][accounts[i]];
+        }
+        return result;
+    }
+    
+    function mint(address to, uint256 id, uint256 value) public {
+        balances[id][to] += value;
+        emit TransferSingle(msg.sender, address(0), to, id, value);
+        
+        if (to.code.length > 0) {
+            require(
+                IERC1155Receiver(to).onERC1155Received(msg.sender, address(0), id, value, "") == IERC1155Receiver.onERC1155Received.selector,
+                "Receiver rejected tokens"
+            );
+        }
+    }
+    
+    function setApprovalForAll(address operator, bool approved) public {
+        operatorApprovals[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+    
+    function isApprovedForAll(address account, address operator) public view returns (bool) {
+        return operatorApprovals[account][operator];
+    }
+    
+    function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes memory data) public {
+        require(from == msg.sender || operatorApprovals[from][msg.sender], "Not authorized");
+        require(to != address(0), "Zero address");
+        require(balances[id][from] >= value, "Insufficient balance");
+        
+        balances[id][from] -= value;
+        balances[id][to] += value;
+        emit TransferSingle(msg.sender, from, to, id, value);
+        
+        if (to.code.length > 0) {
+            require(
+                IERC1155Receiver(to).onERC1155Received(msg.sender, from, id, value, data) == IERC1155Receiver.onERC1155Received.selector,
+                "Receiver rejected tokens"
+            );
+        }
+    }
+    
+    function safeBatchTransferFrom(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values,
+        bytes memory data
+    ) public {
+        require(from == msg.sender || operatorApprovals[from][msg.sender], "Not authorized");
+        require(to != address(0), "Zero address");
+        require(ids.length == values.length, "Length mismatch");
+        
+        for (uint i = 0; i < ids.length; i++) {
+            require(balances[ids[i]][from] >= values[i], "Insufficient balance");
+            balances[ids[i]][from] -= values[i];
+            balances[ids[i]][to] += values[i];
+        }
+        emit TransferBatch(msg.sender, from, to, ids, values);
+        
+        if (to.code.length > 0) {
+            require(
+                IERC1155Receiver(to).onERC1155BatchReceived(msg.sender, from, ids, values, data) == IERC1155Receiver.onERC1155BatchReceived.selector,
+                "Receiver rejected tokens"
+            );
+        }
+    }
+}
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
+}
+
+/**
+ * @title MockERC721
+ * @dev A simple ERC721 token for testing NFT transfers into and out of the wallet
+ */
+contract MockERC721 {
+    string public name;
+    string public symbol;
+    
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+    mapping(uint256 => address) private tokenApprovals;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+    
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+    
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+    
+    function supportsInterface(bytes4 interfaceId) public pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0x80ac58cd; // ERC165, ERC721
+    }
+    
+    function balanceOf(address owner) public view returns (uint256) {
+        require(owner != address(0), "Zero address");
+        return balances[owner];
+    }
+    
+    function ownerOf(uint256 tokenId) public view returns (address) {
+        address owner = owners[tokenId];
+        require(owner != address(0), "Nonexistent token");
+        return owner;
+    }
+    
+    function mint(address to, uint256 tokenId) public {
+        require(to != address(0), "Zero address");
+        require(owners[tokenId] == address(0), "Token already minted");
+        
+        owners[tokenId] = to;
+        balances[to] += 1;
+        emit Transfer(address(0), to, tokenId);
+    }
+    
+    function approve(address to, uint256 tokenId) public {
+        address owner = ownerOf(tokenId);
+        require(msg.sender == owner || operatorApprovals[owner][msg.sender], "Not authorized");
+        
+        tokenApprovals[tokenId] = to;
+        emit Approval(owner, to, tokenId);
+    }
+    
+    function getApproved(uint256 tokenId) public view returns (address) {
+        ownerOf(tokenId);
+        return tokenApprovals[tokenId];
+    }
+    
+    function setApprovalForAll(address operator, bool approved) public {
+        operatorApprovals[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+    
+    function isApprovedForAll(address owner, address operator) public view returns (bool) {
+        return operatorApprovals[owner][operator];
+    }
+    
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        address owner = ownerOf(tokenId);
+        require(owner == from, "Not the owner");
+        require(to != address(0), "Zero address");
+        require(
+            msg.sender == owner || tokenApprovals[tokenId] == msg.sender || operatorApprovals[owner][msg.sender],
+            "Not authorized"
+        );
+        
+        delete tokenApprovals[tokenId];
+        balances[from] -= 1;
+        balances[to] += 1;
+        owners[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+    }
+    
+    function safeTransferFrom(address from, address to, uint256 tokenId) public {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+    
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
+        transferFrom(from, to, tokenId);
+        
+        if (to.code.length > 0) {
+            require(
+                IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data) == IERC721Receiver.onERC721Received.selector,
+                "Receiver rejected tokens"
+            );
+        }
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IModuleWallet {
+    function execTransactionFromModule(address _target, uint256 _value, bytes memory _data) external returns (bytes memory);
+}
+
+/**
+ * @title MockModule
+ * @dev A minimal wallet module for testing: its operator can make calls from the wallet
+ * once the signers have enabled it
+ */
+contract MockModule {
+    address public wallet;
+    address public operator;
+
+    constructor(address _wallet, address _operator) {
+        wallet = _wallet;
+        operator = _operator;
+    }
+
+    function exec(address _target, uint256 _value, bytes memory _data) external returns (bytes memory) {
+        require(msg.sender == operator, "Not the operator");
+        return IModuleWallet(wallet).execTransactionFromModule(_target, _value, _data);
+    }
+}
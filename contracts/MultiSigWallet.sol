@@ -9,6 +9,28 @@ contract MultiSigWallet {
     // Events
     event TransactionExecuted(address indexed target, uint256 value, bytes data, uint256 nonce);
     event SignersUpdated(address[] newSigners, uint256 newThreshold);
+    event BatchExecuted(uint256 nonce, uint256 callCount);
+    event ProposalSubmitted(uint256 indexed proposalId, address indexed proposer, address target, uint256 value, bytes data);
+    event ProposalConfirmed(uint256 indexed proposalId, address indexed signer);
+    event ProposalRevoked(uint256 indexed proposalId, address indexed signer);
+    event ProposalExecuted(uint256 indexed proposalId, uint256 nonce);
+    event TimelockUpdated(uint256 delay, uint256 valueThreshold);
+    event TransactionQueued(bytes32 indexed txHash, address indexed target, uint256 value, bytes data, uint256 nonce, uint256 eta);
+    event TransactionCancelled(bytes32 indexed txHash, address indexed signer);
+    event QueuedTransactionExecuted(bytes32 indexed txHash);
+    event NonceInvalidated(uint256 nonce);
+    event TransactionApproved(bytes32 indexed txHash, uint256 indexed nonce, address[] approvers);
+    event Deposit(address indexed sender, uint256 value);
+    event SignerAdded(address indexed signer);
+    event SignerRemoved(address indexed signer);
+    event ThresholdChanged(uint256 threshold);
+    event AllowanceSet(address indexed delegate, address indexed token, uint256 amount, uint256 period);
+    event AllowanceSpent(address indexed delegate, address indexed token, address to, uint256 amount);
+    event PolicySet(address indexed target, bytes4 indexed selector, uint256 threshold, bool denied);
+    event RefundPaid(address indexed receiver, uint256 payment);
+    event ModuleEnabled(address indexed module);
+    event ModuleDisabled(address indexed module);
+    event ExecutionFromModule(address indexed module, address indexed target, uint256 value, bytes data);
 
     // State variables
     address[] public signers;
@@ -17,6 +39,70 @@ contract MultiSigWallet {
     uint256 public signerCount;  // n - total number of signers
     uint256 public nonce;        // Global nonce for transaction uniqueness
 
+    // On-chain proposals, for signers who approve with a transaction instead of a signature
+    struct Proposal {
+        address target;
+        uint256 value;
+        bytes data;
+        bool executed;
+    }
+    
+    Proposal[] private proposals;
+    // A confirmation stores the signer's removal count plus one; removing a signer bumps the
+    // count, so confirmations made before a removal do not count if the signer is added back
+    mapping(uint256 => mapping(address => uint256)) private confirmations;
+    mapping(address => uint256) private removalCount;
+
+    // Timelock: calls to the wallet itself, or sending more than timelockValueThreshold,
+    // must be queued and wait timelockDelay seconds once a delay is set
+    struct QueuedTransaction {
+        address target;
+        uint256 value;
+        bytes data;
+        uint256 nonce;
+        uint256 eta;
+        bool executed;
+        bool cancelled;
+    }
+    
+    uint256 public timelockDelay;
+    uint256 public timelockValueThreshold;
+    mapping(bytes32 => QueuedTransaction) public queuedTransactions;
+    
+    // Spending allowances: a delegate may send up to amount of a token (address(0) for ETH)
+    // per period without collecting signatures; a period of 0 never resets
+    struct Allowance {
+        uint256 amount;
+        uint256 spent;
+        uint256 period;
+        uint256 resetAt;
+    }
+    
+    mapping(address => mapping(address => Allowance)) private allowances;
+    
+    // Policies override the threshold, or deny calls, per target and function selector.
+    // A selector of 0 matches any call to the target; a target of address(0) matches any
+    // target other than the wallet itself. The most specific rule applies.
+    struct Policy {
+        uint256 threshold;
+        bool denied;
+    }
+    
+    mapping(address => mapping(bytes4 => Policy)) private policies;
+    
+    // Modules are contracts the signers have enabled to call execTransactionFromModule,
+    // which runs calls without signatures, nonce, timelock or policies
+    address[] private modules;
+    mapping(address => bool) public isModule;
+    
+    // Gas refund signed along with a relayed transaction: the wallet pays the relayer for
+    // the gas used plus baseGas, at tx.gasprice but never more than gasPrice
+    struct Refund {
+        uint256 gasPrice;
+        uint256 baseGas;
+        address receiver;
+    }
+
     // Constants for signature verification
     bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
         "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
@@ -26,7 +112,59 @@ contract MultiSigWallet {
         "Transaction(address target,uint256 value,bytes data,uint256 nonce)"
     );
     
+    bytes32 private constant CALL_TYPEHASH = keccak256(
+        "Call(address target,uint256 value,bytes data)"
+    );
+    
+    bytes32 private constant BATCH_TYPEHASH = keccak256(
+        "Batch(Call[] calls,uint256 nonce)Call(address target,uint256 value,bytes data)"
+    );
+    
+    bytes32 private constant MESSAGE_TYPEHASH = keccak256(
+        "Message(bytes32 hash)"
+    );
+    
+    bytes32 private constant REFUND_TYPEHASH = keccak256(
+        "Refund(uint256 gasPrice,uint256 baseGas,address receiver)"
+    );
+    
+    bytes32 private constant RELAYED_TX_TYPEHASH = keccak256(
+        "RelayedTransaction(Transaction transaction,Refund refund)"
+        "Refund(uint256 gasPrice,uint256 baseGas,address receiver)"
+        "Transaction(address target,uint256 value,bytes data,uint256 nonce)"
+    );
+    
     bytes32 private immutable DOMAIN_SEPARATOR;
+    
+    // Added to v by signers using eth_signTypedData instead of eth_sign
+    uint8 private constant TYPED_SIGNATURE_V_OFFSET = 4;
+    
+    // v marking an EIP-1271 contract signature
+    uint8 private constant CONTRACT_SIGNATURE_V = 1;
+    
+    // bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+    bytes4 private constant EIP1271_MAGIC_VALUE = 0x1626ba7e;
+    
+    // Selectors token contracts expect back from the receiver hooks
+    bytes4 private constant ERC721_RECEIVED = 0x150b7a02;
+    bytes4 private constant ERC1155_RECEIVED = 0xf23a6e61;
+    bytes4 private constant ERC1155_BATCH_RECEIVED = 0xbc197c81;
+
+    modifier onlySigner() {
+        require(isSigner[msg.sender], "Not a signer");
+        _;
+    }
+    
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Only the wallet itself");
+        _;
+    }
+    
+    modifier proposalPending(uint256 _proposalId) {
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        require(!proposals[_proposalId].executed, "Proposal already executed");
+        _;
+    }
 
     /**
      * @dev Constructor for the MultiSig wallet
@@ -60,6 +198,9 @@ contract MultiSigWallet {
                 address(this)
             )
         );
+        
+        // Open the first signer-set epoch for indexers
+        emit SignersUpdated(_signers, _threshold);
     }
     
     /**
@@ -76,18 +217,94 @@ contract MultiSigWallet {
         bytes memory _data,
         uint256 _nonce
     ) public view returns (bytes32) {
-        bytes32 txHash = keccak256(
+        return keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, transactionStructHash(_target, _value, _data, _nonce))
+        );
+    }
+    
+    /**
+     * @dev Computes the hash of a transaction signed together with a gas refund for its relayer
+     * @param _target Address of the contract to be called
+     * @param _value Amount of ETH to send with the transaction
+     * @param _data Function call data
+     * @param _nonce Current global nonce
+     * @param _refund Highest gas price refunded, gas added for the relayer's overhead and
+     * the refund receiver (address(0): whoever submits the transaction)
+     * @return Transaction hash according to EIP-712
+     */
+    function getRelayedTransactionHash(
+        address _target,
+        uint256 _value,
+        bytes memory _data,
+        uint256 _nonce,
+        Refund memory _refund
+    ) public view returns (bytes32) {
+        bytes32 refundHash = keccak256(
+            abi.encode(REFUND_TYPEHASH, _refund.gasPrice, _refund.baseGas, _refund.receiver)
+        );
+        bytes32 relayedHash = keccak256(
+            abi.encode(RELAYED_TX_TYPEHASH, transactionStructHash(_target, _value, _data, _nonce), refundHash)
+        );
+        
+        return keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, relayedHash)
+        );
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a Transaction
+     */
+    function transactionStructHash(
+        address _target,
+        uint256 _value,
+        bytes memory _data,
+        uint256 _nonce
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(TX_TYPEHASH, _target, _value, keccak256(_data), _nonce));
+    }
+    
+    /**
+     * @dev Computes the hash of a batch of calls to be signed as a single approval
+     * @param _targets Addresses of the contracts to be called
+     * @param _values Amounts of ETH to send with each call
+     * @param _datas Function call data for each call
+     * @param _nonce Current global nonce
+     * @return Batch hash according to EIP-712
+     */
+    function getBatchHash(
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _datas,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        require(
+            _targets.length == _values.length && _targets.length == _datas.length,
+            "Batch length mismatch"
+        );
+        
+        // EIP-712 encodes an array of structs as the hash of its concatenated struct hashes
+        bytes32[] memory callHashes = new bytes32[](_targets.length);
+        for (uint i = 0; i < _targets.length; i++) {
+            callHashes[i] = keccak256(
+                abi.encode(
+                    CALL_TYPEHASH,
+                    _targets[i],
+                    _values[i],
+                    keccak256(_datas[i])
+                )
+            );
+        }
+        
+        bytes32 batchHash = keccak256(
             abi.encode(
-                TX_TYPEHASH,
-                _target,
-                _value,
-                keccak256(_data),
+                BATCH_TYPEHASH,
+                keccak256(abi.encodePacked(callHashes)),
                 _nonce
             )
         );
         
         return keccak256(
-            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, txHash)
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, batchHash)
         );
     }
     
@@ -104,33 +321,670 @@ contract MultiSigWallet {
         bytes memory _data,
         bytes[] memory _signatures
     ) public {
+        execute(getTransactionHash(_target, _value, _data, nonce), _target, _value, _data, _signatures);
+    }
+    
+    /**
+     * @dev Execute a transaction submitted by a relayer, then refund the relayer's gas from
+     * the wallet's ETH. The refund terms are part of what the signers signed.
+     * @param _target Address of the contract to call
+     * @param _value Amount of ETH to send
+     * @param _data Function call data
+     * @param _refund Refund terms signed with the transaction
+     * @param _signatures Array of signatures over getRelayedTransactionHash
+     */
+    function executeRelayedTransaction(
+        address _target,
+        uint256 _value,
+        bytes memory _data,
+        Refund memory _refund,
+        bytes[] memory _signatures
+    ) public {
+        uint256 startGas = gasleft();
+        execute(getRelayedTransactionHash(_target, _value, _data, nonce, _refund), _target, _value, _data, _signatures);
+        
+        uint256 gasPrice = tx.gasprice < _refund.gasPrice ? tx.gasprice : _refund.gasPrice;
+        uint256 payment = (startGas - gasleft() + _refund.baseGas) * gasPrice;
+        address receiver = _refund.receiver == address(0) ? msg.sender : _refund.receiver;
+        
+        (bool success, ) = receiver.call{value: payment}("");
+        require(success, "Refund failed");
+        emit RefundPaid(receiver, payment);
+    }
+    
+    /**
+     * @dev Verify signatures over txHash and make the call, consuming the nonce
+     */
+    function execute(
+        bytes32 txHash,
+        address _target,
+        uint256 _value,
+        bytes memory _data,
+        bytes[] memory _signatures
+    ) private {
+        require(!requiresTimelock(_target, _value), "Transaction must be queued");
+        
+        // Verify signatures meet the threshold the policy for this call requires
+        address[] memory recoveredSigners = verifySignatures(txHash, _signatures, approvalThreshold(_target, _data));
+        emit TransactionApproved(txHash, nonce, recoveredSigners);
+        
+        // Increment nonce to prevent replay attacks
+        nonce++;
+        
+        // Execute the transaction
+        (bool success, bytes memory result) = _target.call{value: _value}(_data);
+        if (!success) {
+            revertWithReason(result, "Transaction execution failed");
+        }
+        
+        emit TransactionExecuted(_target, _value, _data, nonce - 1);
+    }
+    
+    /**
+     * @dev Execute several calls under one nonce and one set of signatures.
+     * The batch is atomic: if any call fails, the whole batch reverts.
+     * @param _targets Addresses of the contracts to call
+     * @param _values Amounts of ETH to send with each call
+     * @param _datas Function call data for each call
+     * @param _signatures Array of signatures from signers
+     */
+    function executeBatch(
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _datas,
+        bytes[] memory _signatures
+    ) public {
+        require(_targets.length > 0, "Empty batch");
+        require(
+            _targets.length == _values.length && _targets.length == _datas.length,
+            "Batch length mismatch"
+        );
+        
+        // The batch needs the highest threshold any of its calls requires
+        uint256 required = 0;
+        for (uint i = 0; i < _targets.length; i++) {
+            require(!requiresTimelock(_targets[i], _values[i]), "Transaction must be queued");
+            
+            uint256 callThreshold = approvalThreshold(_targets[i], _datas[i]);
+            if (callThreshold > required) {
+                required = callThreshold;
+            }
+        }
+        
+        // Create batch hash that was signed
+        bytes32 txHash = getBatchHash(_targets, _values, _datas, nonce);
+        
+        // Verify signatures meet threshold
+        emit TransactionApproved(txHash, nonce, verifySignatures(txHash, _signatures, required));
+        
+        // Increment nonce to prevent replay attacks
+        nonce++;
+        
+        // Execute every call, reverting the whole batch on the first failure
+        for (uint i = 0; i < _targets.length; i++) {
+            (bool success, bytes memory result) = _targets[i].call{value: _values[i]}(_datas[i]);
+            if (!success) {
+                revertWithReason(result, "Batch call failed");
+            }
+            
+            emit TransactionExecuted(_targets[i], _values[i], _datas[i], nonce - 1);
+        }
+        
+        emit BatchExecuted(nonce - 1, _targets.length);
+    }
+    
+    /**
+     * @dev Store a transaction on-chain so signers can approve it with confirmTransaction.
+     * The proposer's confirmation is recorded immediately.
+     * @param _target Address of the contract to call
+     * @param _value Amount of ETH to send
+     * @param _data Function call data
+     * @return proposalId Index of the new proposal
+     */
+    function submitTransaction(
+        address _target,
+        uint256 _value,
+        bytes memory _data
+    ) public onlySigner returns (uint256 proposalId) {
+        proposalId = proposals.length;
+        proposals.push(Proposal({target: _target, value: _value, data: _data, executed: false}));
+        
+        emit ProposalSubmitted(proposalId, msg.sender, _target, _value, _data);
+        
+        confirmTransaction(proposalId);
+    }
+    
+    /**
+     * @dev Record the caller's approval of an on-chain proposal
+     * @param _proposalId Proposal to confirm
+     */
+    function confirmTransaction(uint256 _proposalId) public onlySigner proposalPending(_proposalId) {
+        require(!isConfirmed(_proposalId, msg.sender), "Already confirmed");
+        
+        confirmations[_proposalId][msg.sender] = removalCount[msg.sender] + 1;
+        
+        emit ProposalConfirmed(_proposalId, msg.sender);
+    }
+    
+    /**
+     * @dev Withdraw the caller's approval of an on-chain proposal
+     * @param _proposalId Proposal to revoke the confirmation from
+     */
+    function revokeConfirmation(uint256 _proposalId) public onlySigner proposalPending(_proposalId) {
+        require(isConfirmed(_proposalId, msg.sender), "Not confirmed");
+        
+        delete confirmations[_proposalId][msg.sender];
+        
+        emit ProposalRevoked(_proposalId, msg.sender);
+    }
+    
+    /**
+     * @dev Execute an on-chain proposal. Confirmations from current signers count towards
+     * the threshold, and off-chain signatures over getTransactionHash at the current nonce
+     * can make up the difference. Anyone may call this.
+     * @param _proposalId Proposal to execute
+     * @param _signatures Signatures from signers who have not confirmed on-chain
+     */
+    function executeProposal(
+        uint256 _proposalId,
+        bytes[] memory _signatures
+    ) public proposalPending(_proposalId) {
+        Proposal storage proposal = proposals[_proposalId];
+        require(!requiresTimelock(proposal.target, proposal.value), "Transaction must be queued");
+        
+        (bytes32 txHash, address[] memory approvers) = verifyProposalApprovals(_proposalId, _signatures);
+        emit TransactionApproved(txHash, nonce, approvers);
+        
+        proposal.executed = true;
+        
+        // Increment nonce to prevent replay attacks
+        nonce++;
+        
+        // Execute the transaction
+        (bool success, bytes memory result) = proposal.target.call{value: proposal.value}(proposal.data);
+        if (!success) {
+            revertWithReason(result, "Transaction execution failed");
+        }
+        
+        emit TransactionExecuted(proposal.target, proposal.value, proposal.data, nonce - 1);
+        emit ProposalExecuted(_proposalId, nonce - 1);
+    }
+    
+    /**
+     * @dev Queue an on-chain proposal that is subject to the timelock, with the same approval
+     * rules as executeProposal. The proposal is marked executed; the queue tracks it from here.
+     * @param _proposalId Proposal to queue
+     * @param _signatures Signatures from signers who have not confirmed on-chain
+     * @return txHash Id of the queued transaction
+     */
+    function queueProposal(
+        uint256 _proposalId,
+        bytes[] memory _signatures
+    ) public proposalPending(_proposalId) returns (bytes32 txHash) {
+        Proposal storage proposal = proposals[_proposalId];
+        
+        address[] memory approvers;
+        (txHash, approvers) = verifyProposalApprovals(_proposalId, _signatures);
+        emit TransactionApproved(txHash, nonce, approvers);
+        
+        proposal.executed = true;
+        
+        queue(txHash, proposal.target, proposal.value, proposal.data);
+    }
+    
+    /**
+     * @dev Check that confirmations plus off-chain signatures approve a proposal at the current nonce
+     * @param _proposalId Proposal being approved
+     * @param _signatures Signatures from signers who have not confirmed on-chain
+     * @return txHash Transaction hash the off-chain signers signed
+     * @return approvers Confirming signers followed by the signers recovered from _signatures
+     */
+    function verifyProposalApprovals(
+        uint256 _proposalId,
+        bytes[] memory _signatures
+    ) internal view returns (bytes32 txHash, address[] memory approvers) {
+        Proposal storage proposal = proposals[_proposalId];
+        
+        // Create transaction hash that off-chain signers signed
+        txHash = getTransactionHash(proposal.target, proposal.value, proposal.data, nonce);
+        
+        // Signers removed since confirming no longer count
+        address[] memory confirmed = getConfirmations(_proposalId);
+        require(
+            confirmed.length + _signatures.length >= approvalThreshold(proposal.target, proposal.data),
+            "Not enough confirmations"
+        );
+        
+        approvers = new address[](confirmed.length + _signatures.length);
+        for (uint i = 0; i < confirmed.length; i++) {
+            approvers[i] = confirmed[i];
+        }
+        
+        // Each off-chain signature must come from a signer who has not already approved
+        for (uint i = 0; i < _signatures.length; i++) {
+            address recoveredSigner = recoverSigner(txHash, _signatures[i]);
+            
+            require(isSigner[recoveredSigner], "Invalid signer");
+            require(!isConfirmed(_proposalId, recoveredSigner), "Duplicate signer");
+            for (uint j = confirmed.length; j < confirmed.length + i; j++) {
+                require(recoveredSigner != approvers[j], "Duplicate signer");
+            }
+            
+            approvers[confirmed.length + i] = recoveredSigner;
+        }
+    }
+    
+    /**
+     * @dev Get an on-chain proposal
+     * @param _proposalId Proposal to look up
+     * @return target Address to call
+     * @return value Amount of ETH to send
+     * @return data Function call data
+     * @return executed Whether the proposal has been executed or queued
+     */
+    function getProposal(uint256 _proposalId) public view returns (
+        address target,
+        uint256 value,
+        bytes memory data,
+        bool executed
+    ) {
+        require(_proposalId < proposals.length, "Proposal does not exist");
+        Proposal storage proposal = proposals[_proposalId];
+        return (proposal.target, proposal.value, proposal.data, proposal.executed);
+    }
+    
+    /**
+     * @dev Get the number of proposals submitted with submitTransaction
+     * @return Number of proposals
+     */
+    function getProposalCount() public view returns (uint256) {
+        return proposals.length;
+    }
+    
+    /**
+     * @dev Whether a signer has confirmed a proposal since they last became a signer
+     * @param _proposalId Proposal to look up
+     * @param _signer Address to check
+     */
+    function isConfirmed(uint256 _proposalId, address _signer) public view returns (bool) {
+        return confirmations[_proposalId][_signer] == removalCount[_signer] + 1;
+    }
+    
+    /**
+     * @dev Get the current signers who have confirmed a proposal
+     * @param _proposalId Proposal to look up
+     * @return Array of confirming signer addresses
+     */
+    function getConfirmations(uint256 _proposalId) public view returns (address[] memory) {
+        address[] memory confirmed = new address[](signers.length);
+        uint256 count = 0;
+        for (uint i = 0; i < signers.length; i++) {
+            if (isConfirmed(_proposalId, signers[i])) {
+                confirmed[count++] = signers[i];
+            }
+        }
+        
+        // Shrink the array to the number of confirmations found
+        assembly {
+            mstore(confirmed, count)
+        }
+        return confirmed;
+    }
+    
+    /**
+     * @dev Whether a call must go through queueTransaction instead of executing immediately
+     * @param _target Address of the contract to call
+     * @param _value Amount of ETH to send
+     * @return True if a delay is set and the call targets the wallet or exceeds the value threshold
+     */
+    function requiresTimelock(address _target, uint256 _value) public view returns (bool) {
+        return timelockDelay > 0 && (_target == address(this) || _value > timelockValueThreshold);
+    }
+    
+    /**
+     * @dev Configure the timelock. Only callable by the wallet itself, i.e. through an
+     * approved transaction; once a delay is set, changing it is queued like any self-call.
+     * @param _delay Seconds a queued transaction waits before it can execute (0 disables the timelock)
+     * @param _valueThreshold Calls sending more than this many wei must be queued
+     */
+    function setTimelock(uint256 _delay, uint256 _valueThreshold) public onlySelf {
+        timelockDelay = _delay;
+        timelockValueThreshold = _valueThreshold;
+        
+        emit TimelockUpdated(_delay, _valueThreshold);
+    }
+    
+    /**
+     * @dev Approve a transaction now and schedule it to execute after the timelock delay.
+     * The signatures cover getTransactionHash at the current nonce, which queueing consumes.
+     * @param _target Address of the contract to call
+     * @param _value Amount of ETH to send
+     * @param _data Function call data
+     * @param _signatures Array of signatures from signers
+     * @return txHash Id of the queued transaction
+     */
+    function queueTransaction(
+        address _target,
+        uint256 _value,
+        bytes memory _data,
+        bytes[] memory _signatures
+    ) public returns (bytes32 txHash) {
         // Create transaction hash that was signed
-        bytes32 txHash = getTransactionHash(_target, _value, _data, nonce);
+        txHash = getTransactionHash(_target, _value, _data, nonce);
         
         // Verify signatures meet threshold
-        address[] memory recoveredSigners = verifySignatures(txHash, _signatures);
+        emit TransactionApproved(txHash, nonce, verifySignatures(txHash, _signatures, approvalThreshold(_target, _data)));
+        
+        queue(txHash, _target, _value, _data);
+    }
+    
+    /**
+     * @dev Store an approved transaction with its ETA and consume the current nonce
+     * @param _txHash Transaction hash the signers approved, used as the queue id
+     * @param _target Address of the contract to call
+     * @param _value Amount of ETH to send
+     * @param _data Function call data
+     */
+    function queue(bytes32 _txHash, address _target, uint256 _value, bytes memory _data) internal {
+        uint256 eta = block.timestamp + timelockDelay;
+        queuedTransactions[_txHash] = QueuedTransaction({
+            target: _target,
+            value: _value,
+            data: _data,
+            nonce: nonce,
+            eta: eta,
+            executed: false,
+            cancelled: false
+        });
         
         // Increment nonce to prevent replay attacks
         nonce++;
         
+        emit TransactionQueued(_txHash, _target, _value, _data, nonce - 1, eta);
+    }
+    
+    /**
+     * @dev Execute a queued transaction once its ETA has passed. Anyone may call this.
+     * @param _txHash Id returned by queueTransaction
+     */
+    function executeQueued(bytes32 _txHash) public {
+        QueuedTransaction storage queued = queuedTransactions[_txHash];
+        require(queued.eta > 0, "Transaction not queued");
+        require(!queued.executed, "Transaction already executed");
+        require(!queued.cancelled, "Transaction cancelled");
+        require(block.timestamp >= queued.eta, "Timelock not expired");
+        
+        queued.executed = true;
+        
         // Execute the transaction
-        (bool success, ) = _target.call{value: _value}(_data);
-        require(success, "Transaction execution failed");
+        (bool success, bytes memory result) = queued.target.call{value: queued.value}(queued.data);
+        if (!success) {
+            revertWithReason(result, "Transaction execution failed");
+        }
         
-        emit TransactionExecuted(_target, _value, _data, nonce - 1);
+        emit TransactionExecuted(queued.target, queued.value, queued.data, queued.nonce);
+        emit QueuedTransactionExecuted(_txHash);
+    }
+    
+    /**
+     * @dev Cancel a queued transaction. Any single signer can cancel, so one honest
+     * signer can stop a transaction approved with compromised keys.
+     * @param _txHash Id returned by queueTransaction
+     */
+    function cancelQueued(bytes32 _txHash) public onlySigner {
+        QueuedTransaction storage queued = queuedTransactions[_txHash];
+        require(queued.eta > 0, "Transaction not queued");
+        require(!queued.executed, "Transaction already executed");
+        require(!queued.cancelled, "Transaction cancelled");
+        
+        queued.cancelled = true;
+        
+        emit TransactionCancelled(_txHash, msg.sender);
+    }
+    
+    /**
+     * @dev Grant, change or revoke a delegate's allowance. Only callable by the wallet itself,
+     * i.e. through an approved transaction. Resets the amount spent and starts a new window.
+     * @param _delegate Address allowed to spend, e.g. a signer
+     * @param _token ERC20 token, or address(0) for ETH
+     * @param _amount Amount the delegate may spend per period (0 revokes the allowance)
+     * @param _period Window length in seconds; 0 for a one-off allowance that never resets
+     */
+    function setAllowance(address _delegate, address _token, uint256 _amount, uint256 _period) public onlySelf {
+        require(_delegate != address(0), "Invalid delegate");
+        
+        if (_amount == 0) {
+            delete allowances[_delegate][_token];
+        } else {
+            allowances[_delegate][_token] = Allowance(_amount, 0, _period, _period > 0 ? block.timestamp + _period : 0);
+        }
+        
+        emit AllowanceSet(_delegate, _token, _amount, _period);
+    }
+    
+    /**
+     * @dev Read an allowance as it stands now, with an elapsed window already reset
+     * @param _delegate Address allowed to spend
+     * @param _token ERC20 token, or address(0) for ETH
+     * @return amount Amount per period
+     * @return spent Amount spent in the current window
+     * @return period Window length in seconds (0 if it never resets)
+     * @return resetAt Time the current window ends (0 if it never resets)
+     */
+    function getAllowance(address _delegate, address _token) public view returns (
+        uint256 amount,
+        uint256 spent,
+        uint256 period,
+        uint256 resetAt
+    ) {
+        Allowance memory allowance = currentAllowance(allowances[_delegate][_token]);
+        return (allowance.amount, allowance.spent, allowance.period, allowance.resetAt);
+    }
+    
+    /**
+     * @dev Send ETH or tokens within the caller's allowance, without signatures, nonce or timelock
+     * @param _token ERC20 token, or address(0) for ETH
+     * @param _to Recipient
+     * @param _amount Amount to send
+     */
+    function spendAllowance(address _token, address _to, uint256 _amount) external {
+        Allowance storage allowance = allowances[msg.sender][_token];
+        require(allowance.amount > 0, "No allowance");
+        
+        Allowance memory current = currentAllowance(allowance);
+        require(current.spent + _amount <= current.amount, "Allowance exceeded");
+        
+        // Account for the payment before making it
+        allowance.spent = current.spent + _amount;
+        allowance.resetAt = current.resetAt;
+        
+        bool success;
+        bytes memory result;
+        if (_token == address(0)) {
+            (success, result) = _to.call{value: _amount}("");
+        } else {
+            (success, result) = _token.call(abi.encodeWithSelector(0xa9059cbb, _to, _amount)); // transfer(address,uint256)
+            // Tokens that return nothing succeed by not reverting
+            success = success && (result.length == 0 || abi.decode(result, (bool)));
+        }
+        if (!success) {
+            revertWithReason(result, "Allowance transfer failed");
+        }
+        
+        emit AllowanceSpent(msg.sender, _token, _to, _amount);
+    }
+    
+    /**
+     * @dev Apply any window resets due by now: spending starts over and the window end moves
+     * forward by whole periods, so windows stay aligned to when the allowance was set
+     */
+    function currentAllowance(Allowance memory _allowance) private view returns (Allowance memory) {
+        if (_allowance.period > 0 && block.timestamp >= _allowance.resetAt) {
+            uint256 elapsed = (block.timestamp - _allowance.resetAt) / _allowance.period + 1;
+            _allowance.resetAt += elapsed * _allowance.period;
+            _allowance.spent = 0;
+        }
+        return _allowance;
+    }
+    
+    /**
+     * @dev Set, change or clear the policy for calls to a target. Only callable by the wallet
+     * itself, i.e. through an approved transaction.
+     * @param _target Target the rule applies to, or address(0) for any target but the wallet
+     * @param _selector Function selector the rule applies to, or 0 for any call to the target
+     * @param _threshold Signatures required (0 keeps the wallet threshold); capped at the signer count
+     * @param _denied Reject matching calls outright; calls to the wallet itself cannot be denied
+     */
+    function setPolicy(address _target, bytes4 _selector, uint256 _threshold, bool _denied) public onlySelf {
+        require(_threshold <= signers.length, "Invalid threshold");
+        require(!_denied || _target != address(this), "Cannot deny calls to the wallet");
+        
+        if (_threshold == 0 && !_denied) {
+            delete policies[_target][_selector];
+        } else {
+            policies[_target][_selector] = Policy(_threshold, _denied);
+        }
+        
+        emit PolicySet(_target, _selector, _threshold, _denied);
+    }
+    
+    /**
+     * @dev Look up the policy for a call: the rule for the target and selector, then for
+     * any call to the target, then for the selector on any target, then for any target
+     * @param _target Address of the contract to call
+     * @param _data Function call data
+     * @return required Signatures the call needs
+     * @return denied True if a rule rejects the call
+     */
+    function policyFor(address _target, bytes memory _data) public view returns (uint256 required, bool denied) {
+        bytes4 selector;
+        if (_data.length >= 4) {
+            assembly {
+                selector := mload(add(_data, 32))
+            }
+        }
+        
+        Policy memory policy = policies[_target][selector];
+        if (policy.threshold == 0 && !policy.denied) {
+            policy = policies[_target][bytes4(0)];
+        }
+        if (policy.threshold == 0 && !policy.denied && _target != address(this)) {
+            policy = policies[address(0)][selector];
+            if (policy.threshold == 0 && !policy.denied) {
+                policy = policies[address(0)][bytes4(0)];
+            }
+        }
+        
+        required = threshold;
+        if (policy.threshold > 0) {
+            required = policy.threshold < signers.length ? policy.threshold : signers.length;
+        }
+        return (required, policy.denied);
+    }
+    
+    /**
+     * @dev Signatures a call needs under its policy, reverting if the policy denies it
+     */
+    function approvalThreshold(address _target, bytes memory _data) internal view returns (uint256) {
+        (uint256 required, bool denied) = policyFor(_target, _data);
+        require(!denied, "Denied by policy");
+        return required;
+    }
+    
+    /**
+     * @dev Enable a module. Only callable by the wallet itself, i.e. through an approved
+     * transaction. The module can then make any call from the wallet, including calls to
+     * the wallet itself, so only enable contracts the signers have reviewed.
+     * @param _module Address of the module contract
+     */
+    function enableModule(address _module) public onlySelf {
+        require(_module != address(0) && _module != address(this), "Invalid module");
+        require(!isModule[_module], "Module already enabled");
+        
+        modules.push(_module);
+        isModule[_module] = true;
+        
+        emit ModuleEnabled(_module);
+    }
+    
+    /**
+     * @dev Disable a module. Only callable by the wallet itself, i.e. through an approved transaction.
+     * @param _module Address of an enabled module
+     */
+    function disableModule(address _module) public onlySelf {
+        require(isModule[_module], "Not a module");
+        
+        for (uint256 i = 0; i < modules.length; i++) {
+            if (modules[i] == _module) {
+                modules[i] = modules[modules.length - 1];
+                modules.pop();
+                break;
+            }
+        }
+        isModule[_module] = false;
+        
+        emit ModuleDisabled(_module);
+    }
+    
+    /**
+     * @dev Returns the enabled modules
+     * @return Array of module addresses
+     */
+    function getModules() public view returns (address[] memory) {
+        return modules;
+    }
+    
+    /**
+     * @dev Make a call from the wallet on behalf of an enabled module
+     * @param _target Address of the contract to call
+     * @param _value Amount of ETH to send
+     * @param _data Function call data
+     * @return Return data of the call; reverts with the callee's reason if it fails
+     */
+    function execTransactionFromModule(
+        address _target,
+        uint256 _value,
+        bytes memory _data
+    ) external returns (bytes memory) {
+        require(isModule[msg.sender], "Not a module");
+        
+        (bool success, bytes memory result) = _target.call{value: _value}(_data);
+        if (!success) {
+            revertWithReason(result, "Module transaction failed");
+        }
+        
+        emit ExecutionFromModule(msg.sender, _target, _value, _data);
+        return result;
+    }
+    
+    /**
+     * @dev Revert with the callee's revert data so its reason reaches the caller, or with
+     * _message if the callee reverted without data (e.g. a plain ETH transfer that failed)
+     * @param _result Return data of the failed call
+     * @param _message Revert string used when there is no return data
+     */
+    function revertWithReason(bytes memory _result, string memory _message) private pure {
+        if (_result.length > 0) {
+            assembly {
+                revert(add(_result, 32), mload(_result))
+            }
+        }
+        revert(_message);
     }
     
     /**
      * @dev Verify that we have enough valid signatures from signers
      * @param _txHash Hash of the transaction data to verify
      * @param _signatures Array of signatures to verify
+     * @param _threshold Number of signatures required
      * @return Array of addresses that were recovered from signatures
      */
     function verifySignatures(
         bytes32 _txHash,
-        bytes[] memory _signatures
+        bytes[] memory _signatures,
+        uint256 _threshold
     ) internal view returns (address[] memory) {
-        require(_signatures.length >= threshold, "Not enough signatures");
+        require(_signatures.length >= _threshold, "Not enough signatures");
         
         address[] memory recoveredSigners = new address[](_signatures.length);
         
@@ -153,13 +1007,17 @@ contract MultiSigWallet {
     }
     
     /**
-     * @dev Recover signer address from a signature
+     * @dev Recover signer address from a signature. v of 27/28 means the signer used
+     * eth_sign (Ethereum signed message prefix); v of 31/32 means eth_signTypedData
+     * over the EIP-712 digest, with 4 added to v; v of 1 marks an EIP-1271 contract
+     * signature, whose r holds the signer contract's address and whose bytes after
+     * the 65-byte header are passed to the contract's isValidSignature
      * @param _hash Hash that was signed
      * @param _signature Signature bytes
      * @return Recovered signer address
      */
-    function recoverSigner(bytes32 _hash, bytes memory _signature) internal pure returns (address) {
-        require(_signature.length == 65, "Invalid signature length");
+    function recoverSigner(bytes32 _hash, bytes memory _signature) internal view returns (address) {
+        require(_signature.length >= 65, "Invalid signature length");
         
         bytes32 r;
         bytes32 s;
@@ -172,26 +1030,93 @@ contract MultiSigWallet {
             v := byte(0, mload(add(_signature, 96)))
         }
         
-        // Handle Ethereum signed message prefix
-        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", _hash));
+        if (v == CONTRACT_SIGNATURE_V) {
+            return verifyContractSignature(_hash, address(uint160(uint256(r))), _signature);
+        }
+        
+        require(_signature.length == 65, "Invalid signature length");
         
         // EIP-2 still allows signature malleability for ecrecover(). Remove this possibility
         if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
             revert("Invalid signature 's' value");
         }
         
+        bytes32 digest;
+        if (v > 30) {
+            // v of 31 or 32 marks an eth_signTypedData signature over the raw EIP-712 digest
+            v -= TYPED_SIGNATURE_V_OFFSET;
+            digest = _hash;
+        } else {
+            // Handle Ethereum signed message prefix
+            digest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", _hash));
+        }
+        
         // v must be 27 or 28
         if (v != 27 && v != 28) {
             revert("Invalid signature 'v' value");
         }
         
-        // Recover the signer using the ethSignedMessageHash
-        address signer = ecrecover(ethSignedMessageHash, v, r, s);
+        // Recover the signer using the prefixed or typed-data digest
+        address signer = ecrecover(digest, v, r, s);
         require(signer != address(0), "ECDSA: invalid signature");
         
         return signer;
     }
     
+    /**
+     * @dev Check an EIP-1271 contract signature by calling the signer's isValidSignature
+     * @param _hash Hash that was signed
+     * @param _signer Contract signer taken from the signature header
+     * @param _signature Full signature; the bytes after the 65-byte header belong to the signer contract
+     * @return The signer contract address
+     */
+    function verifyContractSignature(
+        bytes32 _hash,
+        address _signer,
+        bytes memory _signature
+    ) internal view returns (address) {
+        bytes memory contractSignature = new bytes(_signature.length - 65);
+        for (uint i = 0; i < contractSignature.length; i++) {
+            contractSignature[i] = _signature[i + 65];
+        }
+        
+        // A reverting or non-contract signer fails the check rather than the whole call
+        (bool success, bytes memory result) = _signer.staticcall(
+            abi.encodeWithSelector(EIP1271_MAGIC_VALUE, _hash, contractSignature)
+        );
+        require(
+            success && result.length == 32 && abi.decode(result, (bytes4)) == EIP1271_MAGIC_VALUE,
+            "Invalid contract signature"
+        );
+        
+        return _signer;
+    }
+    
+    /**
+     * @dev Computes the hash this wallet's signers sign to approve a message (EIP-1271)
+     * @param _message Hash being approved, e.g. another wallet's transaction hash
+     * @return Message hash according to EIP-712
+     */
+    function getMessageHash(bytes32 _message) public view returns (bytes32) {
+        bytes32 messageHash = keccak256(abi.encode(MESSAGE_TYPEHASH, _message));
+        
+        return keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, messageHash)
+        );
+    }
+    
+    /**
+     * @dev EIP-1271 entry point, letting this wallet act as a signer of other contracts
+     * @param _hash Hash being approved
+     * @param _signature abi.encode(bytes[]) of threshold signatures over getMessageHash(_hash)
+     * @return EIP1271_MAGIC_VALUE if the signatures are valid; reverts otherwise
+     */
+    function isValidSignature(bytes32 _hash, bytes memory _signature) external view returns (bytes4) {
+        bytes[] memory signatures = abi.decode(_signature, (bytes[]));
+        verifySignatures(getMessageHash(_hash), signatures, threshold);
+        return EIP1271_MAGIC_VALUE;
+    }
+    
     /**
      * @dev Execute a special transaction to update the signer set
      * @param _newSigners Array of new signer addresses
@@ -206,26 +1131,32 @@ contract MultiSigWallet {
         require(_newSigners.length > 0, "Empty signers array");
         require(_newThreshold > 0 && _newThreshold <= _newSigners.length, "Invalid threshold");
         
-        // Special call data for updating signers - encode the function selector of this function
-        bytes memory data = abi.encodeWithSelector(
-            this.updateSigners.selector,
-            _newSigners,
-            _newThreshold,
-            new bytes[](0) // Placeholder for signatures parameter
-        );
-        
-        // Create transaction hash that was signed
-        bytes32 txHash = getTransactionHash(address(this), 0, data, nonce);
-        
-        // Verify signatures from current signers
-        verifySignatures(txHash, _signatures);
-        
-        // Increment nonce
-        nonce++;
+        // A call from the wallet itself was already approved, e.g. as an on-chain proposal
+        if (msg.sender != address(this)) {
+            require(timelockDelay == 0, "Transaction must be queued");
+            
+            // Special call data for updating signers - encode the function selector of this function
+            bytes memory data = abi.encodeWithSelector(
+                this.updateSigners.selector,
+                _newSigners,
+                _newThreshold,
+                new bytes[](0) // Placeholder for signatures parameter
+            );
+            
+            // Create transaction hash that was signed
+            bytes32 txHash = getTransactionHash(address(this), 0, data, nonce);
+            
+            // Verify signatures from current signers
+            emit TransactionApproved(txHash, nonce, verifySignatures(txHash, _signatures, approvalThreshold(address(this), data)));
+            
+            // Increment nonce
+            nonce++;
+        }
         
-        // Clear current signers
+        // Clear current signers; their on-chain confirmations lapse with the old set
         for (uint i = 0; i < signers.length; i++) {
             isSigner[signers[i]] = false;
+            removalCount[signers[i]]++;
         }
         
         // Set up new signers
@@ -245,6 +1176,122 @@ contract MultiSigWallet {
         emit SignersUpdated(_newSigners, _newThreshold);
     }
     
+    /**
+     * @dev Add one signer. Only callable by the wallet itself, i.e. through an approved transaction.
+     * @param _signer Address of the new signer
+     * @param _newThreshold Threshold once the signer is added
+     */
+    function addSigner(address _signer, uint256 _newThreshold) public onlySelf {
+        require(_signer != address(0), "Invalid signer address");
+        require(!isSigner[_signer], "Duplicate signer");
+        
+        signers.push(_signer);
+        isSigner[_signer] = true;
+        signerCount = signers.length;
+        emit SignerAdded(_signer);
+        
+        setThreshold(_newThreshold);
+    }
+    
+    /**
+     * @dev Remove one signer, keeping the order of the others. Only callable by the wallet itself.
+     * @param _signer Address of the signer to remove
+     * @param _newThreshold Threshold once the signer is removed; must not exceed the remaining signers
+     */
+    function removeSigner(address _signer, uint256 _newThreshold) public onlySelf {
+        require(isSigner[_signer], "Not a signer");
+        require(signers.length > 1, "Cannot remove the last signer");
+        
+        removeFromSigners(_signer);
+        signerCount = signers.length;
+        emit SignerRemoved(_signer);
+        
+        setThreshold(_newThreshold);
+    }
+    
+    /**
+     * @dev Replace one signer with another, keeping the threshold. The new signer is
+     * appended, as if removeSigner and addSigner ran in turn. Only callable by the wallet itself.
+     * @param _oldSigner Address of the signer to remove
+     * @param _newSigner Address of the signer to add
+     */
+    function swapSigner(address _oldSigner, address _newSigner) public onlySelf {
+        require(isSigner[_oldSigner], "Not a signer");
+        require(_newSigner != address(0), "Invalid signer address");
+        require(!isSigner[_newSigner], "Duplicate signer");
+        
+        removeFromSigners(_oldSigner);
+        emit SignerRemoved(_oldSigner);
+        
+        signers.push(_newSigner);
+        isSigner[_newSigner] = true;
+        emit SignerAdded(_newSigner);
+    }
+    
+    /**
+     * @dev Change the threshold without touching the signers. Only callable by the wallet itself.
+     * @param _newThreshold New threshold value
+     */
+    function changeThreshold(uint256 _newThreshold) public onlySelf {
+        setThreshold(_newThreshold);
+    }
+    
+    /**
+     * @dev Set a threshold the current signer set can still meet, emitting ThresholdChanged if it differs
+     */
+    function setThreshold(uint256 _newThreshold) private {
+        require(_newThreshold > 0 && _newThreshold <= signers.length, "Invalid threshold");
+        
+        if (_newThreshold != threshold) {
+            threshold = _newThreshold;
+            emit ThresholdChanged(_newThreshold);
+        }
+    }
+    
+    /**
+     * @dev Delete a signer from the signers array, shifting later signers down
+     */
+    function removeFromSigners(address _signer) private {
+        isSigner[_signer] = false;
+        removalCount[_signer]++;
+        
+        uint256 last = signers.length - 1;
+        bool found = false;
+        for (uint i = 0; i < last; i++) {
+            if (signers[i] == _signer) {
+                found = true;
+            }
+            if (found) {
+                signers[i] = signers[i + 1];
+            }
+        }
+        signers.pop();
+    }
+    
+    /**
+     * @dev Skip the current nonce without executing anything, invalidating every proposal
+     * signed for it so that later proposals are no longer blocked. Not subject to the timelock.
+     * @param _signatures Array of signatures from current signers
+     */
+    function invalidateNonce(bytes[] memory _signatures) public {
+        // Special call data for cancellation - signed like a call to this function
+        bytes memory data = abi.encodeWithSelector(
+            this.invalidateNonce.selector,
+            new bytes[](0) // Placeholder for signatures parameter
+        );
+        
+        // Create transaction hash that was signed
+        bytes32 txHash = getTransactionHash(address(this), 0, data, nonce);
+        
+        // Verify signatures from current signers; cancelling is never subject to a policy
+        emit TransactionApproved(txHash, nonce, verifySignatures(txHash, _signatures, threshold));
+        
+        // Increment nonce
+        nonce++;
+        
+        emit NonceInvalidated(nonce - 1);
+    }
+    
     /**
      * @dev Get the list of all current signers
      * @return Array of signer addresses
@@ -254,5 +1301,49 @@ contract MultiSigWallet {
     }
     
     // Receive function to accept ETH
-    receive() external payable {}
+    receive() external payable {
+        emit Deposit(msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Accepts ERC721 tokens sent with safeTransferFrom
+     * @return The ERC721 receiver selector
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return ERC721_RECEIVED;
+    }
+    
+    /**
+     * @dev Accepts ERC1155 tokens sent with safeTransferFrom
+     * @return The ERC1155 single-transfer receiver selector
+     */
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure returns (bytes4) {
+        return ERC1155_RECEIVED;
+    }
+    
+    /**
+     * @dev Accepts ERC1155 tokens sent with safeBatchTransferFrom
+     * @return The ERC1155 batch-transfer receiver selector
+     */
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        return ERC1155_BATCH_RECEIVED;
+    }
+    
+    /**
+     * @dev ERC165 introspection: ERC1155 tokens check it before calling the receiver hooks
+     * @param _interfaceId Interface identifier
+     * @return true for ERC165, the ERC721 and ERC1155 receivers and EIP-1271
+     */
+    function supportsInterface(bytes4 _interfaceId) external pure returns (bool) {
+        return _interfaceId == 0x01ffc9a7 || // ERC165
+            _interfaceId == ERC721_RECEIVED ||
+            _interfaceId == 0x4e2312e0 || // ERC1155Receiver
+            _interfaceId == EIP1271_MAGIC_VALUE;
+    }
 }
\ No newline at end of file
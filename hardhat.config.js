@@ -1,11 +1,21 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/multisig");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    version: "0.8.17",
+    settings: {
+      // Keeps MultiSigWallet under the 24 KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 100
+      }
+    }
+  },
   mocha: {
     timeout: 40000
   },
   // Add this to ignore Node.js version warning
   ignoreNotSupportedNode: true
-};
\ No newline at end of file
+};
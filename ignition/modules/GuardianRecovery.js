@@ -0,0 +1,17 @@
+// Deploys the GuardianRecovery module for an existing MultiSigWallet.
+// Wallet, guardians, threshold and delay come from module parameters. Prefer the
+// multisig:recovery:deploy task, which validates them and reads the guardians back.
+// The wallet's signers still have to enable the module (multisig:module:enable).
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("GuardianRecoveryModule", (m) => {
+  const wallet = m.getParameter("wallet");
+  const guardians = m.getParameter("guardians");
+  const threshold = m.getParameter("threshold");
+  const delay = m.getParameter("delay");
+
+  const recovery = m.contract("GuardianRecovery", [wallet, guardians, threshold, delay]);
+
+  return { recovery };
+});
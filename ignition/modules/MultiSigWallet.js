@@ -0,0 +1,18 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+//
+// Signers and threshold come from module parameters, e.g.
+//   npx hardhat ignition deploy ignition/modules/MultiSigWallet.js --parameters ignition/parameters/localhost.json
+// Prefer scripts/deploy.js or the multisig:deploy task, which validate the parameters
+// before deploying and read the signer set back afterwards.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("MultiSigWalletModule", (m) => {
+  const signers = m.getParameter("signers");
+  const threshold = m.getParameter("threshold");
+
+  const multisig = m.contract("MultiSigWallet", [signers, threshold]);
+
+  return { multisig };
+});
@@ -0,0 +1,136 @@
+// Human-readable ABI for MultiSigWallet.
+// Keep in sync with contracts/MultiSigWallet.sol so the library works without compiled artifacts.
+const MULTISIG_ABI = [
+  // Events
+  "event TransactionExecuted(address indexed target, uint256 value, bytes data, uint256 nonce)",
+  "event SignersUpdated(address[] newSigners, uint256 newThreshold)",
+  "event BatchExecuted(uint256 nonce, uint256 callCount)",
+  "event ProposalSubmitted(uint256 indexed proposalId, address indexed proposer, address target, uint256 value, bytes data)",
+  "event ProposalConfirmed(uint256 indexed proposalId, address indexed signer)",
+  "event ProposalRevoked(uint256 indexed proposalId, address indexed signer)",
+  "event ProposalExecuted(uint256 indexed proposalId, uint256 nonce)",
+  "event TimelockUpdated(uint256 delay, uint256 valueThreshold)",
+  "event TransactionQueued(bytes32 indexed txHash, address indexed target, uint256 value, bytes data, uint256 nonce, uint256 eta)",
+  "event TransactionCancelled(bytes32 indexed txHash, address indexed signer)",
+  "event QueuedTransactionExecuted(bytes32 indexed txHash)",
+  "event NonceInvalidated(uint256 nonce)",
+  "event TransactionApproved(bytes32 indexed txHash, uint256 indexed nonce, address[] approvers)",
+  "event Deposit(address indexed sender, uint256 value)",
+  "event SignerAdded(address indexed signer)",
+  "event SignerRemoved(address indexed signer)",
+  "event ThresholdChanged(uint256 threshold)",
+  "event AllowanceSet(address indexed delegate, address indexed token, uint256 amount, uint256 period)",
+  "event AllowanceSpent(address indexed delegate, address indexed token, address to, uint256 amount)",
+  "event PolicySet(address indexed target, bytes4 indexed selector, uint256 threshold, bool denied)",
+  "event RefundPaid(address indexed receiver, uint256 payment)",
+  "event ModuleEnabled(address indexed module)",
+  "event ModuleDisabled(address indexed module)",
+  "event ExecutionFromModule(address indexed module, address indexed target, uint256 value, bytes data)",
+
+  // State variables
+  "function signers(uint256) view returns (address)",
+  "function isSigner(address) view returns (bool)",
+  "function threshold() view returns (uint256)",
+  "function signerCount() view returns (uint256)",
+  "function nonce() view returns (uint256)",
+  "function isConfirmed(uint256, address) view returns (bool)",
+  "function timelockDelay() view returns (uint256)",
+  "function timelockValueThreshold() view returns (uint256)",
+  "function queuedTransactions(bytes32) view returns (address target, uint256 value, bytes data, uint256 nonce, uint256 eta, bool executed, bool cancelled)",
+
+  // Functions
+  "function getTransactionHash(address _target, uint256 _value, bytes _data, uint256 _nonce) view returns (bytes32)",
+  "function getBatchHash(address[] _targets, uint256[] _values, bytes[] _datas, uint256 _nonce) view returns (bytes32)",
+  "function getMessageHash(bytes32 _message) view returns (bytes32)",
+  "function isValidSignature(bytes32 _hash, bytes _signature) view returns (bytes4)",
+  "function executeTransaction(address _target, uint256 _value, bytes _data, bytes[] _signatures)",
+  "function executeBatch(address[] _targets, uint256[] _values, bytes[] _datas, bytes[] _signatures)",
+  "function updateSigners(address[] _newSigners, uint256 _newThreshold, bytes[] _signatures)",
+  "function invalidateNonce(bytes[] _signatures)",
+  "function addSigner(address _signer, uint256 _newThreshold)",
+  "function removeSigner(address _signer, uint256 _newThreshold)",
+  "function swapSigner(address _oldSigner, address _newSigner)",
+  "function changeThreshold(uint256 _newThreshold)",
+  "function getSigners() view returns (address[])",
+
+  // Relayed transactions
+  "function getRelayedTransactionHash(address _target, uint256 _value, bytes _data, uint256 _nonce, tuple(uint256 gasPrice, uint256 baseGas, address receiver) _refund) view returns (bytes32)",
+  "function executeRelayedTransaction(address _target, uint256 _value, bytes _data, tuple(uint256 gasPrice, uint256 baseGas, address receiver) _refund, bytes[] _signatures)",
+
+  // On-chain proposals
+  "function submitTransaction(address _target, uint256 _value, bytes _data) returns (uint256 proposalId)",
+  "function confirmTransaction(uint256 _proposalId)",
+  "function revokeConfirmation(uint256 _proposalId)",
+  "function executeProposal(uint256 _proposalId, bytes[] _signatures)",
+  "function getProposal(uint256 _proposalId) view returns (address target, uint256 value, bytes data, bool executed)",
+  "function getProposalCount() view returns (uint256)",
+  "function getConfirmations(uint256 _proposalId) view returns (address[])",
+  "function queueProposal(uint256 _proposalId, bytes[] _signatures) returns (bytes32 txHash)",
+
+  // Timelock
+  "function requiresTimelock(address _target, uint256 _value) view returns (bool)",
+  "function setTimelock(uint256 _delay, uint256 _valueThreshold)",
+  "function queueTransaction(address _target, uint256 _value, bytes _data, bytes[] _signatures) returns (bytes32 txHash)",
+  "function executeQueued(bytes32 _txHash)",
+  "function cancelQueued(bytes32 _txHash)",
+
+  // Allowances
+  "function setAllowance(address _delegate, address _token, uint256 _amount, uint256 _period)",
+  "function getAllowance(address _delegate, address _token) view returns (uint256 amount, uint256 spent, uint256 period, uint256 resetAt)",
+  "function spendAllowance(address _token, address _to, uint256 _amount)",
+
+  // Policies
+  "function setPolicy(address _target, bytes4 _selector, uint256 _threshold, bool _denied)",
+  "function policyFor(address _target, bytes _data) view returns (uint256 required, bool denied)",
+
+  // Modules
+  "function isModule(address) view returns (bool)",
+  "function enableModule(address _module)",
+  "function disableModule(address _module)",
+  "function getModules() view returns (address[])",
+  "function execTransactionFromModule(address _target, uint256 _value, bytes _data) returns (bytes)",
+
+  // Token receivers
+  "function onERC721Received(address, address, uint256, bytes) pure returns (bytes4)",
+  "function onERC1155Received(address, address, uint256, uint256, bytes) pure returns (bytes4)",
+  "function onERC1155BatchReceived(address, address, uint256[], uint256[], bytes) pure returns (bytes4)",
+  "function supportsInterface(bytes4 _interfaceId) pure returns (bool)"
+];
+
+// Human-readable ABI for the GuardianRecovery module (contracts/GuardianRecovery.sol)
+const RECOVERY_ABI = [
+  // Events
+  "event GuardiansUpdated(address[] guardians, uint256 threshold, uint256 delay)",
+  "event RecoveryProposed(uint256 indexed recoveryId, address indexed guardian, address[] newSigners, uint256 newThreshold)",
+  "event RecoveryApproved(uint256 indexed recoveryId, address indexed guardian)",
+  "event RecoveryScheduled(uint256 indexed recoveryId, uint256 eta)",
+  "event RecoveryVetoed(uint256 indexed recoveryId, address indexed signer)",
+  "event RecoveryCancelVoted(uint256 indexed recoveryId, address indexed guardian)",
+  "event RecoveryCancelled(uint256 indexed recoveryId)",
+  "event RecoveryExecuted(uint256 indexed recoveryId)",
+
+  // State variables
+  "function MIN_DELAY() view returns (uint256)",
+  "function wallet() view returns (address)",
+  "function isGuardian(address) view returns (bool)",
+  "function threshold() view returns (uint256)",
+  "function delay() view returns (uint256)",
+  "function hasApproved(uint256, address) view returns (bool)",
+  "function hasVotedToCancel(uint256, address) view returns (bool)",
+
+  // Functions
+  "function setGuardians(address[] _guardians, uint256 _threshold, uint256 _delay)",
+  "function proposeRecovery(address[] _newSigners, uint256 _newThreshold) returns (uint256 recoveryId)",
+  "function approveRecovery(uint256 _recoveryId)",
+  "function vetoRecovery(uint256 _recoveryId)",
+  "function cancelRecovery(uint256 _recoveryId)",
+  "function executeRecovery(uint256 _recoveryId)",
+  "function getRecovery(uint256 _recoveryId) view returns (address[] newSigners, uint256 newThreshold, address proposer, uint256 approvals, uint256 eta, uint256 cancelVotes, bool vetoed, bool cancelled, bool executed)",
+  "function getRecoveryCount() view returns (uint256)",
+  "function getGuardians() view returns (address[])"
+];
+
+module.exports = {
+  MULTISIG_ABI,
+  RECOVERY_ABI
+};
@@ -0,0 +1,185 @@
+const { Contract, Interface, getAddress, zeroPadValue } = require("ethers");
+const { ERC1155_ABI, ERC20_ABI, ERC721_ABI, buildCalldata } = require("./calldata");
+
+const ERC165_ABI = ["function supportsInterface(bytes4 interfaceId) view returns (bool)"];
+const TOKEN_METADATA_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)"
+];
+
+// ERC165 interface ids of the NFT standards
+const ERC721_INTERFACE_ID = "0x80ac58cd";
+const ERC1155_INTERFACE_ID = "0xd9b67a26";
+
+const erc20Interface = new Interface(ERC20_ABI);
+const erc721Interface = new Interface(ERC721_ABI);
+const erc1155Interface = new Interface(ERC1155_ABI);
+
+async function supportsInterface(provider, token, interfaceId) {
+  try {
+    return await new Contract(token, ERC165_ABI, provider).supportsInterface(interfaceId);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Reads an optional metadata field, returning null when the token does not implement it
+async function tryRead(contract, method, ...args) {
+  try {
+    return await contract[method](...args);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Works out which token standard a contract implements, using ERC165 for NFTs
+ * @param provider ethers Provider
+ * @param token Token contract address
+ * @return "erc721", "erc1155", "erc20" or null if it answers none of them
+ */
+async function detectTokenStandard(provider, token) {
+  if (await supportsInterface(provider, token, ERC721_INTERFACE_ID)) {
+    return "erc721";
+  }
+  if (await supportsInterface(provider, token, ERC1155_INTERFACE_ID)) {
+    return "erc1155";
+  }
+  const balance = await tryRead(new Contract(token, TOKEN_METADATA_ABI, provider), "balanceOf", token);
+  return balance === null ? null : "erc20";
+}
+
+/**
+ * Builds the call moving ERC20 tokens out of the wallet
+ * @param token Token contract address
+ * @param to Recipient
+ * @param amount Amount in the token's smallest unit
+ */
+function buildTokenTransfer(token, to, amount) {
+  return { target: getAddress(token), value: 0n, data: buildCalldata(erc20Interface, "transfer", [to, amount]) };
+}
+
+/**
+ * Builds the safeTransferFrom call moving an NFT out of the wallet
+ * @param options standard ("erc721" or "erc1155"), token, from (the wallet), to, tokenId,
+ * amount (ERC1155 only, default 1) and data (default "0x")
+ */
+function buildNftTransfer({ standard, token, from, to, tokenId, amount = 1n, data = "0x" }) {
+  let calldata;
+  if (standard === "erc721") {
+    calldata = buildCalldata(erc721Interface, "safeTransferFrom(address,address,uint256,bytes)", [from, to, tokenId, data]);
+  } else if (standard === "erc1155") {
+    calldata = buildCalldata(erc1155Interface, "safeTransferFrom", [from, to, tokenId, amount, data]);
+  } else {
+    throw new Error(`Unsupported NFT standard ${standard}`);
+  }
+  return { target: getAddress(token), value: 0n, data: calldata };
+}
+
+/**
+ * Lists the wallet's ETH and token holdings. Tokens are found from transfers into the
+ * wallet since fromBlock, plus any listed explicitly; NFT ids are checked against the
+ * current owner or balance so tokens sent away are left out.
+ * @param provider ethers Provider
+ * @param wallet Wallet address
+ * @param options tokens to include even without transfers in range, fromBlock (default 0)
+ * and toBlock (default latest)
+ * @return { wallet, eth, erc20: [{ token, symbol, decimals, balance }],
+ * erc721: [{ token, symbol, tokenIds }], erc1155: [{ token, tokenId, balance }] }
+ */
+async function getHoldings(provider, wallet, { tokens = [], fromBlock = 0, toBlock = "latest" } = {}) {
+  const address = getAddress(wallet);
+  const padded = zeroPadValue(address, 32);
+
+  // ERC20 and ERC721 share the Transfer topic; ERC721 also indexes the token id
+  const transferTopic = erc20Interface.getEvent("Transfer").topicHash;
+  const singleTopic = erc1155Interface.getEvent("TransferSingle").topicHash;
+  const batchTopic = erc1155Interface.getEvent("TransferBatch").topicHash;
+  const [transfers, multiTransfers] = await Promise.all([
+    provider.getLogs({ fromBlock, toBlock, topics: [transferTopic, null, padded] }),
+    provider.getLogs({ fromBlock, toBlock, topics: [[singleTopic, batchTopic], null, null, padded] })
+  ]);
+
+  const fungible = new Set();
+  const nftIds = new Map();
+  const multiIds = new Map();
+  const addId = (map, token, id) => {
+    const key = getAddress(token);
+    if (!map.has(key)) {
+      map.set(key, new Set());
+    }
+    map.get(key).add(id);
+  };
+
+  for (const log of transfers) {
+    if (log.topics.length === 4) {
+      addId(nftIds, log.address, BigInt(log.topics[3]));
+    } else {
+      fungible.add(getAddress(log.address));
+    }
+  }
+  for (const log of multiTransfers) {
+    const parsed = erc1155Interface.parseLog(log);
+    const ids = parsed.name === "TransferSingle" ? [parsed.args.id] : [...parsed.args.ids];
+    ids.forEach((id) => addId(multiIds, log.address, id));
+  }
+
+  for (const token of tokens) {
+    const key = getAddress(token);
+    const standard = await detectTokenStandard(provider, key);
+    if (standard === "erc721" && !nftIds.has(key)) {
+      nftIds.set(key, new Set());
+    } else if (standard === "erc1155" && !multiIds.has(key)) {
+      multiIds.set(key, new Set());
+    } else if (standard === "erc20") {
+      fungible.add(key);
+    }
+  }
+
+  const listed = new Set(tokens.map((token) => getAddress(token)));
+  const erc20 = [];
+  for (const token of fungible) {
+    const contract = new Contract(token, TOKEN_METADATA_ABI, provider);
+    const balance = await contract.balanceOf(address);
+    if (balance > 0n || listed.has(token)) {
+      erc20.push({ token, symbol: await tryRead(contract, "symbol"), decimals: await tryRead(contract, "decimals"), balance });
+    }
+  }
+
+  const erc721 = [];
+  for (const [token, ids] of nftIds) {
+    const contract = new Contract(token, [...ERC721_ABI, ...TOKEN_METADATA_ABI], provider);
+    const tokenIds = [];
+    for (const id of [...ids].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))) {
+      if ((await tryRead(contract, "ownerOf", id)) === address) {
+        tokenIds.push(id);
+      }
+    }
+    if (tokenIds.length > 0 || listed.has(token)) {
+      erc721.push({ token, symbol: await tryRead(contract, "symbol"), tokenIds });
+    }
+  }
+
+  const erc1155 = [];
+  for (const [token, ids] of multiIds) {
+    const contract = new Contract(token, ERC1155_ABI, provider);
+    for (const tokenId of [...ids].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))) {
+      const balance = await contract.balanceOf(address, tokenId);
+      if (balance > 0n) {
+        erc1155.push({ token, tokenId, balance });
+      }
+    }
+  }
+
+  return { wallet: address, eth: await provider.getBalance(address), erc20, erc721, erc1155 };
+}
+
+module.exports = {
+  ERC721_INTERFACE_ID,
+  ERC1155_INTERFACE_ID,
+  detectTokenStandard,
+  buildTokenTransfer,
+  buildNftTransfer,
+  getHoldings
+};
@@ -0,0 +1,71 @@
+const { Interface, getAddress, hexlify } = require("ethers");
+const { buildCalldata } = require("./calldata");
+
+const erc20Interface = new Interface(["function transfer(address to, uint256 amount) returns (bool)"]);
+
+/**
+ * Accumulates calls for MultiSigWallet.executeBatch
+ */
+class BatchBuilder {
+  constructor() {
+    this.calls = [];
+  }
+
+  /**
+   * Appends a raw call
+   * @param call target, value (default 0) and data (default "0x")
+   */
+  add({ target, value = 0n, data = "0x" }) {
+    this.calls.push({
+      target: getAddress(target),
+      value: BigInt(value),
+      data: hexlify(data)
+    });
+    return this;
+  }
+
+  /**
+   * Appends a contract call encoded from an ABI
+   * @param target Contract to call
+   * @param abi ethers Interface or ABI fragments of the target
+   * @param functionName Function to call
+   * @param args Function arguments, as an array or keyed by parameter name
+   * @param value Optional ETH to send with the call
+   */
+  addCall(target, abi, functionName, args = [], value = 0n) {
+    return this.add({ target, value, data: buildCalldata(abi, functionName, args) });
+  }
+
+  addEtherTransfer(to, amount) {
+    return this.add({ target: to, value: amount });
+  }
+
+  addTokenTransfer(token, to, amount) {
+    return this.addCall(token, erc20Interface, "transfer", [to, amount]);
+  }
+
+  build() {
+    if (this.calls.length === 0) {
+      throw new Error("Empty batch");
+    }
+    return this.calls.map((call) => ({ ...call }));
+  }
+}
+
+/**
+ * Splits calls into the parallel arrays executeBatch takes
+ * @param calls Array of { target, value, data }
+ * @return [targets, values, datas]
+ */
+function encodeBatch(calls) {
+  return [
+    calls.map((call) => getAddress(call.target)),
+    calls.map((call) => BigInt(call.value)),
+    calls.map((call) => hexlify(call.data))
+  ];
+}
+
+module.exports = {
+  BatchBuilder,
+  encodeBatch
+};
@@ -0,0 +1,234 @@
+const { Interface, Result, ZeroAddress, dataLength, dataSlice, formatEther, formatUnits, getAddress } = require("ethers");
+const { MULTISIG_ABI, RECOVERY_ABI } = require("./abi");
+
+// Token functions and events a wallet commonly meets, decoded without the caller supplying an ABI
+const ERC20_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+const ERC721_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)"
+];
+
+const ERC1155_ABI = [
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+];
+
+const DEFAULT_INTERFACES = [MULTISIG_ABI, RECOVERY_ABI, ERC20_ABI, ERC721_ABI, ERC1155_ABI].map((abi) => new Interface(abi));
+
+// Wallet functions whose arguments carry calls of their own, mapped to those calls
+const NESTED_CALLS = {
+  "executeTransaction(address,uint256,bytes,bytes[])": (args) => [{ target: args._target, value: args._value, data: args._data }],
+  "queueTransaction(address,uint256,bytes,bytes[])": (args) => [{ target: args._target, value: args._value, data: args._data }],
+  "submitTransaction(address,uint256,bytes)": (args) => [{ target: args._target, value: args._value, data: args._data }],
+  "executeBatch(address[],uint256[],bytes[],bytes[])": (args) =>
+    args._targets.map((target, i) => ({ target, value: args._values[i], data: args._datas[i] }))
+};
+
+function toInterface(abi) {
+  return abi instanceof Interface ? abi : new Interface(abi);
+}
+
+// Converts decoded ethers Results into plain arrays
+function toPlain(value) {
+  if (value instanceof Result || Array.isArray(value)) {
+    return [...value].map(toPlain);
+  }
+  return value;
+}
+
+/**
+ * Decodes call data against the given ABIs, then the wallet's own ABI and the token standards
+ * @param data Call data
+ * @param abis Optional ABIs (fragments or ethers Interfaces) of the contracts being called
+ * @return { name, signature, args } with args keyed by parameter name, or null if no ABI matches
+ */
+function decodeCalldata(data, abis = []) {
+  if (!data || data === "0x") {
+    return null;
+  }
+
+  for (const iface of [...abis.map(toInterface), ...DEFAULT_INTERFACES]) {
+    let parsed = null;
+    try {
+      parsed = iface.parseTransaction({ data });
+    } catch (error) {
+      // Malformed arguments for a matching selector; try the next ABI
+    }
+    if (parsed) {
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || String(i)] = toPlain(parsed.args[i]);
+      });
+      return { name: parsed.name, signature: parsed.signature, args };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Encodes call data from an ABI
+ * @param abi ethers Interface or ABI fragments of the contract being called
+ * @param functionName Function name, or its full signature when overloaded
+ * @param args Arguments as an array, or an object keyed by parameter name
+ */
+function buildCalldata(abi, functionName, args = []) {
+  const iface = toInterface(abi);
+  const fragment = iface.getFunction(functionName);
+  if (!fragment) {
+    throw new Error(`Function ${functionName} not found in ABI`);
+  }
+
+  let values = args;
+  if (!Array.isArray(args)) {
+    values = fragment.inputs.map((input) => {
+      if (!(input.name in args)) {
+        throw new Error(`Missing argument ${input.name} for ${fragment.format()}`);
+      }
+      return args[input.name];
+    });
+  }
+  return iface.encodeFunctionData(fragment, values);
+}
+
+/**
+ * Describes one call: the decoded function, whether it calls the wallet itself, and
+ * the calls nested in it when it drives another MultiSigWallet
+ * @param call target, value and data
+ * @param options wallet making the call and abis used to decode call data
+ * @return { target, value, data, self, function, args, calls }
+ */
+function describeCall(call, { wallet, abis = [] } = {}) {
+  const target = getAddress(call.target);
+  const data = call.data || "0x";
+  const decoded = decodeCalldata(data, abis);
+
+  const description = {
+    target,
+    value: BigInt(call.value || 0),
+    data,
+    self: Boolean(wallet) && getAddress(wallet) === target,
+    function: decoded ? decoded.signature : null,
+    args: decoded ? decoded.args : null,
+    calls: []
+  };
+
+  // Calls made through a nested wallet are made by that wallet
+  const nested = decoded && NESTED_CALLS[decoded.signature];
+  if (nested) {
+    description.calls = nested(decoded.args).map((inner) => describeCall(inner, { wallet: target, abis }));
+  }
+  return description;
+}
+
+/**
+ * Describes what signing a proposal approves
+ * @param proposal Single-call, batch or message proposal
+ * @param abis Optional ABIs used to decode call data
+ * @return { kind, chainId, wallet, nonce, hash, message, calls, refund } where kind is
+ * "transaction", "batch" or "message" and refund holds a relayed proposal's refund terms
+ */
+function summarizeProposal(proposal, abis = []) {
+  const summary = {
+    kind: "transaction",
+    chainId: proposal.chainId,
+    wallet: proposal.wallet,
+    nonce: proposal.nonce === undefined ? null : proposal.nonce,
+    hash: proposal.hash,
+    message: null,
+    calls: [],
+    refund: proposal.refund || null
+  };
+
+  if (proposal.message !== undefined) {
+    summary.kind = "message";
+    summary.message = proposal.message;
+    return summary;
+  }
+
+  let calls = [proposal];
+  if (Array.isArray(proposal.calls)) {
+    summary.kind = "batch";
+    calls = proposal.calls;
+  }
+  summary.calls = calls.map((call) => describeCall(call, { wallet: proposal.wallet, abis }));
+  return summary;
+}
+
+function formatArgument(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatArgument).join(", ")}]`;
+  }
+  return String(value);
+}
+
+function formatCall(call, label, indent) {
+  const lines = [`${indent}${label}: ${call.target}${call.self ? " (this wallet)" : ""}`];
+  lines.push(`${indent}  Value: ${formatEther(call.value)} ETH`);
+
+  if (call.function) {
+    lines.push(`${indent}  Function: ${call.function}`);
+    for (const [name, value] of Object.entries(call.args)) {
+      // Nested calls are listed below rather than as raw bytes
+      if (call.calls.length === 0 || !/^_(target|value|data)s?$/.test(name)) {
+        lines.push(`${indent}    ${name}: ${formatArgument(value)}`);
+      }
+    }
+  } else if (call.data !== "0x") {
+    lines.push(`${indent}  Unknown function ${dataSlice(call.data, 0, Math.min(4, dataLength(call.data)))} (${dataLength(call.data)} bytes)`);
+  }
+
+  call.calls.forEach((inner, i) => {
+    lines.push(...formatCall(inner, `Nested call ${i + 1} of ${call.calls.length}`, `${indent}    `));
+  });
+  return lines;
+}
+
+/**
+ * Renders a proposal summary as text for a signer to review
+ * @param summary Result of summarizeProposal
+ */
+function formatProposalSummary(summary) {
+  const lines = [`Wallet ${summary.wallet} on chain ${summary.chainId}`];
+  if (summary.kind === "message") {
+    lines.push(`Approves message ${summary.message}`);
+  } else {
+    lines.push(`Nonce ${summary.nonce}, ${summary.calls.length} call${summary.calls.length === 1 ? "" : "s"}`);
+    summary.calls.forEach((call, i) => {
+      lines.push(...formatCall(call, `Call ${i + 1} of ${summary.calls.length}`, "  "));
+    });
+  }
+  if (summary.refund) {
+    const { gasPrice, baseGas, receiver } = summary.refund;
+    const to = getAddress(receiver) === ZeroAddress ? "whoever submits it" : receiver;
+    lines.push(`Refunds gas to ${to}: up to ${formatUnits(gasPrice, "gwei")} gwei per gas, plus ${baseGas} gas`);
+  }
+  lines.push(`Hash ${summary.hash}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  ERC20_ABI,
+  ERC721_ABI,
+  ERC1155_ABI,
+  buildCalldata,
+  decodeCalldata,
+  describeCall,
+  summarizeProposal,
+  formatProposalSummary
+};
@@ -0,0 +1,72 @@
+const { AbiCoder, Contract, ZeroHash, concat, dataLength, dataSlice, getAddress, getBytes, isHexString, zeroPadValue } = require("ethers");
+
+// v marking an EIP-1271 contract signature, mirroring CONTRACT_SIGNATURE_V
+const CONTRACT_SIGNATURE_V = 1;
+
+// bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+const EIP1271_MAGIC_VALUE = "0x1626ba7e";
+
+const EIP1271_ABI = ["function isValidSignature(bytes32 _hash, bytes _signature) view returns (bytes4)"];
+
+function isContractSignature(signature) {
+  return isHexString(signature) && dataLength(signature) >= 65 && getBytes(signature)[64] === CONTRACT_SIGNATURE_V;
+}
+
+/**
+ * Wraps a contract signer's own signature in the header recoverSigner expects:
+ * r = signer address, s = 0, v = 1, followed by the signer-specific bytes
+ * @param signer Address of the EIP-1271 signer contract
+ * @param data Bytes passed to the signer's isValidSignature
+ */
+function encodeContractSignature(signer, data) {
+  return concat([zeroPadValue(getAddress(signer), 32), ZeroHash, "0x01", data]);
+}
+
+/**
+ * Splits a contract signature into the signer address and the signer-specific bytes
+ * @param signature Signature built by encodeContractSignature
+ */
+function decodeContractSignature(signature) {
+  if (!isContractSignature(signature)) {
+    throw new Error("Not a contract signature");
+  }
+  return {
+    signer: getAddress(dataSlice(signature, 12, 32)),
+    data: dataSlice(signature, 65)
+  };
+}
+
+/**
+ * Encodes signatures from a MultiSigWallet's own signers for its isValidSignature
+ * @param signatures Signatures over the wallet's getMessageHash(hash)
+ */
+function encodeWalletSignatures(signatures) {
+  return AbiCoder.defaultAbiCoder().encode(["bytes[]"], [signatures]);
+}
+
+/**
+ * Asks a contract signer whether it accepts a signature, as recoverSigner does
+ * @param runner ethers Provider or Signer
+ * @param hash Hash that was signed
+ * @param signature Contract signature built by encodeContractSignature
+ * @return true if isValidSignature returned the magic value
+ */
+async function verifyContractSignature(runner, hash, signature) {
+  const { signer, data } = decodeContractSignature(signature);
+  try {
+    const result = await new Contract(signer, EIP1271_ABI, runner).isValidSignature(hash, data);
+    return result === EIP1271_MAGIC_VALUE;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  CONTRACT_SIGNATURE_V,
+  EIP1271_MAGIC_VALUE,
+  isContractSignature,
+  encodeContractSignature,
+  decodeContractSignature,
+  encodeWalletSignatures,
+  verifyContractSignature
+};
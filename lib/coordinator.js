@@ -0,0 +1,348 @@
+const fs = require("fs");
+const { getAddress, isAddress } = require("ethers");
+const { isContractSignature, verifyContractSignature } = require("./contract-signature");
+const { joinUrl, listen, readJson, requestJson, respond } = require("./http");
+const { addSignatures, checkSignatures, isMessageProposal, normalizeProposal } = require("./proposal");
+const { MultiSigClient } = require("./multisig-client");
+
+/**
+ * Keeps proposals by hash, in memory or persisted to a JSON file in the proposal file format
+ */
+class ProposalStore {
+  /**
+   * @param path Optional JSON file to load from and save to (default: memory only)
+   */
+  constructor(path) {
+    this.path = path || null;
+    this.proposals = new Map();
+
+    if (this.path && fs.existsSync(this.path)) {
+      const { proposals } = JSON.parse(fs.readFileSync(this.path, "utf8"));
+      for (const proposal of proposals.map(normalizeProposal)) {
+        this.proposals.set(proposal.hash, proposal);
+      }
+    }
+  }
+
+  get(hash) {
+    return this.proposals.get(String(hash).toLowerCase()) || null;
+  }
+
+  all() {
+    return [...this.proposals.values()];
+  }
+
+  put(proposal) {
+    this.proposals.set(proposal.hash, proposal);
+    this.save();
+  }
+
+  save() {
+    if (!this.path) {
+      return;
+    }
+
+    // Write a temporary file first so a crash never leaves a half-written store
+    const json = JSON.stringify(
+      { proposals: this.all() },
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    );
+    fs.writeFileSync(`${this.path}.tmp`, json + "\n");
+    fs.renameSync(`${this.path}.tmp`, this.path);
+  }
+}
+
+/**
+ * Collects signatures for proposals in one place. Signers post proposals, fetch those
+ * pending for a wallet's current nonce and post their signatures, which are checked
+ * against getSigners() on receipt. Readiness is reported as client.validate sees it.
+ */
+class Coordinator {
+  /**
+   * @param provider ethers Provider of the chain the wallets are deployed on
+   * @param options store: a ProposalStore (default: in memory)
+   */
+  constructor(provider, { store = new ProposalStore() } = {}) {
+    this.provider = provider;
+    this.store = store;
+  }
+
+  client(wallet) {
+    return new MultiSigClient(wallet, this.provider);
+  }
+
+  /**
+   * Stores a new proposal, or adds the signatures it carries to a stored copy. A new
+   * proposal must carry at least one valid signature from a current signer, so the store
+   * only holds proposals a signer stands behind.
+   * @param input Proposal object or parsed proposal file
+   * @return Result of getStatus
+   */
+  async submit(input) {
+    const proposal = normalizeProposal(input);
+    const client = this.client(proposal.wallet);
+
+    if ((await this.provider.getCode(proposal.wallet)) === "0x") {
+      throw new Error(`No wallet deployed at ${proposal.wallet}`);
+    }
+    const chainId = await client.getChainId();
+    if (proposal.chainId !== chainId) {
+      throw new Error(`Proposal is for chain ${proposal.chainId}, not ${chainId}`);
+    }
+    if (!isMessageProposal(proposal)) {
+      const nonce = await client.getNonce();
+      if (proposal.nonce < nonce) {
+        throw new Error(`Proposal nonce ${proposal.nonce} was already used (wallet nonce ${nonce})`);
+      }
+    }
+
+    const stored = this.store.get(proposal.hash);
+    const added = await this.verifySignatures(stored || { ...proposal, signatures: [] }, proposal.signatures);
+    if (!stored && added.length === 0) {
+      throw new Error("A new proposal must carry a signature from a current signer");
+    }
+    return this.storeSignatures(proposal, added);
+  }
+
+  /**
+   * Verifies signatures against the wallet's current signers and stores them
+   * @param hash Proposal hash
+   * @param signatures Signature entries ({ signer, signature }) or raw signature strings
+   * @return Result of getStatus
+   */
+  async addSignatures(hash, signatures) {
+    const proposal = this.store.get(hash);
+    if (!proposal) {
+      throw new Error(`Unknown proposal ${hash}`);
+    }
+
+    return this.storeSignatures(proposal, await this.verifySignatures(proposal, signatures));
+  }
+
+  // Checks the signatures a proposal does not hold yet, returning them as { signer, signature }
+  async verifySignatures(proposal, signatures) {
+    const merged = addSignatures(proposal, signatures);
+    const added = merged.signatures.slice(proposal.signatures.length);
+    const signers = await this.client(proposal.wallet).getSigners();
+
+    for (const entry of checkSignatures({ ...proposal, signatures: added }, signers)) {
+      let reason = entry.reason;
+      if (!reason && isContractSignature(entry.signature) &&
+          !(await verifyContractSignature(this.provider, proposal.hash, entry.signature))) {
+        reason = "Invalid contract signature";
+      }
+      if (reason) {
+        throw new Error(`Signature from ${entry.signer} rejected: ${reason}`);
+      }
+    }
+    return added;
+  }
+
+  // Merges verified signatures into the stored copy as it is now, without awaiting in between,
+  // so signatures another request stored while these were being verified are kept
+  async storeSignatures(proposal, signatures) {
+    const stored = this.store.get(proposal.hash) || { ...proposal, signatures: [] };
+    const merged = addSignatures(stored, signatures);
+    if (merged.signatures.length > stored.signatures.length) {
+      this.store.put(merged);
+    }
+    return this.getStatus(proposal.hash);
+  }
+
+  /**
+   * Reports a stored proposal and how close it is to executing
+   * @param hash Proposal hash
+   * @return { proposal, status } where status holds state ("pending", "ready" or "stale"
+   * once the wallet has used the nonce), threshold, validCount, missing (signers who have
+   * not signed) and errors from client.validate; null if the proposal is unknown
+   */
+  async getStatus(hash) {
+    const proposal = this.store.get(hash);
+    if (!proposal) {
+      return null;
+    }
+
+    const client = this.client(proposal.wallet);
+    const [validation, signers] = await Promise.all([client.validate(proposal), client.getSigners()]);
+
+    let state = validation.ready ? "ready" : "pending";
+    if (!isMessageProposal(proposal) && proposal.nonce < validation.nonce) {
+      state = "stale";
+    }
+
+    const signed = new Set(validation.signatures.filter((entry) => entry.valid).map((entry) => entry.recovered));
+    return {
+      proposal,
+      status: {
+        state,
+        threshold: validation.threshold,
+        validCount: validation.validCount,
+        missing: signers.filter((signer) => !signed.has(getAddress(signer))),
+        errors: validation.errors
+      }
+    };
+  }
+
+  /**
+   * Lists a wallet's proposals for one nonce, with their status
+   * @param wallet Wallet address
+   * @param options nonce (default: the wallet's current nonce); message proposals are always listed
+   */
+  async listPending(wallet, { nonce } = {}) {
+    const address = getAddress(wallet);
+    const current = nonce === undefined || nonce === null ? await this.client(address).getNonce() : BigInt(nonce);
+
+    const results = [];
+    for (const proposal of this.store.all()) {
+      if (proposal.wallet === address && (isMessageProposal(proposal) || proposal.nonce === current)) {
+        results.push(await this.getStatus(proposal.hash));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Reads what signers need to build proposals without their own node
+   * @param wallet Wallet address
+   * @return { wallet, chainId, nonce, threshold, signers }
+   */
+  async getWallet(wallet) {
+    const client = this.client(wallet);
+    const [chainId, nonce, threshold, signers] = await Promise.all([
+      client.getChainId(),
+      client.getNonce(),
+      client.getThreshold(),
+      client.getSigners()
+    ]);
+    return { wallet: client.address, chainId, nonce, threshold, signers: [...signers] };
+  }
+
+  /**
+   * Starts the HTTP API:
+   * POST /proposals, GET /proposals/<hash>, POST /proposals/<hash>/signatures,
+   * GET /wallets/<address> and GET /wallets/<address>/proposals[?nonce=n]
+   * @param port Port to listen on (0 picks a free one)
+   * @param host Interface to bind (default: 127.0.0.1)
+   * @return The http.Server, already listening
+   */
+  listen(port, host = "127.0.0.1") {
+    return listen((request, response, url) => this.handle(request, response, url), port, host);
+  }
+
+  async handle(request, response, url) {
+    const path = url.pathname.split("/").filter((part) => part.length > 0);
+
+    try {
+      if (request.method === "POST" && path.length === 1 && path[0] === "proposals") {
+        return respond(response, 201, await this.submit(await readJson(request)));
+      }
+
+      if (path[0] === "proposals" && /^0x[0-9a-fA-F]{64}$/.test(path[1] || "")) {
+        if (request.method === "GET" && path.length === 2) {
+          const result = await this.getStatus(path[1]);
+          return result
+            ? respond(response, 200, result)
+            : respond(response, 404, { error: `Unknown proposal ${path[1]}` });
+        }
+        if (request.method === "POST" && path.length === 3 && path[2] === "signatures") {
+          if (!this.store.get(path[1])) {
+            return respond(response, 404, { error: `Unknown proposal ${path[1]}` });
+          }
+          const { signatures } = await readJson(request);
+          if (!Array.isArray(signatures)) {
+            throw new Error("Expected { signatures: [...] }");
+          }
+          return respond(response, 200, await this.addSignatures(path[1], signatures));
+        }
+      }
+
+      if (request.method === "GET" && path[0] === "wallets" && isAddress(path[1] || "")) {
+        if (path.length === 2) {
+          return respond(response, 200, await this.getWallet(path[1]));
+        }
+        if (path.length === 3 && path[2] === "proposals") {
+          const nonce = url.searchParams.get("nonce");
+          return respond(response, 200, await this.listPending(path[1], { nonce }));
+        }
+      }
+    } catch (error) {
+      return respond(response, 400, { error: error.message });
+    }
+
+    return respond(response, 404, { error: "Not found" });
+  }
+}
+
+// Responses carry proposals in the file format; restore their bigint fields
+function parseResult({ proposal, status }) {
+  return {
+    proposal: normalizeProposal(proposal),
+    status: { ...status, threshold: BigInt(status.threshold) }
+  };
+}
+
+/**
+ * Posts a proposal, with any signatures it already carries, to a coordinator
+ * @param url Base URL of the coordinator, e.g. http://127.0.0.1:8700
+ * @param proposal Proposal object
+ * @return { proposal, status } as stored by the coordinator
+ */
+async function postProposal(url, proposal) {
+  return parseResult(await requestJson(joinUrl(url, "/proposals"), { method: "POST", body: proposal }));
+}
+
+/**
+ * Posts signatures for a proposal the coordinator already holds
+ * @param url Base URL of the coordinator
+ * @param hash Proposal hash
+ * @param signatures Signature entries ({ signer, signature }) or raw signature strings
+ */
+async function postSignatures(url, hash, signatures) {
+  return parseResult(await requestJson(joinUrl(url, `/proposals/${hash}/signatures`), {
+    method: "POST",
+    body: { signatures }
+  }));
+}
+
+/**
+ * Fetches a proposal and its status from a coordinator
+ * @param url Base URL of the coordinator
+ * @param hash Proposal hash
+ */
+async function getProposalStatus(url, hash) {
+  return parseResult(await requestJson(joinUrl(url, `/proposals/${hash}`)));
+}
+
+/**
+ * Fetches a wallet's proposals for its current nonce (or the nonce given) from a coordinator
+ * @param url Base URL of the coordinator
+ * @param wallet Wallet address
+ * @param options Optional nonce
+ */
+async function getPendingProposals(url, wallet, { nonce } = {}) {
+  const query = nonce === undefined || nonce === null ? "" : `?nonce=${nonce}`;
+  const results = await requestJson(joinUrl(url, `/wallets/${getAddress(wallet)}/proposals${query}`));
+  return results.map(parseResult);
+}
+
+/**
+ * Reads a wallet's chain, nonce, threshold and signers through a coordinator
+ * @param url Base URL of the coordinator
+ * @param wallet Wallet address
+ * @return { wallet, chainId, nonce, threshold, signers }
+ */
+async function getWalletInfo(url, wallet) {
+  const info = await requestJson(joinUrl(url, `/wallets/${getAddress(wallet)}`));
+  return { ...info, chainId: BigInt(info.chainId), nonce: BigInt(info.nonce), threshold: BigInt(info.threshold) };
+}
+
+module.exports = {
+  ProposalStore,
+  Coordinator,
+  postProposal,
+  postSignatures,
+  getProposalStatus,
+  getPendingProposals,
+  getWalletInfo
+};
@@ -0,0 +1,86 @@
+const { getAddress } = require("ethers");
+const MultiSigWalletModule = require("../ignition/modules/MultiSigWallet");
+const GuardianRecoveryModule = require("../ignition/modules/GuardianRecovery");
+const { validateSignerConfig } = require("./signer-config");
+
+// GuardianRecovery.MIN_DELAY: one day
+const MIN_RECOVERY_DELAY = 86400n;
+
+/**
+ * Reads the signer set back from a deployed wallet and fails if it differs from the expected one
+ * @param multisig MultiSigWallet contract instance
+ * @param expected Normalized { signers, threshold }
+ */
+async function verifyDeployment(multisig, expected) {
+  const signers = await multisig.getSigners();
+  const threshold = await multisig.threshold();
+
+  if (signers.length !== expected.signers.length || signers.some((signer, i) => signer !== expected.signers[i])) {
+    throw new Error(`Deployed wallet reports signers ${signers.join(",")}, expected ${expected.signers.join(",")}`);
+  }
+  if (threshold !== expected.threshold) {
+    throw new Error(`Deployed wallet reports threshold ${threshold}, expected ${expected.threshold}`);
+  }
+
+  return { signers, threshold };
+}
+
+/**
+ * Validates a signer set, deploys it through the Ignition module and verifies the result
+ * @param hre Hardhat runtime environment
+ * @param config Signer addresses and threshold
+ * @return Deployed MultiSigWallet contract instance
+ */
+async function deployMultiSigWallet(hre, { signers, threshold }) {
+  const config = validateSignerConfig(signers, threshold);
+
+  const { multisig } = await hre.ignition.deploy(MultiSigWalletModule, {
+    parameters: {
+      MultiSigWalletModule: {
+        signers: config.signers,
+        threshold: config.threshold
+      }
+    }
+  });
+
+  await verifyDeployment(multisig, config);
+  return multisig;
+}
+
+/**
+ * Validates a guardian set, deploys a GuardianRecovery module for a wallet through Ignition
+ * and verifies the result. The wallet's signers must still enable the module.
+ * @param hre Hardhat runtime environment
+ * @param config wallet address, guardian addresses, guardian threshold and delay in seconds
+ * @return Deployed GuardianRecovery contract instance
+ */
+async function deployGuardianRecovery(hre, { wallet, guardians, threshold, delay }) {
+  // Guardian sets follow the same rules as signer sets
+  const config = validateSignerConfig(guardians, threshold);
+  if (BigInt(delay) < MIN_RECOVERY_DELAY) {
+    throw new Error(`Recovery delay must be at least ${MIN_RECOVERY_DELAY} seconds`);
+  }
+
+  const { recovery } = await hre.ignition.deploy(GuardianRecoveryModule, {
+    parameters: {
+      GuardianRecoveryModule: {
+        wallet: getAddress(wallet),
+        guardians: config.signers,
+        threshold: config.threshold,
+        delay: BigInt(delay)
+      }
+    }
+  });
+
+  const deployed = await recovery.getGuardians();
+  if (deployed.length !== config.signers.length || deployed.some((guardian, i) => guardian !== config.signers[i])) {
+    throw new Error(`Deployed module reports guardians ${deployed.join(",")}, expected ${config.signers.join(",")}`);
+  }
+  return recovery;
+}
+
+module.exports = {
+  verifyDeployment,
+  deployMultiSigWallet,
+  deployGuardianRecovery
+};
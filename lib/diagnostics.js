@@ -0,0 +1,171 @@
+const { SigningKey, dataLength, dataSlice, getAddress, getBytes, hashMessage, isHexString, toBigInt, computeAddress } = require("ethers");
+const { TYPED_SIGNATURE_V_OFFSET } = require("./typed-data");
+const { decodeContractSignature, isContractSignature } = require("./contract-signature");
+
+// Upper bound recoverSigner accepts for 's' (secp256k1n / 2)
+const MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0n;
+
+// Revert strings raised while verifying signatures, in the order the contract checks them
+const REVERTS = {
+  timelock: "Transaction must be queued",
+  policy: "Denied by policy",
+  threshold: "Not enough signatures",
+  length: "Invalid signature length",
+  contract: "Invalid contract signature",
+  s: "Invalid signature 's' value",
+  v: "Invalid signature 'v' value",
+  ecrecover: "ECDSA: invalid signature",
+  signer: "Invalid signer",
+  duplicate: "Duplicate signer"
+};
+
+// ecrecover returns address(0) instead of failing; model that with null
+function ecrecover(digest, r, s, v) {
+  try {
+    return computeAddress(SigningKey.recoverPublicKey(digest, { r, s, v }));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Applies recoverSigner's rules to one signature
+ * @param hash Transaction hash the signature should cover
+ * @param signature Signature bytes
+ * @return { kind, rule, reason, recovered } where kind is "eth_sign", "typed" or "contract"
+ * and rule is the first rule that failed (null if none)
+ */
+function diagnoseSignature(hash, signature) {
+  if (!isHexString(signature) || dataLength(signature) < 65) {
+    return { kind: null, rule: "length", reason: REVERTS.length, recovered: null };
+  }
+
+  // Contract signatures name their signer; isValidSignature can only be checked on-chain
+  if (isContractSignature(signature)) {
+    return { kind: "contract", rule: null, reason: null, recovered: decodeContractSignature(signature).signer };
+  }
+
+  if (dataLength(signature) !== 65) {
+    return { kind: null, rule: "length", reason: REVERTS.length, recovered: null };
+  }
+
+  const r = dataSlice(signature, 0, 32);
+  const s = dataSlice(signature, 32, 64);
+  let v = getBytes(signature)[64];
+
+  if (toBigInt(s) > MAX_S) {
+    return { kind: null, rule: "s", reason: REVERTS.s, recovered: null };
+  }
+
+  // v above 30 selects the raw EIP-712 digest, otherwise the Ethereum signed message prefix applies
+  let kind = "eth_sign";
+  let digest = hashMessage(getBytes(hash));
+  if (v > 30) {
+    kind = "typed";
+    v -= TYPED_SIGNATURE_V_OFFSET;
+    digest = hash;
+  }
+
+  if (v !== 27 && v !== 28) {
+    return { kind, rule: "v", reason: REVERTS.v, recovered: null };
+  }
+
+  const recovered = ecrecover(digest, r, s, v);
+  if (recovered === null) {
+    return { kind, rule: "ecrecover", reason: REVERTS.ecrecover, recovered: null };
+  }
+
+  return { kind, rule: null, reason: null, recovered };
+}
+
+/**
+ * Predicts how verifySignatures will treat a set of signatures
+ * @param hash Transaction hash being signed
+ * @param signatures Signature bytes, in the order they will be submitted
+ * @param signers Current signer addresses (getSigners())
+ * @param threshold Signatures required (the wallet threshold or the proposal's policy threshold)
+ * @param timelocked True if the proposal must be queued, which execution checks before anything else
+ * @param denied True if a policy rejects the proposal before any signature is checked
+ * @param contractResults Optional Map of signature index to the on-chain isValidSignature outcome
+ * @return Per-signature report plus the revert string executeTransaction would produce (null if it passes)
+ */
+function diagnoseSignatures({
+  hash,
+  signatures,
+  signers,
+  threshold,
+  timelocked = false,
+  denied = false,
+  contractResults = new Map()
+}) {
+  const authorized = new Set(signers.map((signer) => getAddress(signer)));
+  const firstIndex = new Map();
+
+  const reports = signatures.map((signature, index) => {
+    let { kind, rule, reason, recovered } = diagnoseSignature(hash, signature);
+    if (kind === "contract" && contractResults.get(index) === false) {
+      rule = "contract";
+      reason = REVERTS.contract;
+      recovered = null;
+    }
+
+    const report = {
+      index,
+      signature,
+      kind,
+      recovered,
+      isSigner: recovered !== null && authorized.has(recovered),
+      duplicateOf: null,
+      rule,
+      reason
+    };
+
+    if (recovered === null) {
+      return report;
+    }
+
+    if (firstIndex.has(recovered)) {
+      report.duplicateOf = firstIndex.get(recovered);
+    } else {
+      firstIndex.set(recovered, index);
+    }
+
+    // Same precedence as verifySignatures: membership first, then duplicates
+    if (!report.isSigner) {
+      report.rule = "signer";
+      report.reason = REVERTS.signer;
+    } else if (report.duplicateOf !== null) {
+      report.rule = "duplicate";
+      report.reason = REVERTS.duplicate;
+    }
+
+    return report;
+  });
+
+  let expectedRevert = null;
+  if (timelocked) {
+    expectedRevert = REVERTS.timelock;
+  } else if (denied) {
+    expectedRevert = REVERTS.policy;
+  } else if (BigInt(signatures.length) < BigInt(threshold)) {
+    expectedRevert = REVERTS.threshold;
+  } else {
+    const failing = reports.find((report) => report.reason !== null);
+    expectedRevert = failing ? failing.reason : null;
+  }
+
+  return {
+    hash,
+    threshold: BigInt(threshold),
+    timelocked,
+    signatures: reports,
+    expectedRevert
+  };
+}
+
+module.exports = {
+  MAX_S,
+  REVERTS,
+  diagnoseSignature,
+  diagnoseSignatures
+};
@@ -0,0 +1,199 @@
+const { Interface, getAddress } = require("ethers");
+const { MULTISIG_ABI } = require("./abi");
+
+const multisigInterface = new Interface(MULTISIG_ABI);
+
+/**
+ * Parses MultiSigWallet events, skipping logs emitted by other contracts
+ * @param logs Logs from a receipt or provider.getLogs
+ * @param wallet Optional wallet address; logs from other addresses are skipped
+ * @return Array of { name, args, log } in log order
+ */
+function parseWalletLogs(logs, wallet) {
+  const address = wallet ? getAddress(wallet) : null;
+  const events = [];
+
+  for (const log of logs) {
+    if (address && getAddress(log.address) !== address) {
+      continue;
+    }
+
+    let parsed = null;
+    try {
+      parsed = multisigInterface.parseLog(log);
+    } catch (error) {
+      // Not a MultiSigWallet event
+    }
+    if (parsed) {
+      events.push({ name: parsed.name, args: parsed.args, log });
+    }
+  }
+
+  return events.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+}
+
+function emptyRecord(nonce) {
+  return {
+    nonce,
+    txHash: null,
+    kind: "transaction",
+    status: "approved",
+    approvers: [],
+    calls: [],
+    proposalId: null,
+    eta: null,
+    cancelledBy: null,
+    signerUpdate: null,
+    approvedIn: null,
+    executedIn: null
+  };
+}
+
+function location(log) {
+  return { transactionHash: log.transactionHash, blockNumber: log.blockNumber, logIndex: log.index };
+}
+
+/**
+ * Turns wallet events into one readable record per nonce: who approved it, what it
+ * called, and whether it executed, was queued, cancelled or only invalidated the nonce
+ * @param logs Logs from a receipt or provider.getLogs
+ * @param wallet Optional wallet address; logs from other addresses are skipped
+ * @return Records ordered by nonce
+ */
+function decodeExecutionRecords(logs, wallet) {
+  const byNonce = new Map();
+  const byHash = new Map();
+
+  const recordFor = (nonce) => {
+    const key = BigInt(nonce);
+    if (!byNonce.has(key)) {
+      byNonce.set(key, emptyRecord(key));
+    }
+    return byNonce.get(key);
+  };
+
+  // SignersUpdated carries no nonce; it belongs to the record its transaction touches.
+  // A queued update emits it before the events that identify the record.
+  const touched = new Map();
+  const pendingUpdates = new Map();
+  const directUpdates = new Map();
+  const applyUpdate = (record, update, log) => {
+    record.kind = "signers";
+    record.signerUpdate = update;
+    if (record.status === "approved") {
+      record.status = "executed";
+      record.executedIn = location(log);
+      directUpdates.set(record, getAddress(log.address));
+    }
+  };
+  // addSigner, removeSigner, swapSigner and changeThreshold run as self-calls
+  const pendingChanges = new Set();
+  const touch = (record, log) => {
+    touched.set(log.transactionHash, record);
+    if (pendingUpdates.has(log.transactionHash)) {
+      applyUpdate(record, pendingUpdates.get(log.transactionHash), log);
+      pendingUpdates.delete(log.transactionHash);
+    }
+    if (pendingChanges.has(log.transactionHash)) {
+      record.kind = "signers";
+      pendingChanges.delete(log.transactionHash);
+    }
+    return record;
+  };
+
+  for (const { name, args, log } of parseWalletLogs(logs, wallet)) {
+    switch (name) {
+      case "TransactionApproved": {
+        const record = touch(recordFor(args.nonce), log);
+        record.txHash = args.txHash;
+        record.approvers = [...args.approvers];
+        record.approvedIn = location(log);
+        byHash.set(args.txHash, record);
+        break;
+      }
+      case "TransactionQueued": {
+        const record = touch(recordFor(args.nonce), log);
+        record.txHash = args.txHash;
+        record.status = "queued";
+        record.eta = args.eta;
+        record.calls = [{ target: args.target, value: args.value, data: args.data }];
+        byHash.set(args.txHash, record);
+        break;
+      }
+      case "TransactionExecuted": {
+        const record = touch(recordFor(args.nonce), log);
+        // Queued records already list their call
+        if (record.status !== "queued") {
+          record.calls.push({ target: args.target, value: args.value, data: args.data });
+        }
+        record.status = "executed";
+        record.executedIn = location(log);
+        break;
+      }
+      case "BatchExecuted":
+        touch(recordFor(args.nonce), log).kind = "batch";
+        break;
+      case "ProposalExecuted":
+        touch(recordFor(args.nonce), log).proposalId = args.proposalId;
+        break;
+      case "NonceInvalidated": {
+        const record = touch(recordFor(args.nonce), log);
+        record.kind = "cancellation";
+        record.status = "executed";
+        record.executedIn = location(log);
+        break;
+      }
+      case "QueuedTransactionExecuted":
+      case "TransactionCancelled": {
+        const record = byHash.get(args.txHash);
+        if (record && name === "TransactionCancelled") {
+          record.status = "cancelled";
+          record.cancelledBy = args.signer;
+        }
+        if (record) {
+          touch(record, log);
+        }
+        break;
+      }
+      case "SignersUpdated": {
+        const update = { signers: [...args.newSigners], threshold: args.newThreshold };
+        if (touched.has(log.transactionHash)) {
+          applyUpdate(touched.get(log.transactionHash), update, log);
+        } else {
+          pendingUpdates.set(log.transactionHash, update);
+        }
+        break;
+      }
+      case "SignerAdded":
+      case "SignerRemoved":
+      case "ThresholdChanged":
+        if (touched.has(log.transactionHash)) {
+          touched.get(log.transactionHash).kind = "signers";
+        } else {
+          pendingChanges.add(log.transactionHash);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // A direct updateSigners call emits no TransactionExecuted; list the call it stands for
+  for (const [record, address] of directUpdates) {
+    if (record.calls.length === 0) {
+      const { signers, threshold } = record.signerUpdate;
+      record.calls.push({
+        target: address,
+        value: 0n,
+        data: multisigInterface.encodeFunctionData("updateSigners", [signers, threshold, []])
+      });
+    }
+  }
+
+  return [...byNonce.values()].sort((a, b) => (a.nonce < b.nonce ? -1 : a.nonce > b.nonce ? 1 : 0));
+}
+
+module.exports = {
+  parseWalletLogs,
+  decodeExecutionRecords
+};
@@ -0,0 +1,206 @@
+const { AbiCoder, concat, getAddress, id, keccak256 } = require("ethers");
+
+// EIP-712 domain used by MultiSigWallet's constructor
+const DOMAIN_NAME = "MultiSigWallet";
+const DOMAIN_VERSION = "1";
+
+// Same preimages as the contract's private constants
+const EIP712_DOMAIN_TYPEHASH = id(
+  "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+);
+const TX_TYPEHASH = id("Transaction(address target,uint256 value,bytes data,uint256 nonce)");
+const CALL_TYPEHASH = id("Call(address target,uint256 value,bytes data)");
+const BATCH_TYPEHASH = id("Batch(Call[] calls,uint256 nonce)Call(address target,uint256 value,bytes data)");
+const MESSAGE_TYPEHASH = id("Message(bytes32 hash)");
+const REFUND_TYPEHASH = id("Refund(uint256 gasPrice,uint256 baseGas,address receiver)");
+const RELAYED_TX_TYPEHASH = id(
+  "RelayedTransaction(Transaction transaction,Refund refund)" +
+  "Refund(uint256 gasPrice,uint256 baseGas,address receiver)" +
+  "Transaction(address target,uint256 value,bytes data,uint256 nonce)"
+);
+
+// Mirrors TX_TYPEHASH for signTypedData-style encoders
+const TRANSACTION_TYPES = {
+  Transaction: [
+    { name: "target", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "nonce", type: "uint256" }
+  ]
+};
+
+// Mirrors BATCH_TYPEHASH for signTypedData-style encoders
+const BATCH_TYPES = {
+  Batch: [
+    { name: "calls", type: "Call[]" },
+    { name: "nonce", type: "uint256" }
+  ],
+  Call: [
+    { name: "target", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" }
+  ]
+};
+
+// Mirrors RELAYED_TX_TYPEHASH for signTypedData-style encoders
+const RELAYED_TRANSACTION_TYPES = {
+  RelayedTransaction: [
+    { name: "transaction", type: "Transaction" },
+    { name: "refund", type: "Refund" }
+  ],
+  Refund: [
+    { name: "gasPrice", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "receiver", type: "address" }
+  ],
+  ...TRANSACTION_TYPES
+};
+
+// Mirrors MESSAGE_TYPEHASH, used when this wallet approves another contract's hash (EIP-1271)
+const MESSAGE_TYPES = {
+  Message: [{ name: "hash", type: "bytes32" }]
+};
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Builds the EIP-712 domain of a deployed wallet
+ * @param chainId Chain the wallet is deployed on
+ * @param walletAddress Address of the MultiSigWallet contract
+ */
+function getDomain(chainId, walletAddress) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: getAddress(walletAddress)
+  };
+}
+
+/**
+ * Reproduces the DOMAIN_SEPARATOR set in the constructor
+ * @param chainId Chain the wallet is deployed on
+ * @param walletAddress Address of the MultiSigWallet contract
+ */
+function getDomainSeparator(chainId, walletAddress) {
+  return keccak256(
+    abiCoder.encode(
+      ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+      [EIP712_DOMAIN_TYPEHASH, id(DOMAIN_NAME), id(DOMAIN_VERSION), BigInt(chainId), getAddress(walletAddress)]
+    )
+  );
+}
+
+/**
+ * Reproduces the Transaction struct hash built inside getTransactionHash
+ * @param tx Transaction fields: target, value, data and nonce
+ */
+function getTransactionStructHash({ target, value, data, nonce }) {
+  return keccak256(
+    abiCoder.encode(
+      ["bytes32", "address", "uint256", "bytes32", "uint256"],
+      [TX_TYPEHASH, getAddress(target), BigInt(value), keccak256(data), BigInt(nonce)]
+    )
+  );
+}
+
+/**
+ * Computes the same digest as MultiSigWallet.getTransactionHash without any node access
+ * @param chainId Chain the wallet is deployed on
+ * @param walletAddress Address of the MultiSigWallet contract
+ * @param tx Transaction fields: target, value, data and nonce
+ * @return Hash to be signed using standard wallet signing methods
+ */
+function getTransactionHash(chainId, walletAddress, tx) {
+  return keccak256(
+    concat(["0x1901", getDomainSeparator(chainId, walletAddress), getTransactionStructHash(tx)])
+  );
+}
+
+/**
+ * Computes the same digest as MultiSigWallet.getRelayedTransactionHash without any node access
+ * @param chainId Chain the wallet is deployed on
+ * @param walletAddress Address of the MultiSigWallet contract
+ * @param tx Transaction fields: target, value, data and nonce
+ * @param refund Refund terms: gasPrice, baseGas and receiver
+ */
+function getRelayedTransactionHash(chainId, walletAddress, tx, { gasPrice, baseGas, receiver }) {
+  const refundHash = keccak256(
+    abiCoder.encode(
+      ["bytes32", "uint256", "uint256", "address"],
+      [REFUND_TYPEHASH, BigInt(gasPrice), BigInt(baseGas), getAddress(receiver)]
+    )
+  );
+  const structHash = keccak256(
+    abiCoder.encode(["bytes32", "bytes32", "bytes32"], [RELAYED_TX_TYPEHASH, getTransactionStructHash(tx), refundHash])
+  );
+  return keccak256(concat(["0x1901", getDomainSeparator(chainId, walletAddress), structHash]));
+}
+
+/**
+ * Reproduces the Batch struct hash built inside getBatchHash
+ * @param calls Array of { target, value, data }
+ * @param nonce Nonce the batch is signed for
+ */
+function getBatchStructHash(calls, nonce) {
+  const callHashes = calls.map(({ target, value, data }) =>
+    keccak256(
+      abiCoder.encode(
+        ["bytes32", "address", "uint256", "bytes32"],
+        [CALL_TYPEHASH, getAddress(target), BigInt(value), keccak256(data)]
+      )
+    )
+  );
+
+  return keccak256(
+    abiCoder.encode(["bytes32", "bytes32", "uint256"], [BATCH_TYPEHASH, keccak256(concat(callHashes)), BigInt(nonce)])
+  );
+}
+
+/**
+ * Computes the same digest as MultiSigWallet.getBatchHash without any node access
+ * @param chainId Chain the wallet is deployed on
+ * @param walletAddress Address of the MultiSigWallet contract
+ * @param calls Array of { target, value, data }
+ * @param nonce Nonce the batch is signed for
+ */
+function getBatchHash(chainId, walletAddress, calls, nonce) {
+  return keccak256(
+    concat(["0x1901", getDomainSeparator(chainId, walletAddress), getBatchStructHash(calls, nonce)])
+  );
+}
+
+/**
+ * Computes the same digest as MultiSigWallet.getMessageHash without any node access
+ * @param chainId Chain the wallet is deployed on
+ * @param walletAddress Address of the MultiSigWallet approving the message
+ * @param message Hash being approved, e.g. another wallet's transaction hash
+ */
+function getMessageHash(chainId, walletAddress, message) {
+  const structHash = keccak256(abiCoder.encode(["bytes32", "bytes32"], [MESSAGE_TYPEHASH, message]));
+  return keccak256(concat(["0x1901", getDomainSeparator(chainId, walletAddress), structHash]));
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  EIP712_DOMAIN_TYPEHASH,
+  TX_TYPEHASH,
+  CALL_TYPEHASH,
+  BATCH_TYPEHASH,
+  MESSAGE_TYPEHASH,
+  REFUND_TYPEHASH,
+  RELAYED_TX_TYPEHASH,
+  TRANSACTION_TYPES,
+  RELAYED_TRANSACTION_TYPES,
+  BATCH_TYPES,
+  MESSAGE_TYPES,
+  getDomain,
+  getDomainSeparator,
+  getTransactionStructHash,
+  getTransactionHash,
+  getRelayedTransactionHash,
+  getBatchStructHash,
+  getBatchHash,
+  getMessageHash
+};
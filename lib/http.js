@@ -0,0 +1,97 @@
+const http = require("http");
+
+// Largest request body the HTTP APIs accept
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// JSON with bigints as decimal strings, as in proposal files
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+function respond(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(toJson(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @return The parsed body; throws with "Invalid request body" if it is not JSON
+ */
+async function readJson(request) {
+  try {
+    return JSON.parse(await readBody(request));
+  } catch (error) {
+    throw new Error(`Invalid request body: ${error.message}`);
+  }
+}
+
+/**
+ * Starts an HTTP server whose handler answers with respond(); errors it throws become 500s
+ * @param handler async (request, response, url) => void
+ * @param port Port to listen on (0 picks a free one)
+ * @param host Interface to bind
+ * @return The http.Server, already listening
+ */
+function listen(handler, port, host) {
+  const server = http.createServer((request, response) => {
+    handler(request, response, new URL(request.url, "http://localhost")).catch((error) => {
+      respond(response, 500, { error: error.message });
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+/**
+ * Calls a JSON HTTP API, throwing the server's { error } message on failure
+ * @param url Full URL
+ * @param options method (default GET) and body, which is sent as JSON
+ */
+async function requestJson(url, { method = "GET", body } = {}) {
+  const options = { method };
+  if (body !== undefined) {
+    options.headers = { "Content-Type": "application/json" };
+    options.body = toJson(body);
+  }
+
+  const response = await fetch(url, options);
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `${url} answered ${response.status}`);
+  }
+  return result;
+}
+
+function joinUrl(base, path) {
+  return `${base.replace(/\/$/, "")}${path}`;
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  toJson,
+  respond,
+  readJson,
+  listen,
+  requestJson,
+  joinUrl
+};
@@ -0,0 +1,45 @@
+const { MULTISIG_ABI, RECOVERY_ABI } = require("./abi");
+const hash = require("./hash");
+const proposal = require("./proposal");
+const diagnostics = require("./diagnostics");
+const { BatchBuilder, encodeBatch } = require("./batch");
+const typedData = require("./typed-data");
+const contractSignature = require("./contract-signature");
+const events = require("./events");
+const calldata = require("./calldata");
+const indexer = require("./indexer");
+const simulation = require("./simulation");
+const assets = require("./assets");
+const { diffSigners, planSignerChanges, validateSignerConfig } = require("./signer-config");
+const { MultiSigClient } = require("./multisig-client");
+const { RecoveryClient } = require("./recovery");
+const { Relayer, getRelayStatus, relayProposal } = require("./relayer");
+const coordinator = require("./coordinator");
+const signers = require("./signers");
+
+module.exports = {
+  MULTISIG_ABI,
+  RECOVERY_ABI,
+  MultiSigClient,
+  RecoveryClient,
+  Relayer,
+  relayProposal,
+  getRelayStatus,
+  BatchBuilder,
+  encodeBatch,
+  validateSignerConfig,
+  diffSigners,
+  planSignerChanges,
+  ...hash,
+  ...proposal,
+  ...diagnostics,
+  ...typedData,
+  ...contractSignature,
+  ...events,
+  ...calldata,
+  ...indexer,
+  ...simulation,
+  ...assets,
+  ...coordinator,
+  ...signers
+};
@@ -0,0 +1,301 @@
+const { Contract, getAddress } = require("ethers");
+const { MULTISIG_ABI } = require("./abi");
+const { decodeExecutionRecords, parseWalletLogs } = require("./events");
+const { decodeCalldata } = require("./calldata");
+
+// Columns of the CSV export, in order
+const HISTORY_COLUMNS = [
+  "blockNumber",
+  "timestamp",
+  "transactionHash",
+  "logIndex",
+  "type",
+  "status",
+  "nonce",
+  "epoch",
+  "from",
+  "to",
+  "value",
+  "function",
+  "args",
+  "data",
+  "approvers"
+];
+
+// Blocks per getLogs request; public RPC providers reject wider ranges or too many results
+const LOG_BLOCK_RANGE = 2000;
+
+// Orders two { blockNumber, logIndex } positions
+function comparePositions(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex || (a.callIndex || 0) - (b.callIndex || 0);
+}
+
+/**
+ * Reads a contract's logs from fromBlock to toBlock, blockRange blocks per request
+ */
+async function getLogsInChunks(provider, address, fromBlock, toBlock, blockRange) {
+  const logs = [];
+  for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += blockRange) {
+    const chunkEnd = Math.min(chunkStart + blockRange - 1, toBlock);
+    logs.push(...(await provider.getLogs({ address, fromBlock: chunkStart, toBlock: chunkEnd })));
+  }
+  return logs;
+}
+
+/**
+ * Reads the signer set in force before fromBlock, if the wallet existed then
+ */
+async function readInitialEpoch(provider, address, fromBlock) {
+  if (fromBlock === 0 || (await provider.getCode(address, fromBlock - 1)) === "0x") {
+    return null;
+  }
+
+  const contract = new Contract(address, MULTISIG_ABI, provider);
+  const blockTag = fromBlock - 1;
+  const [signers, threshold] = await Promise.all([
+    contract.getSigners({ blockTag }),
+    contract.threshold({ blockTag })
+  ]);
+  return { signers: [...signers], threshold, start: { blockNumber: -1, logIndex: -1 }, transactionHash: null };
+}
+
+/**
+ * Builds the wallet's history from its events: deposits, allowance payments, module calls, every executed call with its
+ * decoded call data and approvers, signer updates and cancelled nonces, plus the
+ * signer-set epochs they happened in
+ * @param provider ethers Provider
+ * @param wallet Address of the MultiSigWallet
+ * @param options fromBlock (default 0), toBlock (default latest), abis of contracts the
+ * wallet calls, used to decode call data, and blockRange, the blocks read per getLogs
+ * request (default 2000)
+ * @return { wallet, fromBlock, toBlock, epochs, entries }
+ */
+async function indexHistory(provider, wallet, { fromBlock = 0, toBlock = "latest", abis = [], blockRange = LOG_BLOCK_RANGE } = {}) {
+  const address = getAddress(wallet);
+  const start = Number(fromBlock);
+  const end = toBlock === "latest" ? await provider.getBlockNumber() : Number(toBlock);
+  const range = Number(blockRange);
+  if (!Number.isInteger(range) || range < 1) {
+    throw new Error(`Invalid block range: ${blockRange}`);
+  }
+
+  const logs = await getLogsInChunks(provider, address, start, end, range);
+  const events = parseWalletLogs(logs, address);
+
+  // Each SignersUpdated (including the constructor's) opens a new epoch, as does each
+  // transaction adding or removing signers or changing the threshold
+  const epochs = [];
+  const initial = await readInitialEpoch(provider, address, start);
+  if (initial) {
+    epochs.push(initial);
+  }
+  for (const { name, args, log } of events) {
+    if (name === "SignersUpdated") {
+      epochs.push({
+        signers: [...args.newSigners],
+        threshold: args.newThreshold,
+        start: { blockNumber: log.blockNumber, logIndex: log.index },
+        transactionHash: log.transactionHash
+      });
+      continue;
+    }
+
+    const current = epochs[epochs.length - 1];
+    if (!current || !["SignerAdded", "SignerRemoved", "ThresholdChanged"].includes(name)) {
+      continue;
+    }
+
+    let epoch = current;
+    if (current.transactionHash !== log.transactionHash) {
+      epoch = {
+        signers: [...current.signers],
+        threshold: current.threshold,
+        start: { blockNumber: log.blockNumber, logIndex: log.index },
+        transactionHash: log.transactionHash
+      };
+      epochs.push(epoch);
+    }
+    if (name === "SignerAdded") {
+      epoch.signers.push(args.signer);
+    } else if (name === "SignerRemoved") {
+      epoch.signers = epoch.signers.filter((signer) => signer !== args.signer);
+    } else {
+      epoch.threshold = args.threshold;
+    }
+  }
+
+  const epochAt = (position) => {
+    let index = null;
+    epochs.forEach((epoch, i) => {
+      if (comparePositions(epoch.start, position) < 0) {
+        index = i;
+      }
+    });
+    return index;
+  };
+
+  // Entries are collected with their position so batch calls keep their order
+  const entries = [];
+  for (const { name, args, log } of events) {
+    if (name === "AllowanceSpent") {
+      const position = { blockNumber: log.blockNumber, logIndex: log.index };
+      entries.push({
+        position,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        type: "allowance",
+        status: "executed",
+        nonce: null,
+        epoch: epochAt(position),
+        from: args.delegate,
+        to: args.to,
+        value: args.amount,
+        function: null,
+        args: { token: args.token },
+        data: null,
+        approvers: [args.delegate]
+      });
+    }
+    if (name === "ExecutionFromModule") {
+      const position = { blockNumber: log.blockNumber, logIndex: log.index };
+      const decoded = decodeCalldata(args.data, abis);
+      entries.push({
+        position,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        type: "module",
+        status: "executed",
+        nonce: null,
+        epoch: epochAt(position),
+        from: address,
+        to: args.target,
+        value: args.value,
+        function: decoded ? decoded.signature : null,
+        args: decoded ? decoded.args : null,
+        data: args.data,
+        approvers: [args.module]
+      });
+    }
+    if (name === "Deposit") {
+      const position = { blockNumber: log.blockNumber, logIndex: log.index };
+      entries.push({
+        position,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        type: "deposit",
+        status: "executed",
+        nonce: null,
+        epoch: epochAt(position),
+        from: args.sender,
+        to: address,
+        value: args.value,
+        function: null,
+        args: null,
+        data: null,
+        approvers: []
+      });
+    }
+  }
+
+  for (const record of decodeExecutionRecords(logs, address)) {
+    const at = record.executedIn || record.approvedIn;
+    if (!at) {
+      continue;
+    }
+
+    // Approvals belong to the epoch in force when they were checked
+    const epoch = epochAt(record.approvedIn || at);
+    const calls = record.calls.length > 0 ? record.calls : [{ target: null, value: 0n, data: null }];
+    calls.forEach((call, i) => {
+      const decoded = call.data ? decodeCalldata(call.data, abis) : null;
+      entries.push({
+        position: { ...at, callIndex: i },
+        blockNumber: at.blockNumber,
+        logIndex: at.logIndex,
+        transactionHash: at.transactionHash,
+        type: record.kind,
+        status: record.status,
+        nonce: record.nonce,
+        epoch,
+        from: address,
+        to: call.target,
+        value: call.value,
+        function: decoded ? decoded.signature : null,
+        args: decoded ? decoded.args : null,
+        data: call.data,
+        approvers: record.approvers
+      });
+    });
+  }
+
+  entries.sort((a, b) => comparePositions(a.position, b.position));
+
+  const timestamps = new Map();
+  for (const blockNumber of new Set(entries.map((entry) => entry.blockNumber))) {
+    timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+  }
+
+  return {
+    wallet: address,
+    fromBlock: start,
+    toBlock: end,
+    epochs: epochs.map((epoch, i) => ({
+      epoch: i,
+      signers: epoch.signers,
+      threshold: epoch.threshold,
+      fromBlock: epoch.start.blockNumber < 0 ? null : epoch.start.blockNumber,
+      toBlock: i + 1 < epochs.length ? epochs[i + 1].start.blockNumber : null,
+      transactionHash: epoch.transactionHash
+    })),
+    entries: entries.map(({ position, ...entry }) => ({
+      ...entry,
+      timestamp: timestamps.get(entry.blockNumber)
+    }))
+  };
+}
+
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Renders a history as JSON, with bigints as decimal strings
+ * @param history Result of indexHistory
+ */
+function historyToJson(history) {
+  return JSON.stringify(history, jsonReplacer, 2) + "\n";
+}
+
+function csvField(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = "";
+  } else if (Array.isArray(value)) {
+    text = value.join(";");
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value, jsonReplacer);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders a history's entries as CSV, one row per deposit or executed call. Values are
+ * in wei; decoded arguments are JSON and approvers are separated by semicolons.
+ * @param history Result of indexHistory
+ */
+function historyToCsv(history) {
+  const rows = history.entries.map((entry) => HISTORY_COLUMNS.map((column) => csvField(entry[column])).join(","));
+  return [HISTORY_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+  HISTORY_COLUMNS,
+  indexHistory,
+  historyToJson,
+  historyToCsv
+};
@@ -0,0 +1,852 @@
+const { Contract, Interface, ZeroAddress, getAddress, getBytes } = require("ethers");
+const { MULTISIG_ABI } = require("./abi");
+const { getBatchHash, getMessageHash, getRelayedTransactionHash, getTransactionHash } = require("./hash");
+const { addSignatures, checkSignatures, isBatchProposal, isMessageProposal, isRelayedProposal } = require("./proposal");
+const { encodeBatch } = require("./batch");
+const { signTypedProposal } = require("./typed-data");
+const {
+  encodeContractSignature,
+  encodeWalletSignatures,
+  isContractSignature,
+  verifyContractSignature
+} = require("./contract-signature");
+const { diagnoseSignatures } = require("./diagnostics");
+const { decodeExecutionRecords, parseWalletLogs } = require("./events");
+const { indexHistory } = require("./indexer");
+const { buildNftTransfer, buildTokenTransfer, detectTokenStandard, getHoldings } = require("./assets");
+const { diffSigners, planSignerChanges, validateSignerConfig } = require("./signer-config");
+
+const multisigInterface = new Interface(MULTISIG_ABI);
+const UPDATE_SIGNERS_SELECTOR = multisigInterface.getFunction("updateSigners").selector;
+const INVALIDATE_NONCE_SELECTOR = multisigInterface.getFunction("invalidateNonce").selector;
+const ZERO_SELECTOR = "0x00000000";
+
+/**
+ * Wraps a deployed MultiSigWallet: builds proposals, signs them, collects
+ * signatures and submits them. Hashes are computed locally and match
+ * getTransactionHash byte-for-byte.
+ */
+class MultiSigClient {
+  /**
+   * @param address Address of the deployed MultiSigWallet
+   * @param runner ethers Provider or Signer used for reads and, by default, for submission
+   */
+  constructor(address, runner) {
+    this.address = getAddress(address);
+    this.runner = runner;
+    this.contract = new Contract(this.address, MULTISIG_ABI, runner);
+    this._chainId = null;
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  async getChainId() {
+    if (this._chainId === null) {
+      const network = await this.provider.getNetwork();
+      this._chainId = network.chainId;
+    }
+    return this._chainId;
+  }
+
+  async getNonce() {
+    return this.contract.nonce();
+  }
+
+  async getSigners() {
+    return this.contract.getSigners();
+  }
+
+  async getThreshold() {
+    return this.contract.threshold();
+  }
+
+  /**
+   * Computes the hash signers must sign for a transaction
+   * @param tx Transaction fields: target, value, data and nonce
+   */
+  async hashTransaction(tx) {
+    return getTransactionHash(await this.getChainId(), this.address, tx);
+  }
+
+  /**
+   * Builds an unsigned proposal for an arbitrary call
+   * @param tx target, value (default 0), data (default "0x"), nonce (default: current nonce)
+   * and optional refund terms ({ gasPrice, baseGas, receiver }) for a relayer, which make
+   * it a relayed proposal executed with executeRelayedTransaction
+   * @return Proposal with an empty signatures array
+   */
+  async proposeTransaction({ target, value = 0n, data = "0x", nonce, refund }) {
+    const chainId = await this.getChainId();
+    const proposalNonce = nonce === undefined || nonce === null ? await this.getNonce() : BigInt(nonce);
+
+    const tx = {
+      target: getAddress(target),
+      value: BigInt(value),
+      data,
+      nonce: proposalNonce
+    };
+
+    if (refund) {
+      const terms = {
+        gasPrice: BigInt(refund.gasPrice),
+        baseGas: BigInt(refund.baseGas || 0n),
+        receiver: getAddress(refund.receiver || ZeroAddress)
+      };
+      return {
+        chainId,
+        wallet: this.address,
+        ...tx,
+        refund: terms,
+        hash: getRelayedTransactionHash(chainId, this.address, tx, terms),
+        signatures: []
+      };
+    }
+
+    return {
+      chainId,
+      wallet: this.address,
+      ...tx,
+      hash: getTransactionHash(chainId, this.address, tx),
+      signatures: []
+    };
+  }
+
+  /**
+   * Builds an unsigned proposal to replace the signer set
+   * @param newSigners New array of signer addresses
+   * @param newThreshold New threshold value
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeUpdateSigners(newSigners, newThreshold, nonce) {
+    // The contract hashes the call with an empty signatures placeholder
+    const data = multisigInterface.encodeFunctionData("updateSigners", [newSigners, newThreshold, []]);
+    return this.proposeTransaction({ target: this.address, value: 0n, data, nonce });
+  }
+
+  /**
+   * Builds an unsigned proposal adding one signer
+   * @param signer Address of the new signer
+   * @param newThreshold Threshold once added (default: unchanged)
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeAddSigner(signer, newThreshold, nonce) {
+    const threshold = newThreshold === undefined || newThreshold === null ? await this.getThreshold() : newThreshold;
+    return this._proposeSelfCall("addSigner", [signer, threshold], nonce);
+  }
+
+  /**
+   * Builds an unsigned proposal removing one signer
+   * @param signer Address of the signer to remove
+   * @param newThreshold Threshold once removed (default: unchanged, capped at the remaining signers)
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeRemoveSigner(signer, newThreshold, nonce) {
+    let threshold = newThreshold;
+    if (threshold === undefined || threshold === null) {
+      const [current, signers] = await Promise.all([this.getThreshold(), this.getSigners()]);
+      const remaining = BigInt(signers.length - 1);
+      threshold = current < remaining ? current : remaining;
+    }
+    return this._proposeSelfCall("removeSigner", [signer, threshold], nonce);
+  }
+
+  async proposeSwapSigner(oldSigner, newSigner, nonce) {
+    return this._proposeSelfCall("swapSigner", [oldSigner, newSigner], nonce);
+  }
+
+  async proposeChangeThreshold(newThreshold, nonce) {
+    return this._proposeSelfCall("changeThreshold", [newThreshold], nonce);
+  }
+
+  /**
+   * Builds the smallest proposal moving the wallet to a target signer set: a single
+   * addSigner, removeSigner, swapSigner or changeThreshold call, or a batch of them.
+   * Batches cannot be queued, so a timelocked wallet gets one updateSigners call instead.
+   * @param signers Target signer addresses
+   * @param threshold Target threshold
+   * @param nonce Optional nonce override (default: current nonce)
+   * @return { proposal, diff, steps } from diffSigners and planSignerChanges
+   */
+  async proposeSignerChanges(signers, threshold, nonce) {
+    const current = { signers: await this.getSigners(), threshold: await this.getThreshold() };
+    const target = { signers, threshold };
+    let steps = planSignerChanges(current, target);
+    if (steps.length === 0) {
+      throw new Error("Signer set and threshold are already as requested");
+    }
+
+    if (steps.length > 1 && (await this.getTimelock()).delay > 0n) {
+      const { signers: newSigners, threshold: newThreshold } = validateSignerConfig(signers, threshold);
+      steps = [{ name: "updateSigners", args: [newSigners, newThreshold, []] }];
+    }
+
+    const calls = steps.map(({ name, args }) => ({
+      target: this.address,
+      value: 0n,
+      data: multisigInterface.encodeFunctionData(name, args)
+    }));
+    const proposal = calls.length === 1
+      ? await this.proposeTransaction({ ...calls[0], nonce })
+      : await this.proposeBatch(calls, nonce);
+
+    return { proposal, diff: diffSigners(current, target), steps };
+  }
+
+  async _proposeSelfCall(name, args, nonce) {
+    const data = multisigInterface.encodeFunctionData(name, args);
+    return this.proposeTransaction({ target: this.address, value: 0n, data, nonce });
+  }
+
+  /**
+   * Builds an unsigned proposal granting, changing or revoking a spending allowance
+   * @param allowance delegate, token (default: ETH), amount per period (0 revokes) and
+   * period in seconds (default 0: a one-off allowance that never resets)
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeSetAllowance({ delegate, token = ZeroAddress, amount, period = 0n }, nonce) {
+    return this._proposeSelfCall("setAllowance", [delegate, token, amount, period], nonce);
+  }
+
+  /**
+   * Builds an unsigned proposal setting, changing or clearing an approval policy
+   * @param policy target (default: address(0), any target but the wallet), selector
+   * (default: 0x00000000, any call), threshold (0 keeps the wallet threshold) and denied
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeSetPolicy({ target = ZeroAddress, selector = ZERO_SELECTOR, threshold = 0n, denied = false }, nonce) {
+    return this._proposeSelfCall("setPolicy", [target, selector, threshold, denied], nonce);
+  }
+
+  /**
+   * Builds an unsigned proposal enabling a module, which can then make calls from the
+   * wallet without signatures
+   * @param module Address of the module contract
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeEnableModule(module, nonce) {
+    return this._proposeSelfCall("enableModule", [module], nonce);
+  }
+
+  /**
+   * Builds an unsigned proposal disabling an enabled module
+   * @param module Address of the module contract
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeDisableModule(module, nonce) {
+    return this._proposeSelfCall("disableModule", [module], nonce);
+  }
+
+  /**
+   * Builds an unsigned proposal that executes nothing and only consumes a nonce, to
+   * cancel every proposal signed for it (invalidateNonce)
+   * @param nonce Nonce to cancel (default: current nonce)
+   */
+  async proposeCancellation(nonce) {
+    // The contract hashes the call with an empty signatures placeholder
+    const data = multisigInterface.encodeFunctionData("invalidateNonce", [[]]);
+    return this.proposeTransaction({ target: this.address, value: 0n, data, nonce });
+  }
+
+  isCancellation(proposal) {
+    return this._isSelfCall(proposal, INVALIDATE_NONCE_SELECTOR);
+  }
+
+  _isSelfCall(proposal, selector) {
+    return !isBatchProposal(proposal) && !isMessageProposal(proposal) && !isRelayedProposal(proposal) &&
+      getAddress(proposal.target) === this.address && proposal.data.toLowerCase().startsWith(selector);
+  }
+
+  /**
+   * Builds an unsigned proposal executing several calls atomically under one nonce
+   * @param calls Array of { target, value, data }, e.g. from BatchBuilder.build()
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeBatch(calls, nonce) {
+    if (calls.length === 0) {
+      throw new Error("Empty batch");
+    }
+
+    const chainId = await this.getChainId();
+    const proposalNonce = nonce === undefined || nonce === null ? await this.getNonce() : BigInt(nonce);
+    const [targets, values, datas] = encodeBatch(calls);
+    const normalizedCalls = targets.map((target, i) => ({ target, value: values[i], data: datas[i] }));
+
+    return {
+      chainId,
+      wallet: this.address,
+      calls: normalizedCalls,
+      nonce: proposalNonce,
+      hash: getBatchHash(chainId, this.address, normalizedCalls, proposalNonce),
+      signatures: []
+    };
+  }
+
+  /**
+   * Builds an unsigned proposal sending ERC20 tokens from the wallet
+   * @param token Token contract address
+   * @param to Recipient
+   * @param amount Amount in the token's smallest unit
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeTokenTransfer(token, to, amount, nonce) {
+    return this.proposeTransaction({ ...buildTokenTransfer(token, to, amount), nonce });
+  }
+
+  /**
+   * Builds an unsigned proposal sending an ERC721 or ERC1155 token from the wallet with
+   * safeTransferFrom; the standard is detected through ERC165
+   * @param transfer token, to, tokenId, amount (ERC1155 only, default 1) and data (default "0x")
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeNftTransfer({ token, to, tokenId, amount = 1n, data = "0x" }, nonce) {
+    const standard = await detectTokenStandard(this.provider, token);
+    if (standard !== "erc721" && standard !== "erc1155") {
+      throw new Error(`Token ${token} implements neither ERC721 nor ERC1155`);
+    }
+    const call = buildNftTransfer({ standard, token, from: this.address, to, tokenId, amount, data });
+    return this.proposeTransaction({ ...call, nonce });
+  }
+
+  /**
+   * Builds an unsigned proposal for this wallet to approve another contract's hash,
+   * e.g. when the wallet is a signer of another MultiSigWallet (EIP-1271)
+   * @param message Hash to approve, such as the other wallet's transaction hash
+   */
+  async proposeMessage(message) {
+    const chainId = await this.getChainId();
+    return {
+      chainId,
+      wallet: this.address,
+      message,
+      hash: getMessageHash(chainId, this.address, message),
+      signatures: []
+    };
+  }
+
+  /**
+   * Packs a signed message proposal into a contract signature for the wallet that asked
+   * for this wallet's approval
+   * @param proposal Message proposal carrying at least threshold signatures
+   * @return Signature to submit to the other wallet alongside its ECDSA signatures
+   */
+  toContractSignature(proposal) {
+    if (!isMessageProposal(proposal)) {
+      throw new Error("Only message proposals can be turned into contract signatures");
+    }
+    const signatures = proposal.signatures.map((entry) => entry.signature);
+    return encodeContractSignature(this.address, encodeWalletSignatures(signatures));
+  }
+
+  /**
+   * Signs a proposal. By default the hash is signed with the Ethereum signed message
+   * prefix (eth_sign); with { typed: true } the proposal is signed with signTypedData so
+   * the signer's wallet shows the target, value and data being approved.
+   * @param proposal Proposal returned by one of the propose methods
+   * @param signer ethers Signer of an authorized signer
+   * @param options { typed } to select the signing mode
+   * @return Signature entry { signer, signature }
+   */
+  async sign(proposal, signer, { typed = false } = {}) {
+    const signature = typed
+      ? await signTypedProposal(proposal, signer)
+      : await signer.signMessage(getBytes(proposal.hash));
+    return {
+      signer: getAddress(await signer.getAddress()),
+      signature
+    };
+  }
+
+  /**
+   * Merges signatures into a proposal, dropping duplicates from the same signer
+   * @param proposal Proposal to add signatures to
+   * @param signatures Signature entries ({ signer, signature }) or raw signature strings
+   * @return New proposal including the merged signatures
+   */
+  collect(proposal, signatures) {
+    return addSignatures(proposal, signatures);
+  }
+
+  /**
+   * Checks a proposal against the wallet's current chain, nonce, signers and the threshold
+   * its policy requires
+   * @param proposal Proposal to check
+   * @return Per-signature results plus whether the proposal can be executed now
+   */
+  async validate(proposal) {
+    const [chainId, nonce, signers, { required: threshold, denied }] = await Promise.all([
+      this.getChainId(),
+      this.getNonce(),
+      this.getSigners(),
+      this.getRequiredThreshold(proposal)
+    ]);
+
+    const errors = [];
+    if (getAddress(proposal.wallet) !== this.address) {
+      errors.push(`Proposal is for wallet ${proposal.wallet}, not ${this.address}`);
+    }
+    if (BigInt(proposal.chainId) !== chainId) {
+      errors.push(`Proposal is for chain ${proposal.chainId}, not ${chainId}`);
+    }
+    // Message approvals are not tied to a nonce
+    if (!isMessageProposal(proposal) && BigInt(proposal.nonce) !== nonce) {
+      errors.push(`Proposal nonce ${proposal.nonce} does not match wallet nonce ${nonce}`);
+    }
+    if (denied) {
+      errors.push("Proposal is denied by policy");
+    }
+
+    const signatures = checkSignatures(proposal, signers);
+    for (const entry of signatures) {
+      if (entry.valid && isContractSignature(entry.signature)) {
+        if (!(await verifyContractSignature(this.provider, proposal.hash, entry.signature))) {
+          entry.valid = false;
+          entry.reason = "Invalid contract signature";
+        }
+      }
+    }
+
+    const validCount = signatures.filter((entry) => entry.valid).length;
+    if (BigInt(validCount) < threshold) {
+      errors.push(`Only ${validCount} of ${threshold} required signatures are valid`);
+    }
+
+    return {
+      hash: proposal.hash,
+      nonce,
+      threshold,
+      signatures,
+      validCount,
+      ready: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Predicts, signature by signature, how verifySignatures will treat a proposal
+   * @param proposal Proposal to check
+   * @return Report from diagnoseSignatures, including the expected revert string
+   */
+  async diagnose(proposal) {
+    const [signers, { required: threshold, calls }] = await Promise.all([
+      this.getSigners(),
+      this.getRequiredThreshold(proposal)
+    ]);
+
+    // Execution checks each call in turn for the timelock, then for a denying policy
+    const values = isBatchProposal(proposal) ? proposal.calls.map((call) => call.value) : [proposal.value];
+    let timelocked = false;
+    let denied = false;
+    for (const [index, call] of calls.entries()) {
+      if (await this.contract.requiresTimelock(call.target, values[index])) {
+        timelocked = true;
+        break;
+      }
+      if (call.denied) {
+        denied = true;
+        break;
+      }
+    }
+
+    const signatures = proposal.signatures.map((entry) => (typeof entry === "string" ? entry : entry.signature));
+
+    // isValidSignature can only be answered by the signer contract itself
+    const contractResults = new Map();
+    for (const [index, signature] of signatures.entries()) {
+      if (isContractSignature(signature)) {
+        contractResults.set(index, await verifyContractSignature(this.provider, proposal.hash, signature));
+      }
+    }
+
+    return diagnoseSignatures({ hash: proposal.hash, signatures, signers, threshold, timelocked, denied, contractResults });
+  }
+
+  /**
+   * Reads the wallet's events and decodes them into one record per nonce
+   * @param range { fromBlock, toBlock } passed to getLogs (default: the whole chain)
+   * @return Records from decodeExecutionRecords
+   */
+  async getExecutionRecords({ fromBlock = 0, toBlock = "latest" } = {}) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+    return decodeExecutionRecords(logs, this.address);
+  }
+
+  /**
+   * Indexes deposits, executed calls, signer updates and signer-set epochs
+   * @param options fromBlock, toBlock, abis and blockRange, as for indexHistory
+   */
+  async getHistory(options) {
+    return indexHistory(this.provider, this.address, options);
+  }
+
+  /**
+   * Reads a delegate's allowance as it stands now
+   * @param delegate Address allowed to spend
+   * @param token ERC20 token address (default: ETH)
+   * @return { delegate, token, amount, spent, remaining, period, resetAt }
+   */
+  async getAllowance(delegate, token = ZeroAddress) {
+    const [amount, spent, period, resetAt] = await this.contract.getAllowance(delegate, token);
+    return {
+      delegate: getAddress(delegate),
+      token: getAddress(token),
+      amount,
+      spent,
+      remaining: amount - spent,
+      period,
+      resetAt
+    };
+  }
+
+  /**
+   * Lists every allowance granted through AllowanceSet events and not since revoked
+   * @param range { fromBlock, toBlock } passed to getLogs (default: the whole chain)
+   * @return Array of getAllowance results
+   */
+  async listAllowances({ fromBlock = 0, toBlock = "latest" } = {}) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+    const keys = new Map();
+    for (const { name, args } of parseWalletLogs(logs, this.address)) {
+      if (name === "AllowanceSet") {
+        keys.set(`${args.delegate}:${args.token}`, [args.delegate, args.token]);
+      }
+    }
+
+    const allowances = [];
+    for (const [delegate, token] of keys.values()) {
+      const allowance = await this.getAllowance(delegate, token);
+      if (allowance.amount > 0n) {
+        allowances.push(allowance);
+      }
+    }
+    return allowances;
+  }
+
+  /**
+   * Lists the policy rules in force, from PolicySet events
+   * @param range { fromBlock, toBlock } passed to getLogs (default: the whole chain)
+   * @return Array of { target, selector, threshold, denied }, in the order they were last set
+   */
+  async listPolicies({ fromBlock = 0, toBlock = "latest" } = {}) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+    const rules = new Map();
+    for (const { name, args } of parseWalletLogs(logs, this.address)) {
+      if (name !== "PolicySet") {
+        continue;
+      }
+      const key = `${args.target}:${args.selector}`;
+      rules.delete(key);
+      if (args.threshold > 0n || args.denied) {
+        rules.set(key, { target: args.target, selector: args.selector, threshold: args.threshold, denied: args.denied });
+      }
+    }
+    return [...rules.values()];
+  }
+
+  async getModules() {
+    return [...(await this.contract.getModules())];
+  }
+
+  async isModule(address) {
+    return this.contract.isModule(address);
+  }
+
+  /**
+   * Works out how many signatures a proposal needs under the wallet's policies
+   * @param proposal Single-call, batch or message proposal
+   * @return { required, denied, calls } where calls lists each call's own policyFor result;
+   * a batch needs the highest threshold of its calls and is denied if any call is
+   */
+  async getRequiredThreshold(proposal) {
+    // Messages and cancellations are checked against the wallet threshold
+    if (isMessageProposal(proposal) || this.isCancellation(proposal)) {
+      return { required: await this.getThreshold(), denied: false, calls: [] };
+    }
+
+    const calls = [];
+    for (const call of isBatchProposal(proposal) ? proposal.calls : [proposal]) {
+      const [required, denied] = await this.contract.policyFor(call.target, call.data);
+      calls.push({ target: getAddress(call.target), data: call.data, required, denied });
+    }
+    return {
+      required: calls.reduce((max, call) => (call.required > max ? call.required : max), 0n),
+      denied: calls.some((call) => call.denied),
+      calls
+    };
+  }
+
+  /**
+   * Sends ETH or tokens within the sender's allowance; no signatures are needed
+   * @param payment token (default: ETH), to and amount
+   * @param sender Optional Signer of the delegate (default: the client runner)
+   */
+  async spendAllowance({ token = ZeroAddress, to, amount }, sender) {
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    return contract.spendAllowance(token, to, amount);
+  }
+
+  /**
+   * Lists the wallet's ETH, ERC20, ERC721 and ERC1155 holdings
+   * @param options tokens, fromBlock and toBlock, as for getHoldings in lib/assets.js
+   */
+  async getHoldings(options) {
+    return getHoldings(this.provider, this.address, options);
+  }
+
+  /**
+   * Submits a signed proposal, routing batches to executeBatch, relayed proposals to
+   * executeRelayedTransaction and signer updates to updateSigners
+   * @param proposal Proposal carrying at least threshold signatures
+   * @param sender Optional Signer paying for the transaction (default: the client runner)
+   * @param overrides Optional transaction overrides, e.g. { gasLimit }
+   * @return Transaction response
+   */
+  async execute(proposal, sender, overrides = {}) {
+    const [method, args] = this._executionCall(proposal);
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    return contract[method](...args, overrides);
+  }
+
+  /**
+   * Estimates the gas execute would use, reverting with the contract's reason if it would fail
+   * @param proposal Proposal carrying at least threshold signatures
+   * @param sender Optional Signer that would pay for the transaction (default: the client runner)
+   */
+  async estimateExecution(proposal, sender) {
+    const [method, args] = this._executionCall(proposal);
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    return contract[method].estimateGas(...args);
+  }
+
+  // Picks the wallet function a signed proposal is submitted through, with its arguments
+  _executionCall(proposal) {
+    if (getAddress(proposal.wallet) !== this.address) {
+      throw new Error(`Proposal is for wallet ${proposal.wallet}, not ${this.address}`);
+    }
+
+    if (isMessageProposal(proposal)) {
+      throw new Error("Message proposals are submitted as contract signatures, not executed");
+    }
+
+    const signatures = proposal.signatures.map((entry) => entry.signature);
+
+    if (isBatchProposal(proposal)) {
+      return ["executeBatch", [...encodeBatch(proposal.calls), signatures]];
+    }
+
+    // Relayed proposals are signed over the refund terms, so only executeRelayedTransaction accepts them
+    if (isRelayedProposal(proposal)) {
+      return [
+        "executeRelayedTransaction",
+        [proposal.target, proposal.value, proposal.data, proposal.refund, signatures]
+      ];
+    }
+
+    if (this._isSelfCall(proposal, UPDATE_SIGNERS_SELECTOR)) {
+      const [newSigners, newThreshold] = multisigInterface.decodeFunctionData("updateSigners", proposal.data);
+      return ["updateSigners", [[...newSigners], newThreshold, signatures]];
+    }
+
+    if (this._isSelfCall(proposal, INVALIDATE_NONCE_SELECTOR)) {
+      return ["invalidateNonce", [signatures]];
+    }
+
+    return ["executeTransaction", [proposal.target, proposal.value, proposal.data, signatures]];
+  }
+
+  /**
+   * Stores a single-call proposal on-chain with submitTransaction; the sender must be a
+   * signer and their confirmation is recorded with it
+   * @param proposal Proposal from proposeTransaction or proposeUpdateSigners (its nonce is ignored)
+   * @param sender Optional signer submitting the proposal (default: the client runner)
+   * @return Id of the on-chain proposal
+   */
+  async submitProposal(proposal, sender) {
+    if (isBatchProposal(proposal) || isMessageProposal(proposal)) {
+      throw new Error("Only single-call proposals can be submitted on-chain");
+    }
+
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    const tx = await contract.submitTransaction(proposal.target, proposal.value, proposal.data);
+    const receipt = await tx.wait();
+
+    for (const log of receipt.logs) {
+      const parsed = multisigInterface.parseLog(log);
+      if (parsed && parsed.name === "ProposalSubmitted") {
+        return parsed.args.proposalId;
+      }
+    }
+    throw new Error(`No ProposalSubmitted event in transaction ${receipt.hash}`);
+  }
+
+  async confirmProposal(proposalId, signer) {
+    const contract = signer ? this.contract.connect(signer) : this.contract;
+    return contract.confirmTransaction(proposalId);
+  }
+
+  async revokeConfirmation(proposalId, signer) {
+    const contract = signer ? this.contract.connect(signer) : this.contract;
+    return contract.revokeConfirmation(proposalId);
+  }
+
+  /**
+   * Reads an on-chain proposal
+   * @param proposalId Id returned by submitProposal
+   * @return { proposalId, target, value, data, executed, confirmations } where confirmations
+   * lists the current signers who have confirmed
+   */
+  async getProposal(proposalId) {
+    const [[target, value, data, executed], confirmations] = await Promise.all([
+      this.contract.getProposal(proposalId),
+      this.contract.getConfirmations(proposalId)
+    ]);
+    return {
+      proposalId: BigInt(proposalId),
+      target,
+      value,
+      data,
+      executed,
+      confirmations: [...confirmations]
+    };
+  }
+
+  /**
+   * Builds an off-chain proposal for an on-chain one, so signers who cannot send
+   * transactions can sign it instead of confirming
+   * @param proposalId Id returned by submitProposal
+   * @param nonce Optional nonce override (default: current nonce, which executeProposal uses)
+   */
+  async proposeFromChain(proposalId, nonce) {
+    const { target, value, data } = await this.getProposal(proposalId);
+    return this.proposeTransaction({ target, value, data, nonce });
+  }
+
+  /**
+   * Executes an on-chain proposal, topping up its confirmations with off-chain signatures.
+   * Signatures from signers who already confirmed on-chain are dropped, as the contract
+   * would reject them as duplicates.
+   * @param proposalId Id returned by submitProposal
+   * @param signatures Signature entries ({ signer, signature }), e.g. from proposeFromChain and collect
+   * @param sender Optional Signer paying for the transaction (default: the client runner)
+   * @return Transaction response
+   */
+  async executeProposal(proposalId, signatures = [], sender) {
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    return contract.executeProposal(proposalId, await this._unconfirmedSignatures(proposalId, signatures));
+  }
+
+  /**
+   * Queues an on-chain proposal that is subject to the timelock; approvals are counted
+   * as in executeProposal
+   * @param proposalId Id returned by submitProposal
+   * @param signatures Signature entries ({ signer, signature }) from signers who did not confirm
+   * @param sender Optional Signer paying for the transaction (default: the client runner)
+   * @return Transaction response
+   */
+  async queueProposal(proposalId, signatures = [], sender) {
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    return contract.queueProposal(proposalId, await this._unconfirmedSignatures(proposalId, signatures));
+  }
+
+  // Drops signatures from signers whose on-chain confirmation already counts
+  async _unconfirmedSignatures(proposalId, signatures) {
+    const { confirmations } = await this.getProposal(proposalId);
+    const confirmed = new Set(confirmations);
+    return signatures
+      .filter((entry) => !confirmed.has(getAddress(entry.signer)))
+      .map((entry) => entry.signature);
+  }
+
+  async getTimelock() {
+    const [delay, valueThreshold] = await Promise.all([
+      this.contract.timelockDelay(),
+      this.contract.timelockValueThreshold()
+    ]);
+    return { delay, valueThreshold };
+  }
+
+  /**
+   * Checks whether a proposal must be queued rather than executed, mirroring requiresTimelock
+   * @param proposal Single-call or batch proposal
+   */
+  async requiresTimelock(proposal) {
+    // Cancelling a nonce executes nothing, so it is never delayed
+    if (this.isCancellation(proposal)) {
+      return false;
+    }
+
+    const { delay, valueThreshold } = await this.getTimelock();
+    const calls = isBatchProposal(proposal) ? proposal.calls : [proposal];
+    return delay > 0n && calls.some(
+      (call) => getAddress(call.target) === this.address || BigInt(call.value) > valueThreshold
+    );
+  }
+
+  /**
+   * Builds an unsigned proposal to configure the timelock
+   * @param delay Seconds queued transactions wait before executing (0 disables the timelock)
+   * @param valueThreshold Calls sending more than this many wei must be queued
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeSetTimelock(delay, valueThreshold, nonce) {
+    const data = multisigInterface.encodeFunctionData("setTimelock", [delay, valueThreshold]);
+    return this.proposeTransaction({ target: this.address, value: 0n, data, nonce });
+  }
+
+  /**
+   * Queues a signed single-call proposal (including signer updates) with queueTransaction
+   * @param proposal Proposal carrying at least threshold signatures
+   * @param sender Optional Signer paying for the transaction (default: the client runner)
+   * @return Transaction response; the queue id is the proposal hash
+   */
+  async queue(proposal, sender) {
+    if (getAddress(proposal.wallet) !== this.address) {
+      throw new Error(`Proposal is for wallet ${proposal.wallet}, not ${this.address}`);
+    }
+    if (isBatchProposal(proposal) || isMessageProposal(proposal) || isRelayedProposal(proposal)) {
+      throw new Error("Only single-call proposals without a refund can be queued");
+    }
+
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    const signatures = proposal.signatures.map((entry) => entry.signature);
+    return contract.queueTransaction(proposal.target, proposal.value, proposal.data, signatures);
+  }
+
+  /**
+   * Reads a queued transaction
+   * @param txHash Queue id (the transaction hash that was signed)
+   * @return Stored fields plus a status of "pending", "ready", "executed" or "cancelled"
+   */
+  async getQueued(txHash) {
+    const [target, value, data, nonce, eta, executed, cancelled] = await this.contract.queuedTransactions(txHash);
+    if (eta === 0n) {
+      throw new Error(`Transaction ${txHash} is not queued`);
+    }
+
+    let status = "pending";
+    if (executed) {
+      status = "executed";
+    } else if (cancelled) {
+      status = "cancelled";
+    } else if (BigInt((await this.provider.getBlock("latest")).timestamp) >= eta) {
+      status = "ready";
+    }
+
+    return { hash: txHash, target, value, data, nonce, eta, executed, cancelled, status };
+  }
+
+  async executeQueued(txHash, sender) {
+    const contract = sender ? this.contract.connect(sender) : this.contract;
+    return contract.executeQueued(txHash);
+  }
+
+  async cancelQueued(txHash, signer) {
+    const contract = signer ? this.contract.connect(signer) : this.contract;
+    return contract.cancelQueued(txHash);
+  }
+}
+
+module.exports = {
+  MultiSigClient
+};
@@ -0,0 +1,323 @@
+const fs = require("fs");
+const { dataLength, getAddress, hexlify, isHexString } = require("ethers");
+const { getBatchHash, getMessageHash, getRelayedTransactionHash, getTransactionHash } = require("./hash");
+const { isContractSignature } = require("./contract-signature");
+const { diagnoseSignature } = require("./diagnostics");
+
+// Fields every proposal file carries, in the order they are written
+const PROPOSAL_FIELDS = ["chainId", "wallet", "target", "value", "data", "nonce", "hash", "signatures"];
+
+// Batch proposals (executeBatch) carry a calls array instead of target/value/data
+const BATCH_PROPOSAL_FIELDS = ["chainId", "wallet", "calls", "nonce", "hash", "signatures"];
+
+// Message proposals collect this wallet's approval of another contract's hash (EIP-1271)
+const MESSAGE_PROPOSAL_FIELDS = ["chainId", "wallet", "message", "hash", "signatures"];
+
+function isBatchProposal(proposal) {
+  return Array.isArray(proposal.calls);
+}
+
+function isMessageProposal(proposal) {
+  return proposal.message !== undefined;
+}
+
+// Relayed proposals (executeRelayedTransaction) are single-call proposals that also sign gas refund terms
+function isRelayedProposal(proposal) {
+  return proposal.refund !== undefined && proposal.refund !== null;
+}
+
+/**
+ * Computes the hash a proposal should carry from its contents
+ * @param proposal Single-call or batch proposal
+ */
+function computeProposalHash(proposal) {
+  if (isMessageProposal(proposal)) {
+    return getMessageHash(proposal.chainId, proposal.wallet, proposal.message);
+  }
+  if (isBatchProposal(proposal)) {
+    return getBatchHash(proposal.chainId, proposal.wallet, proposal.calls, proposal.nonce);
+  }
+  if (isRelayedProposal(proposal)) {
+    return getRelayedTransactionHash(proposal.chainId, proposal.wallet, proposal, proposal.refund);
+  }
+  return getTransactionHash(proposal.chainId, proposal.wallet, proposal);
+}
+
+function normalizeCall(call) {
+  if (!isHexString(call.data)) {
+    throw new Error("Call data must be a hex string");
+  }
+  return {
+    target: getAddress(call.target),
+    value: BigInt(call.value),
+    data: hexlify(call.data)
+  };
+}
+
+function normalizeRefund(refund) {
+  return {
+    gasPrice: BigInt(refund.gasPrice),
+    baseGas: BigInt(refund.baseGas),
+    receiver: getAddress(refund.receiver)
+  };
+}
+
+/**
+ * Recovers the address that signed a proposal hash, either with the Ethereum signed
+ * message prefix (v of 27/28) or with signTypedData (v of 31/32). Contract signatures
+ * (v of 1) only name their signer; they are verified on-chain through EIP-1271.
+ * Throws with the contract's revert string for signatures recoverSigner would reject,
+ * such as a high 's' or an unexpected 'v'.
+ * @param hash Proposal hash
+ * @param signature Signature bytes
+ * @return Checksummed signer address
+ */
+function recoverProposalSigner(hash, signature) {
+  const { reason, recovered } = diagnoseSignature(hash, signature);
+  if (reason) {
+    throw new Error(reason);
+  }
+  return recovered;
+}
+
+/**
+ * Checks a proposal is well formed and that its hash matches its contents
+ * @param proposal Proposal object (bigint fields)
+ * @return The same proposal, normalized
+ */
+function normalizeProposal(proposal) {
+  let fields = PROPOSAL_FIELDS;
+  if (isMessageProposal(proposal)) {
+    fields = MESSAGE_PROPOSAL_FIELDS;
+  } else if (isBatchProposal(proposal)) {
+    fields = BATCH_PROPOSAL_FIELDS;
+  }
+  for (const field of fields) {
+    if (proposal[field] === undefined || proposal[field] === null) {
+      throw new Error(`Proposal is missing "${field}"`);
+    }
+  }
+
+  const normalized = {
+    chainId: BigInt(proposal.chainId),
+    wallet: getAddress(proposal.wallet)
+  };
+  if (isMessageProposal(proposal)) {
+    if (!isHexString(proposal.message) || dataLength(proposal.message) !== 32) {
+      throw new Error("Proposal message must be a 32-byte hash");
+    }
+    normalized.message = hexlify(proposal.message);
+  } else {
+    if (isBatchProposal(proposal)) {
+      normalized.calls = proposal.calls.map(normalizeCall);
+    } else {
+      Object.assign(normalized, normalizeCall(proposal));
+    }
+    normalized.nonce = BigInt(proposal.nonce);
+    if (isRelayedProposal(proposal)) {
+      if (isBatchProposal(proposal)) {
+        throw new Error("Batch proposals cannot carry a refund");
+      }
+      normalized.refund = normalizeRefund(proposal.refund);
+    }
+  }
+  normalized.hash = proposal.hash;
+  normalized.signatures = proposal.signatures.map((entry) => ({
+    signer: getAddress(entry.signer),
+    signature: entry.signature
+  }));
+
+  const expectedHash = computeProposalHash(normalized);
+  if (expectedHash !== normalized.hash.toLowerCase()) {
+    throw new Error(`Proposal hash ${proposal.hash} does not match its contents (expected ${expectedHash})`);
+  }
+  normalized.hash = expectedHash;
+
+  return normalized;
+}
+
+/**
+ * Adds signatures to a proposal, dropping duplicates from the same signer
+ * @param proposal Proposal to add signatures to
+ * @param signatures Signature entries ({ signer, signature }) or raw signature strings
+ * @return New proposal including the merged signatures
+ */
+function addSignatures(proposal, signatures) {
+  const merged = [...proposal.signatures];
+  const seen = new Set(merged.map((entry) => entry.signer));
+
+  for (const entry of signatures) {
+    const signature = typeof entry === "string" ? entry : entry.signature;
+    const signer = recoverProposalSigner(proposal.hash, signature);
+
+    if (typeof entry !== "string" && getAddress(entry.signer) !== signer) {
+      throw new Error(`Signature does not match signer ${entry.signer}`);
+    }
+    if (seen.has(signer)) {
+      continue;
+    }
+
+    seen.add(signer);
+    merged.push({ signer, signature });
+  }
+
+  return { ...proposal, signatures: merged };
+}
+
+/**
+ * Merges partially signed copies of the same proposal
+ * @param proposals Proposals from different signers
+ * @return One proposal holding every distinct signature
+ */
+function mergeProposals(proposals) {
+  if (proposals.length === 0) {
+    throw new Error("No proposals to merge");
+  }
+
+  const [first, ...rest] = proposals.map(normalizeProposal);
+  let merged = first;
+  for (const proposal of rest) {
+    if (proposal.hash !== first.hash) {
+      throw new Error(`Cannot merge proposal ${proposal.hash} into ${first.hash}`);
+    }
+    merged = addSignatures(merged, proposal.signatures);
+  }
+
+  return merged;
+}
+
+/**
+ * Checks every signature of a proposal against the wallet's signer set. Contract
+ * signatures are only checked for membership here; see verifyContractSignature.
+ * @param proposal Proposal to check
+ * @param signers Current signer addresses (getSigners())
+ * @return One { signer, signature, recovered, valid, reason } entry per signature
+ */
+function checkSignatures(proposal, signers) {
+  const authorized = new Set(signers.map((signer) => getAddress(signer)));
+  const seen = new Set();
+
+  return proposal.signatures.map(({ signer, signature }) => {
+    let recovered = null;
+    let reason = null;
+
+    try {
+      recovered = recoverProposalSigner(proposal.hash, signature);
+    } catch (error) {
+      reason = error.message;
+    }
+
+    if (!reason && recovered !== getAddress(signer)) {
+      reason = isContractSignature(signature)
+        ? `Contract signature names ${recovered}`
+        : `Signature recovers to ${recovered}`;
+    } else if (!reason && !authorized.has(recovered)) {
+      reason = "Not a current signer";
+    } else if (!reason && seen.has(recovered)) {
+      reason = "Duplicate signer";
+    }
+
+    if (!reason) {
+      seen.add(recovered);
+    }
+
+    return { signer, signature, recovered, valid: reason === null, reason };
+  });
+}
+
+/**
+ * Moves a proposal to another nonce. The hash changes, so existing signatures are dropped
+ * and the proposal must be signed again.
+ * @param proposal Single-call or batch proposal
+ * @param nonce New nonce
+ * @return Unsigned proposal at the new nonce
+ */
+function retargetProposal(proposal, nonce) {
+  if (isMessageProposal(proposal)) {
+    throw new Error("Message proposals are not bound to a nonce");
+  }
+
+  const retargeted = { ...normalizeProposal(proposal), nonce: BigInt(nonce), signatures: [] };
+  retargeted.hash = computeProposalHash(retargeted);
+  return retargeted;
+}
+
+/**
+ * Finds proposals whose nonce the wallet has already used (executed or invalidated) and
+ * moves each to the next nonce not taken by a still-pending proposal, keeping their order
+ * @param proposals Pending single-call or batch proposals
+ * @param walletNonce Current wallet nonce
+ * @return One { proposal, stale, previousNonce } entry per input; proposal is the
+ * retargeted copy for stale entries and the input otherwise
+ */
+function retargetStaleProposals(proposals, walletNonce) {
+  const current = BigInt(walletNonce);
+  const taken = new Set(
+    proposals.map((proposal) => BigInt(proposal.nonce)).filter((nonce) => nonce >= current)
+  );
+
+  let next = current;
+  return proposals.map((proposal) => {
+    const previousNonce = BigInt(proposal.nonce);
+    if (previousNonce >= current) {
+      return { proposal, stale: false, previousNonce };
+    }
+
+    while (taken.has(next)) {
+      next++;
+    }
+    taken.add(next);
+    return { proposal: retargetProposal(proposal, next), stale: true, previousNonce };
+  });
+}
+
+/**
+ * Renders a proposal as the portable JSON file format
+ * @param proposal Proposal object (bigint fields)
+ */
+function serializeProposal(proposal) {
+  // bigint fields are written as decimal strings
+  const json = JSON.stringify(
+    normalizeProposal(proposal),
+    (key, value) => (typeof value === "bigint" ? value.toString() : value),
+    2
+  );
+  return json + "\n";
+}
+
+/**
+ * Parses the portable JSON file format, rejecting tampered proposals
+ * @param json File contents
+ */
+function parseProposal(json) {
+  return normalizeProposal(JSON.parse(json));
+}
+
+function readProposal(path) {
+  return parseProposal(fs.readFileSync(path, "utf8"));
+}
+
+function writeProposal(path, proposal) {
+  fs.writeFileSync(path, serializeProposal(proposal));
+}
+
+module.exports = {
+  PROPOSAL_FIELDS,
+  BATCH_PROPOSAL_FIELDS,
+  MESSAGE_PROPOSAL_FIELDS,
+  isBatchProposal,
+  isMessageProposal,
+  isRelayedProposal,
+  computeProposalHash,
+  recoverProposalSigner,
+  normalizeProposal,
+  addSignatures,
+  mergeProposals,
+  checkSignatures,
+  retargetProposal,
+  retargetStaleProposals,
+  serializeProposal,
+  parseProposal,
+  readProposal,
+  writeProposal
+};
@@ -0,0 +1,141 @@
+const { Contract, Interface, getAddress } = require("ethers");
+const { RECOVERY_ABI } = require("./abi");
+const { validateSignerConfig } = require("./signer-config");
+
+const recoveryInterface = new Interface(RECOVERY_ABI);
+
+/**
+ * Wraps a deployed GuardianRecovery module: reads the guardians and recoveries, and sends
+ * the guardian and signer transactions of a recovery
+ */
+class RecoveryClient {
+  /**
+   * @param address Address of the deployed GuardianRecovery module
+   * @param runner ethers Provider or Signer used for reads and, by default, for sending
+   */
+  constructor(address, runner) {
+    this.address = getAddress(address);
+    this.runner = runner;
+    this.contract = new Contract(this.address, RECOVERY_ABI, runner);
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  _as(sender) {
+    return sender ? this.contract.connect(sender) : this.contract;
+  }
+
+  /**
+   * Reads the guardian configuration
+   * @return { wallet, guardians, threshold, delay }
+   */
+  async getGuardians() {
+    const [wallet, guardians, threshold, delay] = await Promise.all([
+      this.contract.wallet(),
+      this.contract.getGuardians(),
+      this.contract.threshold(),
+      this.contract.delay()
+    ]);
+    return { wallet, guardians: [...guardians], threshold, delay };
+  }
+
+  /**
+   * Reads a recovery and where it stands
+   * @param id Recovery id
+   * @return { id, newSigners, newThreshold, proposer, approvals, eta, cancelVotes, state } where state is
+   * "approving" (below the guardian threshold), "scheduled" (waiting for eta), "ready",
+   * "vetoed", "cancelled" or "executed"
+   */
+  async getRecovery(id) {
+    const [newSigners, newThreshold, proposer, approvals, eta, cancelVotes, vetoed, cancelled, executed] =
+      await this.contract.getRecovery(id);
+
+    let state;
+    if (executed) {
+      state = "executed";
+    } else if (vetoed) {
+      state = "vetoed";
+    } else if (cancelled) {
+      state = "cancelled";
+    } else if (eta === 0n) {
+      state = "approving";
+    } else {
+      const { timestamp } = await this.provider.getBlock("latest");
+      state = BigInt(timestamp) >= eta ? "ready" : "scheduled";
+    }
+
+    return { id: BigInt(id), newSigners: [...newSigners], newThreshold, proposer, approvals, eta, cancelVotes, state };
+  }
+
+  /**
+   * Returns the open recovery, or null if there is none
+   */
+  async getOpenRecovery() {
+    const count = await this.contract.getRecoveryCount();
+    if (count === 0n) {
+      return null;
+    }
+    const recovery = await this.getRecovery(count - 1n);
+    return ["vetoed", "cancelled", "executed"].includes(recovery.state) ? null : recovery;
+  }
+
+  /**
+   * Proposes a new signer set for the wallet, approving it as the proposing guardian
+   * @param config signers and threshold the wallet should have after recovery
+   * @param guardian Optional Signer of the guardian (default: the client runner)
+   */
+  async proposeRecovery({ signers, threshold }, guardian) {
+    const config = validateSignerConfig(signers, threshold);
+    return this._as(guardian).proposeRecovery(config.signers, config.threshold);
+  }
+
+  async approveRecovery(id, guardian) {
+    return this._as(guardian).approveRecovery(id);
+  }
+
+  /**
+   * Vetoes an open recovery; any one current signer of the wallet can
+   * @param id Recovery id
+   * @param signer Optional Signer of a wallet signer (default: the client runner)
+   */
+  async vetoRecovery(id, signer) {
+    return this._as(signer).vetoRecovery(id);
+  }
+
+  /**
+   * Withdraws a recovery as its proposer, or votes to cancel it as another guardian; the
+   * guardian threshold of votes cancels it
+   * @param id Recovery id
+   * @param guardian Optional Signer of the guardian (default: the client runner)
+   */
+  async cancelRecovery(id, guardian) {
+    return this._as(guardian).cancelRecovery(id);
+  }
+
+  /**
+   * Applies a recovery whose delay has passed; anyone can send it
+   * @param id Recovery id
+   * @param sender Optional Signer to send from (default: the client runner)
+   */
+  async executeRecovery(id, sender) {
+    return this._as(sender).executeRecovery(id);
+  }
+
+  /**
+   * Builds an unsigned wallet proposal replacing the guardians, their threshold and the delay.
+   * Any open recovery is cancelled when it executes.
+   * @param walletClient MultiSigClient of the wallet the module recovers
+   * @param config guardians, threshold and delay in seconds
+   * @param nonce Optional nonce override (default: current nonce)
+   */
+  async proposeSetGuardians(walletClient, { guardians, threshold, delay }, nonce) {
+    const data = recoveryInterface.encodeFunctionData("setGuardians", [guardians, threshold, delay]);
+    return walletClient.proposeTransaction({ target: this.address, value: 0n, data, nonce });
+  }
+}
+
+module.exports = {
+  RecoveryClient
+};
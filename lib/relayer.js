@@ -0,0 +1,243 @@
+const { ZeroAddress, getAddress } = require("ethers");
+const { parseWalletLogs } = require("./events");
+const { joinUrl, listen, readJson, requestJson, respond } = require("./http");
+const { isMessageProposal, isRelayedProposal, normalizeProposal } = require("./proposal");
+const { MultiSigClient } = require("./multisig-client");
+
+// Gas added on top of the estimate, in percent, so small state changes do not make the transaction run out
+const GAS_MARGIN_PERCENT = 20n;
+
+function revertReason(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Submits fully signed proposals from its own key so signers do not need ETH for gas.
+ * Each proposal is checked locally before any gas is spent, and its progress is tracked
+ * by proposal hash. Relayed proposals reimburse the relayer through their signed refund.
+ */
+class Relayer {
+  /**
+   * @param signer ethers Signer whose key submits transactions and pays their gas
+   * @param options requireRefund rejects proposals without refund terms (default: false)
+   */
+  constructor(signer, { requireRefund = false } = {}) {
+    this.signer = signer;
+    this.requireRefund = requireRefund;
+    this.records = new Map();
+    this.pending = new Map();
+    // Relays still being checked or sent, by hash, so a concurrent request for the same proposal joins them
+    this.inFlight = new Map();
+    // Transactions are sent one at a time so the relayer's account nonce stays in order
+    this.sending = Promise.resolve();
+  }
+
+  /**
+   * Checks a signed proposal and submits it
+   * @param input Proposal object or parsed proposal file
+   * @return Status record: { id, wallet, nonce, hash, status, transactionHash, gasLimit,
+   * gasUsed, refundPaid, error } where status is "submitted", "mined" or "failed"
+   */
+  async relay(input) {
+    const proposal = normalizeProposal(input);
+    const existing = this.records.get(proposal.hash);
+    if (existing && existing.status !== "failed") {
+      return existing;
+    }
+    if (this.inFlight.has(proposal.hash)) {
+      return this.inFlight.get(proposal.hash);
+    }
+
+    const submission = this.submit(proposal);
+    this.inFlight.set(proposal.hash, submission);
+    try {
+      return await submission;
+    } finally {
+      this.inFlight.delete(proposal.hash);
+    }
+  }
+
+  // Checks and sends a proposal that no other relay call is working on
+  async submit(proposal) {
+    const gasLimit = await this.check(proposal);
+    const client = new MultiSigClient(proposal.wallet, this.signer);
+
+    const record = {
+      id: proposal.hash,
+      wallet: proposal.wallet,
+      nonce: proposal.nonce,
+      hash: proposal.hash,
+      status: "submitted",
+      transactionHash: null,
+      gasLimit,
+      gasUsed: null,
+      refundPaid: null,
+      error: null
+    };
+
+    const send = this.sending.then(() => client.execute(proposal, undefined, { gasLimit }));
+    this.sending = send.catch(() => {});
+    const tx = await send;
+
+    record.transactionHash = tx.hash;
+    this.records.set(record.id, record);
+    this.pending.set(record.id, this.track(record, tx));
+    return record;
+  }
+
+  /**
+   * Validates a proposal the way the wallet will, without sending anything
+   * @param proposal Normalized proposal
+   * @return Gas limit to submit it with
+   */
+  async check(proposal) {
+    if (isMessageProposal(proposal)) {
+      throw new Error("Message proposals are submitted as contract signatures, not executed");
+    }
+
+    const relayer = getAddress(await this.signer.getAddress());
+    if (isRelayedProposal(proposal)) {
+      const { receiver } = proposal.refund;
+      if (receiver !== ZeroAddress && receiver !== relayer) {
+        throw new Error(`Refund receiver ${receiver} is not this relayer (${relayer})`);
+      }
+    } else if (this.requireRefund) {
+      throw new Error("Proposal carries no refund");
+    }
+
+    const client = new MultiSigClient(proposal.wallet, this.signer);
+    const validation = await client.validate(proposal);
+    if (!validation.ready) {
+      throw new Error(`Proposal is not ready: ${validation.errors.join("; ")}`);
+    }
+    if (await client.requiresTimelock(proposal)) {
+      throw new Error("Proposal must be queued through the timelock");
+    }
+
+    let estimate;
+    try {
+      estimate = await client.estimateExecution(proposal);
+    } catch (error) {
+      throw new Error(`Execution would revert: ${revertReason(error)}`);
+    }
+    const gasLimit = estimate + (estimate * GAS_MARGIN_PERCENT) / 100n;
+
+    // The refund comes out of the wallet's ETH after the call, so the call must leave enough behind
+    if (isRelayedProposal(proposal)) {
+      const { gasPrice, baseGas } = proposal.refund;
+      const balance = await this.signer.provider.getBalance(proposal.wallet);
+      if (balance < proposal.value + (gasLimit + baseGas) * gasPrice) {
+        throw new Error("Wallet balance cannot cover the value and the largest refund");
+      }
+    }
+    return gasLimit;
+  }
+
+  async track(record, tx) {
+    try {
+      const receipt = await tx.wait();
+      record.status = "mined";
+      record.gasUsed = receipt.gasUsed;
+      for (const { name, args } of parseWalletLogs(receipt.logs, record.wallet)) {
+        if (name === "RefundPaid") {
+          record.refundPaid = args.payment;
+        }
+      }
+    } catch (error) {
+      record.status = "failed";
+      record.error = revertReason(error);
+    }
+    this.pending.delete(record.id);
+    return record;
+  }
+
+  /**
+   * Reads a proposal's status record
+   * @param id Proposal hash
+   * @return The record, or null if the proposal was never relayed
+   */
+  getStatus(id) {
+    return this.records.get(String(id).toLowerCase()) || null;
+  }
+
+  /**
+   * Waits until a relayed proposal is mined or has failed
+   * @param id Proposal hash
+   */
+  async waitFor(id) {
+    const key = String(id).toLowerCase();
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    return this.getStatus(key);
+  }
+
+  /**
+   * Starts the HTTP API:
+   * POST /relay with a proposal file as the body, GET /relay/<hash> for its status and
+   * GET /health for the relayer's address, chain and balance
+   * @param port Port to listen on (0 picks a free one)
+   * @param host Interface to bind (default: 127.0.0.1)
+   * @return The http.Server, already listening
+   */
+  listen(port, host = "127.0.0.1") {
+    return listen((request, response, url) => this.handle(request, response, url), port, host);
+  }
+
+  async handle(request, response, url) {
+    if (request.method === "GET" && url.pathname === "/health") {
+      const address = await this.signer.getAddress();
+      const { provider } = this.signer;
+      const [network, balance] = await Promise.all([provider.getNetwork(), provider.getBalance(address)]);
+      return respond(response, 200, {
+        relayer: address,
+        chainId: network.chainId,
+        balance,
+        requireRefund: this.requireRefund
+      });
+    }
+
+    if (request.method === "POST" && url.pathname === "/relay") {
+      try {
+        return respond(response, 202, await this.relay(await readJson(request)));
+      } catch (error) {
+        return respond(response, 400, { error: error.message });
+      }
+    }
+
+    const match = url.pathname.match(/^\/relay\/(0x[0-9a-fA-F]{64})$/);
+    if (request.method === "GET" && match) {
+      const record = this.getStatus(match[1]);
+      return record
+        ? respond(response, 200, record)
+        : respond(response, 404, { error: `Proposal ${match[1]} was not relayed` });
+    }
+
+    return respond(response, 404, { error: "Not found" });
+  }
+}
+
+/**
+ * Sends a proposal to a relayer's HTTP API
+ * @param url Base URL of the relayer, e.g. http://127.0.0.1:8600
+ * @param proposal Signed proposal
+ * @return The relayer's status record
+ */
+async function relayProposal(url, proposal) {
+  return requestJson(joinUrl(url, "/relay"), { method: "POST", body: proposal });
+}
+
+/**
+ * Reads a proposal's status from a relayer's HTTP API
+ * @param url Base URL of the relayer
+ * @param hash Proposal hash
+ */
+async function getRelayStatus(url, hash) {
+  return requestJson(joinUrl(url, `/relay/${hash}`));
+}
+
+module.exports = {
+  Relayer,
+  relayProposal,
+  getRelayStatus
+};
@@ -0,0 +1,105 @@
+const { getAddress, isAddress, ZeroAddress } = require("ethers");
+
+/**
+ * Applies the constructor's (and updateSigners') checks to a signer set before it is sent on-chain
+ * @param signers Array of signer addresses
+ * @param threshold Number of required signatures (k)
+ * @return Normalized { signers, threshold }, with checksummed addresses and a bigint threshold
+ */
+function validateSignerConfig(signers, threshold) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    throw new Error("Signers array empty");
+  }
+
+  const k = BigInt(threshold);
+  if (k <= 0n || k > BigInt(signers.length)) {
+    throw new Error(`Invalid threshold: ${threshold} of ${signers.length} signers`);
+  }
+
+  const seen = new Set();
+  const normalized = signers.map((signer) => {
+    if (!isAddress(signer)) {
+      throw new Error(`Invalid signer address: ${signer}`);
+    }
+
+    const address = getAddress(signer);
+    if (address === ZeroAddress) {
+      throw new Error("Invalid signer address: zero address");
+    }
+    if (seen.has(address)) {
+      throw new Error(`Duplicate signer: ${address}`);
+    }
+
+    seen.add(address);
+    return address;
+  });
+
+  return { signers: normalized, threshold: k };
+}
+
+/**
+ * Compares a target signer set with the current one
+ * @param current { signers, threshold } as read from the wallet
+ * @param target { signers, threshold } wanted; validated like validateSignerConfig
+ * @return { added, removed, kept, threshold: { from, to } } with addresses in target/current order
+ */
+function diffSigners(current, target) {
+  const next = validateSignerConfig(target.signers, target.threshold);
+  const before = current.signers.map((signer) => getAddress(signer));
+
+  return {
+    added: next.signers.filter((signer) => !before.includes(signer)),
+    removed: before.filter((signer) => !next.signers.includes(signer)),
+    kept: before.filter((signer) => next.signers.includes(signer)),
+    threshold: { from: BigInt(current.threshold), to: next.threshold }
+  };
+}
+
+/**
+ * Lists the fewest addSigner, removeSigner, swapSigner and changeThreshold calls that turn
+ * the current signer set into the target one. Removals are paired with additions as swaps;
+ * every intermediate threshold stays within the signers present at that step.
+ * @param current { signers, threshold } as read from the wallet
+ * @param target { signers, threshold } wanted
+ * @return Array of { name, args } in execution order (empty if nothing changes)
+ */
+function planSignerChanges(current, target) {
+  const diff = diffSigners(current, target);
+  const steps = [];
+
+  const swaps = Math.min(diff.added.length, diff.removed.length);
+  for (let i = 0; i < swaps; i++) {
+    steps.push({ name: "swapSigner", args: [diff.removed[i], diff.added[i]] });
+  }
+
+  // Add before removing so the signer count never dips below what the threshold needs
+  let threshold = diff.threshold.from;
+  let count = BigInt(current.signers.length);
+  for (const signer of diff.added.slice(swaps)) {
+    count += 1n;
+    steps.push({ name: "addSigner", args: [signer, threshold] });
+  }
+  for (const signer of diff.removed.slice(swaps)) {
+    count -= 1n;
+    threshold = threshold < count ? threshold : count;
+    steps.push({ name: "removeSigner", args: [signer, threshold] });
+  }
+
+  // The last addition or removal sets the final threshold; otherwise change it separately
+  if (threshold !== diff.threshold.to) {
+    const last = steps[steps.length - 1];
+    if (last && last.name !== "swapSigner") {
+      last.args[1] = diff.threshold.to;
+    } else {
+      steps.push({ name: "changeThreshold", args: [diff.threshold.to] });
+    }
+  }
+
+  return steps;
+}
+
+module.exports = {
+  validateSignerConfig,
+  diffSigners,
+  planSignerChanges
+};
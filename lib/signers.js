@@ -0,0 +1,268 @@
+const fs = require("fs");
+const {
+  Signature,
+  TypedDataEncoder,
+  Wallet,
+  getAddress,
+  getBytes,
+  hexlify,
+  recoverAddress,
+  verifyMessage
+} = require("ethers");
+const { listen, readJson, respond } = require("./http");
+
+// A signer backend is anything with getAddress(), signMessage(bytes) and, for typed-data
+// signing, signTypedData(domain, types, value). ethers Signers qualify; so do the classes below.
+
+/**
+ * Decrypts an encrypted JSON keystore (as written by geth, clef or ethers Wallet.encrypt)
+ * @param path Path of the keystore file
+ * @param password Keystore password
+ * @return ethers Wallet
+ */
+async function loadKeystore(path, password) {
+  if (password === undefined || password === null) {
+    throw new Error(`No password given for keystore ${path}`);
+  }
+  return Wallet.fromEncryptedJson(fs.readFileSync(path, "utf8"), password);
+}
+
+// Some signers return v as 0/1; the wallet expects 27/28
+function normalizeSignature(signature) {
+  return Signature.from(signature).serialized;
+}
+
+/**
+ * Signs through a remote JSON-RPC signer, such as clef or a signing service, with eth_sign
+ * and eth_signTypedData_v4. The key never leaves the remote signer; every signature it
+ * returns is checked to come from the expected address.
+ */
+class RemoteSigner {
+  /**
+   * @param url JSON-RPC endpoint of the remote signer
+   * @param address Account to sign with (default: the first of eth_accounts)
+   */
+  constructor(url, address) {
+    this.url = url;
+    this.address = address ? getAddress(address) : null;
+    this.requestId = 0;
+  }
+
+  async request(method, params) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: ++this.requestId, method, params })
+    });
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`Remote signer ${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const [account] = await this.request("eth_accounts", []);
+      if (!account) {
+        throw new Error(`Remote signer at ${this.url} has no accounts`);
+      }
+      this.address = getAddress(account);
+    }
+    return this.address;
+  }
+
+  async signMessage(message) {
+    const address = await this.getAddress();
+    const signature = normalizeSignature(await this.request("eth_sign", [address, hexlify(message)]));
+
+    if (verifyMessage(message, signature) !== address) {
+      throw new Error(`Remote signer returned a signature that does not recover to ${address}`);
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const address = await this.getAddress();
+    const primaryType = TypedDataEncoder.getPrimaryType(types);
+    const payload = TypedDataEncoder.getPayload(domain, types, value);
+    const signature = normalizeSignature(
+      await this.request("eth_signTypedData_v4", [address, JSON.stringify({ ...payload, primaryType })])
+    );
+
+    if (recoverAddress(TypedDataEncoder.hash(domain, types, value), signature) !== address) {
+      throw new Error(`Remote signer returned a signature that does not recover to ${address}`);
+    }
+    return signature;
+  }
+}
+
+/**
+ * Hands out signatures made elsewhere, e.g. on an offline machine, from a file of
+ * { signer, signatures: [{ hash, signature }] }. It can only "sign" the hashes listed.
+ */
+class PresignedSigner {
+  /**
+   * @param signer Address that made the signatures
+   * @param signatures Array of { hash, signature }
+   */
+  constructor(signer, signatures) {
+    this.address = getAddress(signer);
+    this.signatures = new Map(signatures.map(({ hash, signature }) => [hash.toLowerCase(), signature]));
+  }
+
+  static fromFile(path) {
+    const { signer, signatures } = JSON.parse(fs.readFileSync(path, "utf8"));
+    if (!signer || !Array.isArray(signatures)) {
+      throw new Error(`${path} is not a pre-signed signature file`);
+    }
+    return new PresignedSigner(signer, signatures);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  // Proposals are signed as their 32-byte hash, so the message is the hash to look up
+  async signMessage(message) {
+    const hash = hexlify(message);
+    const signature = this.signatures.get(hash);
+    if (!signature) {
+      throw new Error(`No pre-signed signature from ${this.address} for ${hash}`);
+    }
+    return signature;
+  }
+
+  async signTypedData() {
+    throw new Error("Pre-signed signatures are imported as they are; sign without --typed");
+  }
+}
+
+/**
+ * Stands in for a remote signer in tests and local setups: a JSON-RPC server answering
+ * eth_accounts, eth_sign and eth_signTypedData_v4 with keys held in memory
+ */
+class MockRemoteSigner {
+  /**
+   * @param wallets ethers Wallets (or other Signers with an address) to sign with
+   */
+  constructor(wallets) {
+    this.wallets = new Map(wallets.map((wallet) => [wallet.address, wallet]));
+  }
+
+  wallet(address) {
+    const wallet = this.wallets.get(getAddress(address));
+    if (!wallet) {
+      throw new Error(`Unknown account ${address}`);
+    }
+    return wallet;
+  }
+
+  async call(method, params) {
+    switch (method) {
+      case "eth_accounts":
+        return [...this.wallets.keys()];
+      case "eth_sign":
+        return this.wallet(params[0]).signMessage(getBytes(params[1]));
+      case "eth_signTypedData_v4": {
+        const { domain, types, message } = JSON.parse(params[1]);
+        delete types.EIP712Domain;
+        return this.wallet(params[0]).signTypedData(domain, types, message);
+      }
+      default:
+        throw new Error(`Method ${method} not supported`);
+    }
+  }
+
+  /**
+   * Starts the JSON-RPC server
+   * @param port Port to listen on (0 picks a free one)
+   * @param host Interface to bind (default: 127.0.0.1)
+   * @return The http.Server, already listening
+   */
+  listen(port, host = "127.0.0.1") {
+    return listen(async (request, response) => {
+      const { id, method, params } = await readJson(request);
+      try {
+        respond(response, 200, { jsonrpc: "2.0", id, result: await this.call(method, params) });
+      } catch (error) {
+        respond(response, 200, { jsonrpc: "2.0", id, error: { code: -32000, message: error.message } });
+      }
+    }, port, host);
+  }
+}
+
+/**
+ * Builds a signer backend from a spec string:
+ * "keystore:<path>", "remote:<url>[#<address>]", "presigned:<path>" or "account:<index>"
+ * @param spec Backend spec
+ * @param options password for keystores, provider to connect keystore wallets to and accounts,
+ * the configured Signers "account:" indexes into
+ */
+async function loadSigner(spec, { password, provider, accounts = [] } = {}) {
+  const separator = spec.indexOf(":");
+  const kind = separator < 0 ? spec : spec.slice(0, separator);
+  const value = separator < 0 ? "" : spec.slice(separator + 1);
+
+  switch (kind) {
+    case "keystore": {
+      const wallet = await loadKeystore(value, password);
+      return provider ? wallet.connect(provider) : wallet;
+    }
+    case "remote": {
+      const [url, address] = value.split("#");
+      return new RemoteSigner(url, address);
+    }
+    case "presigned":
+      return PresignedSigner.fromFile(value);
+    case "account": {
+      const account = accounts[Number(value)];
+      if (!account) {
+        throw new Error(`No configured account at index ${value}`);
+      }
+      return account;
+    }
+    default:
+      throw new Error(`Unknown signer backend "${kind}" (expected keystore, remote, presigned or account)`);
+  }
+}
+
+/**
+ * Builds signer backends from a comma-separated list of specs (see loadSigner)
+ */
+async function loadSigners(specs, options) {
+  const signers = [];
+  for (const spec of specs.split(",").map((item) => item.trim()).filter((item) => item.length > 0)) {
+    signers.push(await loadSigner(spec, options));
+  }
+  return signers;
+}
+
+/**
+ * Writes signatures in the format PresignedSigner reads
+ * @param path File to write
+ * @param signer Address that made the signatures
+ * @param proposals Proposals carrying a signature from signer
+ */
+function writePresignedFile(path, signer, proposals) {
+  const address = getAddress(signer);
+  const signatures = [];
+  for (const proposal of proposals) {
+    const entry = proposal.signatures.find((item) => getAddress(item.signer) === address);
+    if (!entry) {
+      throw new Error(`Proposal ${proposal.hash} carries no signature from ${address}`);
+    }
+    signatures.push({ hash: proposal.hash, signature: entry.signature });
+  }
+  fs.writeFileSync(path, JSON.stringify({ signer: address, signatures }, null, 2) + "\n");
+}
+
+module.exports = {
+  RemoteSigner,
+  PresignedSigner,
+  MockRemoteSigner,
+  loadKeystore,
+  loadSigner,
+  loadSigners,
+  writePresignedFile
+};
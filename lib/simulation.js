@@ -0,0 +1,246 @@
+const {
+  AbiCoder,
+  Contract,
+  Interface,
+  Wallet,
+  getAddress,
+  keccak256,
+  parseEther,
+  toQuantity,
+  zeroPadValue
+} = require("ethers");
+const { MULTISIG_ABI } = require("./abi");
+const { ERC1155_ABI, ERC20_ABI, ERC721_ABI, decodeCalldata } = require("./calldata");
+const { isBatchProposal, isMessageProposal, isRelayedProposal } = require("./proposal");
+const { MultiSigClient } = require("./multisig-client");
+
+const BALANCE_OF_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+// Covers the gas of the transactions sent by the simulation key
+const GAS_FUNDS = parseEther("100");
+
+function toInterface(abi) {
+  return abi instanceof Interface ? abi : new Interface(abi);
+}
+
+function unique(addresses) {
+  return [...new Set(addresses.map((address) => getAddress(address)))];
+}
+
+/**
+ * Points a Hardhat network at a fork of another chain with hardhat_reset
+ * @param provider Provider of the in-process Hardhat network
+ * @param options url of the chain's JSON-RPC endpoint and optional blockNumber (default: latest)
+ */
+async function forkNetwork(provider, { url, blockNumber }) {
+  const forking = { jsonRpcUrl: url };
+  if (blockNumber !== undefined && blockNumber !== null) {
+    forking.blockNumber = Number(blockNumber);
+  }
+  await provider.send("hardhat_reset", [{ forking }]);
+}
+
+// Reads the revert string, or the raw revert data when the callee used a custom error
+function revertReason(error, interfaces) {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  const data = error.data || (error.error && error.error.data);
+  if (typeof data !== "string" || data === "0x") {
+    return error.shortMessage || error.message;
+  }
+  for (const iface of interfaces) {
+    let parsed = null;
+    try {
+      parsed = iface.parseError(data);
+    } catch (error) {
+      // Arguments do not match this ABI's error; try the next one
+    }
+    if (parsed && parsed.signature === "Error(string)") {
+      return parsed.args[0];
+    }
+    if (parsed) {
+      return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+    }
+  }
+  return data;
+}
+
+function decodeLog(log, interfaces) {
+  for (const iface of interfaces) {
+    let parsed = null;
+    try {
+      parsed = iface.parseLog(log);
+    } catch (error) {
+      // Topic count differs from this ABI's event; try the next one
+    }
+    if (parsed) {
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || String(i)] = parsed.args[i];
+      });
+      return { address: log.address, name: parsed.name, signature: parsed.signature, args };
+    }
+  }
+  return { address: log.address, name: null, signature: null, topics: [...log.topics], data: log.data };
+}
+
+// Targets that answer balanceOf are treated as ERC20 tokens
+async function detectTokens(provider, wallet, targets) {
+  const tokens = [];
+  for (const target of targets) {
+    try {
+      await new Contract(target, BALANCE_OF_ABI, provider).balanceOf(wallet);
+      tokens.push(target);
+    } catch (error) {
+      // Not a token
+    }
+  }
+  return tokens;
+}
+
+async function readBalances(provider, holders, tokens) {
+  const balances = [];
+  for (const account of holders) {
+    balances.push({ account, token: null, balance: await provider.getBalance(account) });
+    for (const token of tokens) {
+      const balance = await new Contract(token, BALANCE_OF_ABI, provider).balanceOf(account);
+      balances.push({ account, token, balance });
+    }
+  }
+  return balances;
+}
+
+// Storage slot of MultiSigWallet's isSigner mapping, after the signers array
+const IS_SIGNER_SLOT = 1n;
+
+/**
+ * Makes throwaway keys count as signers by writing them into the wallet's isSigner
+ * mapping. The signers array, threshold and policies are left alone, so proposals that
+ * change the signer set run against the real one.
+ * @param count Number of keys, i.e. the signatures the proposal needs
+ */
+async function addSimulationSigners(provider, wallet, count) {
+  const keys = [];
+  for (let i = 0; i < count; i++) {
+    const key = Wallet.createRandom().connect(provider);
+    const slot = keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [key.address, IS_SIGNER_SLOT]));
+    await provider.send("hardhat_setStorageAt", [wallet, toQuantity(slot), zeroPadValue("0x01", 32)]);
+    keys.push(key);
+  }
+
+  const contract = new Contract(wallet, MULTISIG_ABI, provider);
+  for (const key of keys) {
+    if (!(await contract.isSigner(key.address))) {
+      throw new Error(`Could not add a simulation signer to ${wallet}; is it a MultiSigWallet?`);
+    }
+  }
+
+  // The first key sends the transactions
+  await provider.send("hardhat_setBalance", [keys[0].address, toQuantity(GAS_FUNDS)]);
+  return keys;
+}
+
+/**
+ * Executes a proposal on a Hardhat network (usually a fork, see forkNetwork) and reverts
+ * every change afterwards. The proposal's own hash is signed by throwaway keys that are made
+ * signers for the simulation, as many as its policy requires, so gasUsed covers a full set of
+ * signature checks. Timelocked proposals are queued and executed once their delay has passed;
+ * their gasUsed is the sum of both transactions, and queueGasUsed the part spent queueing.
+ * @param provider Provider of the in-process Hardhat network
+ * @param proposal Single-call or batch proposal at the wallet's current nonce
+ * @param options tokens to report balances of (call targets answering balanceOf are added),
+ * extra accounts to report balances of, and abis used to decode events and custom errors
+ * @return { success, revertReason, gasUsed, queueGasUsed, queued, nonce, balances, events } where
+ * balances lists { account, token, before, after, delta } with token null for ETH
+ */
+async function simulateProposal(provider, proposal, { tokens = [], accounts = [], abis = [] } = {}) {
+  if (isMessageProposal(proposal)) {
+    throw new Error("Message proposals are submitted as contract signatures, not executed");
+  }
+
+  const wallet = getAddress(proposal.wallet);
+  const interfaces = [...abis, MULTISIG_ABI, ERC20_ABI, ERC721_ABI, ERC1155_ABI].map(toInterface);
+  const calls = isBatchProposal(proposal) ? proposal.calls : [proposal];
+  const snapshot = await provider.send("evm_snapshot", []);
+
+  try {
+    const nonce = await new Contract(wallet, MULTISIG_ABI, provider).nonce();
+    if (BigInt(proposal.nonce) !== nonce) {
+      throw new Error(`Proposal nonce ${proposal.nonce} does not match wallet nonce ${nonce}`);
+    }
+
+    const client = new MultiSigClient(wallet, provider);
+    const { required } = await client.getRequiredThreshold(proposal);
+    const keys = await addSimulationSigners(provider, wallet, Number(required > 0n ? required : 1n));
+    const signatures = [];
+    for (const key of keys) {
+      signatures.push(await client.sign(proposal, key));
+    }
+    const local = client.collect({ ...proposal, signatures: [] }, signatures);
+    const sender = keys[0];
+
+    const queued = !isBatchProposal(local) && (await client.requiresTimelock(local));
+    if (queued && isRelayedProposal(local)) {
+      throw new Error("Proposal needs the timelock, but relayed proposals cannot be queued; propose it without a refund");
+    }
+
+    // Token recipients are the accounts a transfer is meant to change
+    const recipients = calls
+      .map((call) => decodeCalldata(call.data, abis))
+      .filter((decoded) => decoded && ["transfer", "transferFrom", "safeTransferFrom"].includes(decoded.name))
+      .map((decoded) => decoded.args.to)
+      .filter((to) => typeof to === "string");
+    const targets = unique(calls.map((call) => call.target));
+    const holders = unique([wallet, ...targets, ...recipients, ...accounts]);
+    const tracked = unique([...tokens, ...(await detectTokens(provider, wallet, targets))]);
+
+    const before = await readBalances(provider, holders, tracked);
+
+    let queueReceipt = null;
+    let receipt = null;
+    let reason = null;
+    try {
+      if (queued) {
+        queueReceipt = await (await client.queue(local, sender)).wait();
+        const { delay } = await client.getTimelock();
+        await provider.send("evm_increaseTime", [Number(delay)]);
+        await provider.send("evm_mine", []);
+        receipt = await (await client.executeQueued(local.hash, sender)).wait();
+      } else {
+        receipt = await (await client.execute(local, sender)).wait();
+      }
+    } catch (error) {
+      reason = revertReason(error, interfaces);
+    }
+
+    const after = await readBalances(provider, holders, tracked);
+
+    return {
+      success: receipt !== null,
+      revertReason: reason,
+      gasUsed: receipt ? receipt.gasUsed + (queueReceipt ? queueReceipt.gasUsed : 0n) : null,
+      queueGasUsed: receipt && queueReceipt ? queueReceipt.gasUsed : null,
+      queued,
+      nonce,
+      balances: before.map((entry, i) => ({
+        account: entry.account,
+        token: entry.token,
+        before: entry.balance,
+        after: after[i].balance,
+        delta: after[i].balance - entry.balance
+      })),
+      events: receipt
+        ? [...(queueReceipt ? queueReceipt.logs : []), ...receipt.logs].map((log) => decodeLog(log, interfaces))
+        : []
+    };
+  } finally {
+    await provider.send("evm_revert", [snapshot]);
+  }
+}
+
+module.exports = {
+  forkNetwork,
+  simulateProposal
+};
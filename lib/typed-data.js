@@ -0,0 +1,137 @@
+const { concat, dataLength, dataSlice, getBytes, isHexString, recoverAddress, toBeHex } = require("ethers");
+const { BATCH_TYPES, MESSAGE_TYPES, RELAYED_TRANSACTION_TYPES, TRANSACTION_TYPES, getDomain } = require("./hash");
+
+// Added to v by signers using eth_signTypedData, mirroring TYPED_SIGNATURE_V_OFFSET
+const TYPED_SIGNATURE_V_OFFSET = 4;
+
+/**
+ * Builds the arguments for signer.signTypedData(domain, types, message)
+ * @param proposal Single-call (optionally relayed), batch or message proposal
+ * @return { domain, types, primaryType, message }
+ */
+function getTypedData(proposal) {
+  const domain = getDomain(proposal.chainId, proposal.wallet);
+
+  if (proposal.message !== undefined) {
+    return {
+      domain,
+      types: MESSAGE_TYPES,
+      primaryType: "Message",
+      message: { hash: proposal.message }
+    };
+  }
+
+  if (Array.isArray(proposal.calls)) {
+    return {
+      domain,
+      types: BATCH_TYPES,
+      primaryType: "Batch",
+      message: { calls: proposal.calls, nonce: proposal.nonce }
+    };
+  }
+
+  const transaction = {
+    target: proposal.target,
+    value: proposal.value,
+    data: proposal.data,
+    nonce: proposal.nonce
+  };
+
+  if (proposal.refund) {
+    return {
+      domain,
+      types: RELAYED_TRANSACTION_TYPES,
+      primaryType: "RelayedTransaction",
+      message: { transaction, refund: proposal.refund }
+    };
+  }
+
+  return {
+    domain,
+    types: TRANSACTION_TYPES,
+    primaryType: "Transaction",
+    message: transaction
+  };
+}
+
+/**
+ * Builds the JSON payload of an eth_signTypedData_v4 request, so hardware and browser
+ * wallets can show the target, value and data being approved
+ * @param proposal Single-call, batch or message proposal
+ */
+function getTypedDataPayload(proposal) {
+  const { domain, types, primaryType, message } = getTypedData(proposal);
+
+  const payload = {
+    types: {
+      EIP712Domain: [
+        { name: "name", type: "string" },
+        { name: "version", type: "string" },
+        { name: "chainId", type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+      ],
+      ...types
+    },
+    primaryType,
+    domain,
+    message
+  };
+
+  // JSON-RPC expects decimal strings rather than bigints
+  return JSON.parse(JSON.stringify(payload, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function signatureV(signature) {
+  return isHexString(signature) && dataLength(signature) === 65 ? getBytes(signature)[64] : null;
+}
+
+function isTypedSignature(signature) {
+  const v = signatureV(signature);
+  return v === 27 + TYPED_SIGNATURE_V_OFFSET || v === 28 + TYPED_SIGNATURE_V_OFFSET;
+}
+
+/**
+ * Marks a plain signTypedData signature (v of 27/28) for the wallet by adding the v offset
+ * @param signature 65-byte signature returned by eth_signTypedData
+ */
+function toTypedSignature(signature) {
+  const v = signatureV(signature);
+  if (v !== 27 && v !== 28) {
+    throw new Error("Expected a 65-byte signature with v of 27 or 28");
+  }
+  return concat([dataSlice(signature, 0, 64), toBeHex(v + TYPED_SIGNATURE_V_OFFSET, 1)]);
+}
+
+/**
+ * Recovers the signer of a typed signature (v of 31/32) over the raw EIP-712 digest
+ * @param hash Proposal hash
+ * @param signature Signature carrying the v offset
+ */
+function recoverTypedSigner(hash, signature) {
+  const v = signatureV(signature) - TYPED_SIGNATURE_V_OFFSET;
+  return recoverAddress(hash, {
+    r: dataSlice(signature, 0, 32),
+    s: dataSlice(signature, 32, 64),
+    v
+  });
+}
+
+/**
+ * Signs a proposal with signTypedData and applies the v offset
+ * @param proposal Single-call, batch or message proposal
+ * @param signer ethers Signer
+ */
+async function signTypedProposal(proposal, signer) {
+  const { domain, types, message } = getTypedData(proposal);
+  return toTypedSignature(await signer.signTypedData(domain, types, message));
+}
+
+module.exports = {
+  TYPED_SIGNATURE_V_OFFSET,
+  getTypedData,
+  getTypedDataPayload,
+  isTypedSignature,
+  toTypedSignature,
+  recoverTypedSigner,
+  signTypedProposal
+};
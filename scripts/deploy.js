@@ -1,43 +1,42 @@
+const fs = require("fs");
 const hre = require("hardhat");
+const { deployMultiSigWallet } = require("../lib/deploy");
+
+// Usage:
+//   MULTISIG_PARAMETERS=ignition/parameters/localhost.json npx hardhat run scripts/deploy.js --network localhost
+// Without MULTISIG_PARAMETERS the first three configured accounts are used with a threshold of 2.
+async function loadParameters() {
+  const parametersPath = process.env.MULTISIG_PARAMETERS;
+  if (parametersPath) {
+    const parameters = JSON.parse(fs.readFileSync(parametersPath, "utf8")).MultiSigWalletModule;
+    if (!parameters) {
+      throw new Error(`${parametersPath} has no MultiSigWalletModule parameters`);
+    }
+    return parameters;
+  }
+
+  const [deployer, account1, account2] = await hre.ethers.getSigners();
+  return {
+    signers: [deployer.address, account1.address, account2.address],
+    threshold: 2
+  };
+}
 
 async function main() {
-  const [deployer, account1, account2, account3] = await hre.ethers.getSigners();
-  
-  console.log("Deploying updated MultiSig wallet with the account:", deployer.address);
-  console.log("Account 1:", account1.address);
-  console.log("Account 2:", account2.address);
-  console.log("Account 3:", account3.address);
-  
-  // Initial signers
-  const signers = [
-    deployer.address,
-    account1.address,
-    account2.address
-  ];
-  
-  // Threshold (k out of n)
-  const threshold = 2;
-  
-  // Admin address
-  const admin = deployer.address;
-  
-  // Deploy the MultiSig contract
-  const MultiSigWallet = await hre.ethers.getContractFactory("MultiSigWallet");
-  const multisig = await MultiSigWallet.deploy(signers, threshold, admin);
-  
-  // Wait for deployment to complete
-  await multisig.waitForDeployment();
-  
-  // Get the contract address
-  const multisigAddress = await multisig.getAddress();
-  
-  console.log("Updated MultiSigWallet deployed to:", multisigAddress);
-  console.log("Signers:", signers);
-  console.log("Threshold:", threshold);
-  console.log("Admin:", admin);
+  const [deployer] = await hre.ethers.getSigners();
+  const { signers, threshold } = await loadParameters();
+
+  console.log("Deploying MultiSig wallet with the account:", deployer.address);
+
+  // Validates the parameters, deploys through Ignition and reads the signer set back
+  const multisig = await deployMultiSigWallet(hre, { signers, threshold });
+
+  console.log("MultiSigWallet deployed to:", await multisig.getAddress());
+  console.log("Signers:", (await multisig.getSigners()).join(", "));
+  console.log("Threshold:", (await multisig.threshold()).toString());
 }
 
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
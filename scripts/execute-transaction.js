@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { MultiSigClient, loadSigners } = require("../lib");
 
 async function main() {
   const [deployer, account1, account2, account3] = await hre.ethers.getSigners();
@@ -16,44 +17,32 @@ async function main() {
   // Empty data for a simple ETH transfer
   const data = "0x";
   
-  // Get contract instance
-  const multisig = await ethers.getContractAt("MultiSigWallet", multisigAddress);
-  
-  // Get current nonce
-  const nonce = await multisig.nonce();
-  console.log("Current nonce:", nonce.toString());
-  
-  // Get transaction hash
-  const txHash = await multisig.getTransactionHash(
-    targetAddress,
-    value,
-    data,
-    nonce
-  );
-  console.log("Transaction hash:", txHash);
-  
-  // Convert the hash to bytes
-  const messageHashBytes = ethers.getBytes(txHash);
-  
-  // Sign the transaction hash - using signMessage directly adds the Ethereum prefix,
-  // which differs from our contract's expectations
-  // Instead, we need to sign the raw digest
-  
-  // Get raw private keys
-  const [deployerWallet, account1Wallet] = [
-    new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"),
-    new ethers.Wallet(process.env.ACCOUNT1_PRIVATE_KEY || "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d")
-  ];
-  
-  // Sign the digest directly
-  const deployerSignature = await deployerWallet.signMessage(messageHashBytes);
-  const account1Signature = await account1Wallet.signMessage(messageHashBytes);
+  // Build the proposal for the current nonce (hash computed locally)
+  const client = new MultiSigClient(multisigAddress, deployer);
+  let proposal = await client.proposeTransaction({ target: targetAddress, value, data });
+  console.log("Current nonce:", proposal.nonce.toString());
+  console.log("Transaction hash:", proposal.hash);
+  
+  // Load the signer backends named in MULTISIG_SIGNER_BACKENDS, e.g.
+  // "keystore:keys/alice.json,remote:http://127.0.0.1:8550" (default: the first two configured accounts).
+  // Keystores are unlocked with MULTISIG_KEYSTORE_PASSWORD; private keys are never read from the environment.
+  const signers = await loadSigners(process.env.MULTISIG_SIGNER_BACKENDS || "account:0,account:1", {
+    password: process.env.MULTISIG_KEYSTORE_PASSWORD,
+    provider: ethers.provider,
+    accounts: await hre.ethers.getSigners()
+  });
   
-  console.log("Signer 1 address:", deployerWallet.address);
-  console.log("Signature 1:", deployerSignature);
+  // Sign the hash with the Ethereum signed message prefix and collect the signatures
+  const signatures = [];
+  for (const signer of signers) {
+    signatures.push(await client.sign(proposal, signer));
+  }
+  proposal = client.collect(proposal, signatures);
   
-  console.log("Signer 2 address:", account1Wallet.address);
-  console.log("Signature 2:", account1Signature);
+  for (const { signer, signature } of proposal.signatures) {
+    console.log("Signer:", signer);
+    console.log("Signature:", signature);
+  }
   
   // Fund the multisig contract with some ETH first
   const fundTx = await deployer.sendTransaction({
@@ -65,12 +54,7 @@ async function main() {
   
   // Execute the transaction
   console.log("Executing transaction...");
-  const tx = await multisig.executeTransaction(
-    targetAddress,
-    value,
-    data,
-    [deployerSignature, account1Signature]
-  );
+  const tx = await client.execute(proposal);
   
   // Wait for the transaction to be mined
   await tx.wait();
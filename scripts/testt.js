@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { diagnoseSignatures } = require("../lib");
 
 async function main() {
   const [deployer, account1, account2, account3] = await hre.ethers.getSigners();
@@ -43,18 +44,18 @@ async function main() {
   console.log("Signer 2:", account1.address);
   console.log("Signature 2:", signature2);
   
-  // Try to verify using the contract's debug function
-  try {
-    const recovered1 = await multisig.debugRecoverSigner(txHash, signature1);
-    console.log("Recovered signer 1:", recovered1);
-    console.log("Match:", recovered1.toLowerCase() === deployer.address.toLowerCase());
-    
-    const recovered2 = await multisig.debugRecoverSigner(txHash, signature2);
-    console.log("Recovered signer 2:", recovered2);
-    console.log("Match:", recovered2.toLowerCase() === account1.address.toLowerCase());
-  } catch (error) {
-    console.error("Error recovering signer:", error.message);
+  // Check the signatures locally with the same rules as recoverSigner/verifySignatures
+  const report = diagnoseSignatures({
+    hash: txHash,
+    signatures: [signature1, signature2],
+    signers: await multisig.getSigners(),
+    threshold: await multisig.threshold()
+  });
+  for (const entry of report.signatures) {
+    console.log(`Recovered signer ${entry.index + 1}:`, entry.recovered);
+    console.log("Authorized:", entry.isSigner, entry.reason ? `(${entry.reason})` : "");
   }
+  console.log("Expected revert:", report.expectedRevert || "none");
   
   // Fund the multisig contract with some ETH
   const fundTx = await deployer.sendTransaction({
@@ -0,0 +1,1235 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+  Coordinator,
+  MultiSigClient,
+  ProposalStore,
+  RecoveryClient,
+  Relayer,
+  forkNetwork,
+  formatProposalSummary,
+  getPendingProposals,
+  getProposalStatus,
+  getRelayStatus,
+  getTransactionHash,
+  getWalletInfo,
+  getTypedDataPayload,
+  historyToCsv,
+  historyToJson,
+  loadSigners,
+  mergeProposals,
+  postProposal,
+  postSignatures,
+  readProposal,
+  relayProposal,
+  retargetStaleProposals,
+  simulateProposal,
+  summarizeProposal,
+  toTypedSignature,
+  writePresignedFile,
+  writeProposal
+} = require("../lib");
+const { deployGuardianRecovery, deployMultiSigWallet } = require("../lib/deploy");
+
+// Print results as JSON, with bigints rendered as decimal strings
+function printJson(value) {
+  console.log(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2));
+}
+
+function splitList(list) {
+  return list ? list.split(",").map((item) => item.trim()).filter((item) => item.length > 0) : [];
+}
+
+// Keystores are unlocked with the contents of --password-file, or MULTISIG_KEYSTORE_PASSWORD
+function readKeystorePassword(passwordFile) {
+  if (passwordFile) {
+    return fs.readFileSync(passwordFile, "utf8").replace(/\r?\n$/, "");
+  }
+  return process.env.MULTISIG_KEYSTORE_PASSWORD;
+}
+
+// Resolve signing keys from --keys (raw private keys), --accounts (indexes of configured accounts)
+// and --backends (keystore, remote or pre-signed signer backends)
+async function resolveSigners(hre, { keys, accounts, backends, passwordFile }) {
+  const signers = splitList(keys).map((key) => new hre.ethers.Wallet(key, hre.ethers.provider));
+
+  if (accounts) {
+    const configured = await hre.ethers.getSigners();
+    for (const index of splitList(accounts)) {
+      const signer = configured[Number(index)];
+      if (!signer) {
+        throw new Error(`No configured account at index ${index}`);
+      }
+      signers.push(signer);
+    }
+  }
+
+  if (backends) {
+    signers.push(...(await loadSigners(backends, {
+      password: readKeystorePassword(passwordFile),
+      provider: hre.ethers.provider,
+      accounts: await hre.ethers.getSigners()
+    })));
+  }
+
+  return signers;
+}
+
+// Load the ABIs of the artifacts named in --abis, used to decode call data
+async function readAbis(hre, names) {
+  const abis = [];
+  for (const name of splitList(names)) {
+    abis.push((await hre.artifacts.readArtifact(name)).abi);
+  }
+  return abis;
+}
+
+// Show a signer what they are about to approve
+function printSummary(proposal, abis) {
+  console.log(formatProposalSummary(summarizeProposal(proposal, abis)));
+}
+
+// Tell signers how many signatures the wallet's policies require for a proposal
+async function printRequirement(client, proposal) {
+  const { required, denied } = await client.getRequiredThreshold(proposal);
+  console.log(denied ? "Denied by policy: the wallet will reject this proposal" : `Requires ${required} signatures`);
+}
+
+// Accept a function selector as 0x-prefixed hex or as a signature, e.g. transfer(address,uint256)
+function parseSelector(hre, selector) {
+  if (!selector) {
+    return "0x00000000";
+  }
+  return hre.ethers.isHexString(selector, 4) ? selector : hre.ethers.id(selector).slice(0, 10);
+}
+
+// Convert a whole-unit amount to wei or the token's smallest unit, reading decimals unless given
+async function parseAmount(hre, token, amount, decimals) {
+  if (!token || token === hre.ethers.ZeroAddress) {
+    return hre.ethers.parseEther(amount);
+  }
+  if (decimals === undefined) {
+    const contract = new hre.ethers.Contract(token, ["function decimals() view returns (uint8)"], hre.ethers.provider);
+    try {
+      decimals = await contract.decimals();
+    } catch (error) {
+      throw new Error(`Could not read decimals of ${token}; pass --decimals`);
+    }
+  }
+  return hre.ethers.parseUnits(amount, decimals);
+}
+
+async function getClient(hre, wallet) {
+  const [sender] = await hre.ethers.getSigners();
+  return new MultiSigClient(wallet, sender);
+}
+
+async function getRecoveryClient(hre, module) {
+  const [sender] = await hre.ethers.getSigners();
+  return new RecoveryClient(module, sender);
+}
+
+// Build a proposal from the shared --target/--value/--data/--nonce parameters, plus the
+// refund terms for a relayer when --refund-gas-price is given
+async function buildProposal(hre, client, args) {
+  let refund;
+  if (args.refundGasPrice !== undefined) {
+    refund = {
+      gasPrice: hre.ethers.parseUnits(args.refundGasPrice, "gwei"),
+      baseGas: BigInt(args.refundBaseGas || 0),
+      receiver: args.refundReceiver
+    };
+  }
+  return client.proposeTransaction({
+    target: args.target,
+    value: hre.ethers.parseEther(args.value),
+    data: args.data,
+    nonce: args.nonce,
+    refund
+  });
+}
+
+// Sign with every resolved key and merge in any --signatures / --typed-signatures given on the command line
+async function collectSignatures(hre, client, proposal, args) {
+  const signatures = [];
+  for (const signer of await resolveSigners(hre, args)) {
+    signatures.push(await client.sign(proposal, signer, { typed: Boolean(args.typed) }));
+  }
+  return client.collect(proposal, [
+    ...signatures,
+    ...splitList(args.signatures),
+    ...splitList(args.typedSignatures).map(toTypedSignature)
+  ]);
+}
+
+// Validate a proposal and keep only the signatures that passed
+async function validSignaturesOnly(client, proposal) {
+  const validation = await client.validate(proposal);
+  if (!validation.ready) {
+    throw new Error(`Proposal ${proposal.hash} is not ready: ${validation.errors.join("; ")}`);
+  }
+
+  const valid = new Set(validation.signatures.filter((entry) => entry.valid).map((entry) => entry.signature));
+  return {
+    ...proposal,
+    signatures: proposal.signatures.filter((entry) => valid.has(entry.signature))
+  };
+}
+
+async function submit(client, proposal) {
+  const tx = await client.execute(proposal);
+  const receipt = await tx.wait();
+  return {
+    wallet: client.address,
+    nonce: proposal.nonce,
+    hash: proposal.hash,
+    signers: proposal.signatures.map((entry) => entry.signer),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed
+  };
+}
+
+// Queue through the timelock, returning the queue id and ETA
+async function queue(client, proposal) {
+  const receipt = await (await client.queue(proposal)).wait();
+  const queued = await client.getQueued(proposal.hash);
+  return {
+    ...queued,
+    signers: proposal.signatures.map((entry) => entry.signer),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber
+  };
+}
+
+// Adds the parameters shared by every task that describes a transaction
+function transactionParams(definition) {
+  return definition
+    .addParam("wallet", "Address of the MultiSigWallet")
+    .addParam("target", "Address of the contract or account to call")
+    .addOptionalParam("value", "Amount of ETH to send, in ether", "0")
+    .addOptionalParam("data", "Call data for the target", "0x")
+    .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)");
+}
+
+// Adds --keys, --accounts and --backends, resolved by resolveSigners
+function accountParams(definition) {
+  return definition
+    .addOptionalParam("keys", "Comma-separated private keys to sign with")
+    .addOptionalParam("accounts", "Comma-separated indexes of configured accounts to sign with")
+    .addOptionalParam(
+      "backends",
+      "Comma-separated signer backends: keystore:<path>, remote:<url>[#<address>], presigned:<path> or account:<index>"
+    )
+    .addOptionalParam("passwordFile", "File holding the keystore password (default: $MULTISIG_KEYSTORE_PASSWORD)");
+}
+
+function signingParams(definition) {
+  return accountParams(definition).addFlag("typed", "Sign with eth_signTypedData instead of eth_sign");
+}
+
+// Adds the parameters shared by every task that acts on an on-chain proposal
+function onchainParams(definition) {
+  return definition
+    .addParam("wallet", "Address of the MultiSigWallet")
+    .addParam("id", "Id of the on-chain proposal");
+}
+
+// Adds --module and --id for the guardian recovery tasks
+function recoveryParams(definition) {
+  return definition
+    .addParam("module", "Address of the GuardianRecovery module")
+    .addParam("id", "Id of the recovery");
+}
+
+task("multisig:deploy", "Validates the signer set, deploys a MultiSigWallet through Ignition and verifies it")
+  .addParam("signers", "Comma-separated signer addresses")
+  .addParam("threshold", "Number of required signatures", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const multisig = await deployMultiSigWallet(hre, {
+      signers: splitList(args.signers),
+      threshold: args.threshold
+    });
+
+    const result = {
+      address: await multisig.getAddress(),
+      signers: await multisig.getSigners(),
+      threshold: await multisig.threshold()
+    };
+    printJson(result);
+    return result;
+  });
+
+task("multisig:info", "Prints the state of a MultiSigWallet")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const result = {
+      address: client.address,
+      chainId: await client.getChainId(),
+      nonce: await client.getNonce(),
+      threshold: await client.getThreshold(),
+      signers: await client.getSigners(),
+      timelock: await client.getTimelock(),
+      balance: await hre.ethers.provider.getBalance(client.address)
+    };
+    printJson(result);
+    return result;
+  });
+
+transactionParams(task("multisig:propose", "Prints an unsigned proposal and the hash signers must sign"))
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await buildProposal(hre, client, args);
+    printJson(proposal);
+    return proposal;
+  });
+
+signingParams(transactionParams(task("multisig:sign", "Signs a transaction proposal")))
+  .addOptionalParam("abis", "Comma-separated artifact names used to decode call data, e.g. MockERC20")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const unsigned = await buildProposal(hre, client, args);
+    printSummary(unsigned, await readAbis(hre, args.abis));
+    await printRequirement(client, unsigned);
+    const proposal = await collectSignatures(hre, client, unsigned, args);
+    printJson(proposal);
+    return proposal;
+  });
+
+signingParams(transactionParams(task("multisig:execute", "Executes a transaction with collected signatures")))
+  .addOptionalParam("signatures", "Comma-separated signatures collected from other signers")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await collectSignatures(hre, client, await buildProposal(hre, client, args), args);
+    const result = await submit(client, proposal);
+    printJson(result);
+    return result;
+  });
+
+signingParams(task("multisig:update-signers", "Replaces the signer set and threshold"))
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("signers", "Comma-separated new signer addresses")
+  .addParam("threshold", "New number of required signatures", undefined, types.int)
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addOptionalParam("signatures", "Comma-separated signatures collected from other signers")
+  .addFlag("dryRun", "Only print the proposal and any signatures, do not submit")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    let proposal = await client.proposeUpdateSigners(splitList(args.signers), args.threshold, args.nonce);
+    proposal = await collectSignatures(hre, client, proposal, args);
+
+    if (args.dryRun) {
+      printJson(proposal);
+      return proposal;
+    }
+
+    const result = await submit(client, proposal);
+    printJson(result);
+    return result;
+  });
+
+task("multisig:history", "Exports deposits, executed calls and signer-set epochs as JSON and CSV")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("fromBlock", "First block to index", 0, types.int)
+  .addOptionalParam("toBlock", "Last block to index (default: latest)")
+  .addOptionalParam("abis", "Comma-separated artifact names used to decode call data, e.g. MockERC20")
+  .addOptionalParam("blockRange", "Blocks read per getLogs request (default 2000)", undefined, types.int)
+  .addOptionalParam("json", "Path to write the JSON export to")
+  .addOptionalParam("csv", "Path to write the CSV export to")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const abis = await readAbis(hre, args.abis);
+    const history = await client.getHistory({
+      fromBlock: args.fromBlock,
+      toBlock: args.toBlock,
+      abis,
+      blockRange: args.blockRange
+    });
+    if (args.json) {
+      fs.writeFileSync(args.json, historyToJson(history));
+    }
+    if (args.csv) {
+      fs.writeFileSync(args.csv, historyToCsv(history));
+    }
+    if (!args.json && !args.csv) {
+      printJson(history);
+    }
+    return history;
+  });
+
+signingParams(task("multisig:cancel", "Invalidates a nonce so proposals signed for it can never execute"))
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("nonce", "Nonce to cancel (default: current wallet nonce)")
+  .addOptionalParam("signatures", "Comma-separated signatures collected from other signers")
+  .addFlag("dryRun", "Only print the proposal and any signatures, do not submit")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    let proposal = await client.proposeCancellation(args.nonce);
+    proposal = await collectSignatures(hre, client, proposal, args);
+
+    if (args.dryRun) {
+      printJson(proposal);
+      return proposal;
+    }
+
+    const result = await submit(client, proposal);
+    printJson(result);
+    return result;
+  });
+
+// Portable proposal files, for signers on different machines
+
+transactionParams(task("multisig:proposal:create", "Writes an unsigned proposal file"))
+  .addParam("out", "Path of the proposal file to write")
+  .addOptionalParam("refundGasPrice", "Make it a relayed proposal refunding gas at up to this price, in gwei")
+  .addOptionalParam("refundBaseGas", "Gas refunded on top of what the call uses, for the relayer's overhead", 0, types.int)
+  .addOptionalParam("refundReceiver", "Address receiving the refund (default: whoever submits the proposal)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await buildProposal(hre, client, args);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:proposal:create-signer-change", "Writes the smallest proposal moving the wallet to a new signer set")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("signers", "Comma-separated target signer set (default: current signers with --add and --remove applied)")
+  .addOptionalParam("add", "Comma-separated signers to add")
+  .addOptionalParam("remove", "Comma-separated signers to remove")
+  .addOptionalParam("threshold", "Target threshold (default: unchanged, capped at the signer count)", undefined, types.int)
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    let signers = splitList(args.signers);
+    if (signers.length > 0 && (args.add || args.remove)) {
+      throw new Error("Pass either --signers or --add/--remove");
+    }
+    if (signers.length === 0) {
+      const removed = new Set(splitList(args.remove).map((signer) => hre.ethers.getAddress(signer)));
+      const current = await client.getSigners();
+      for (const signer of removed) {
+        if (!current.includes(signer)) {
+          throw new Error(`${signer} is not a signer`);
+        }
+      }
+      signers = [...current.filter((signer) => !removed.has(signer)), ...splitList(args.add)];
+    }
+
+    let threshold = args.threshold;
+    if (threshold === undefined) {
+      const current = await client.getThreshold();
+      threshold = current < BigInt(signers.length) ? current : BigInt(signers.length);
+    }
+
+    const { proposal, diff, steps } = await client.proposeSignerChanges(signers, threshold, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+
+    const result = { diff, steps, proposal };
+    printJson(result);
+    return result;
+  });
+
+task("multisig:allowance:set", "Writes an unsigned proposal granting, changing or revoking a spending allowance")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("delegate", "Address allowed to spend without signatures")
+  .addOptionalParam("token", "ERC20 token address (default: ETH)")
+  .addParam("amount", "Amount per period in whole units, e.g. 0.5 (0 revokes)")
+  .addOptionalParam("period", "Window length in seconds (default 0: never resets)", 0, types.int)
+  .addOptionalParam("decimals", "Token decimals (default: read from the token)", undefined, types.int)
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await client.proposeSetAllowance({
+      delegate: args.delegate,
+      token: args.token,
+      amount: await parseAmount(hre, args.token, args.amount, args.decimals),
+      period: args.period
+    }, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:allowance:status", "Prints allowances with the amount spent and left in the current window")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("delegate", "Only show this delegate's allowance")
+  .addOptionalParam("token", "Token of the delegate's allowance (default: ETH)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const allowances = args.delegate
+      ? [await client.getAllowance(args.delegate, args.token)]
+      : await client.listAllowances();
+    printJson(allowances);
+    return allowances;
+  });
+
+accountParams(task("multisig:allowance:spend", "Sends ETH or tokens within the sender's allowance"))
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("token", "ERC20 token address (default: ETH)")
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in whole units, e.g. 0.1")
+  .addOptionalParam("decimals", "Token decimals (default: read from the token)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const [delegate] = await resolveSigners(hre, args);
+    if (!delegate) {
+      throw new Error("Pass --keys, --accounts or --backends for the delegate");
+    }
+    const client = await getClient(hre, args.wallet);
+
+    const amount = await parseAmount(hre, args.token, args.amount, args.decimals);
+    const receipt = await (await client.spendAllowance({ token: args.token, to: args.to, amount }, delegate)).wait();
+
+    const result = {
+      ...(await client.getAllowance(delegate.address, args.token)),
+      to: args.to,
+      paid: amount,
+      transactionHash: receipt.hash
+    };
+    printJson(result);
+    return result;
+  });
+
+task("multisig:policy:set", "Writes an unsigned proposal setting, changing or clearing an approval policy")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("target", "Target the rule applies to (default: any target but the wallet)")
+  .addOptionalParam("selector", "Function selector or signature, e.g. transfer(address,uint256) (default: any call)")
+  .addOptionalParam("threshold", "Signatures required (0 keeps the wallet threshold)", 0, types.int)
+  .addFlag("deny", "Reject matching calls outright")
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await client.proposeSetPolicy({
+      target: args.target,
+      selector: parseSelector(hre, args.selector),
+      threshold: args.threshold,
+      denied: args.deny
+    }, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:policy:list", "Prints the approval policies in force")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const policies = await client.listPolicies();
+    printJson(policies);
+    return policies;
+  });
+
+task("multisig:module:enable", "Writes an unsigned proposal enabling a module")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("module", "Address of the module contract")
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+    if ((await hre.ethers.provider.getCode(args.module)) === "0x") {
+      throw new Error(`No contract deployed at ${args.module}`);
+    }
+
+    const proposal = await client.proposeEnableModule(args.module, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:module:disable", "Writes an unsigned proposal disabling a module")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("module", "Address of the module contract")
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+    if (!(await client.isModule(args.module))) {
+      throw new Error(`${args.module} is not an enabled module`);
+    }
+
+    const proposal = await client.proposeDisableModule(args.module, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:module:list", "Prints the enabled modules")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const modules = await client.getModules();
+    printJson(modules);
+    return modules;
+  });
+
+task("multisig:recovery:deploy", "Deploys a GuardianRecovery module for a wallet; enable it with multisig:module:enable")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("guardians", "Comma-separated guardian addresses")
+  .addParam("threshold", "Guardian approvals required", undefined, types.int)
+  .addOptionalParam("delay", "Seconds between guardian approval and recovery (at least 1 day)", 7 * 24 * 60 * 60, types.int)
+  .setAction(async (args, hre) => {
+    const recovery = await deployGuardianRecovery(hre, {
+      wallet: args.wallet,
+      guardians: splitList(args.guardians),
+      threshold: args.threshold,
+      delay: args.delay
+    });
+
+    const client = await getRecoveryClient(hre, await recovery.getAddress());
+    const result = { address: client.address, ...(await client.getGuardians()) };
+    printJson(result);
+    return result;
+  });
+
+task("multisig:recovery:set-guardians", "Writes an unsigned proposal replacing a recovery module's guardians")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("module", "Address of the GuardianRecovery module")
+  .addParam("guardians", "Comma-separated guardian addresses")
+  .addParam("threshold", "Guardian approvals required", undefined, types.int)
+  .addOptionalParam("delay", "Seconds between guardian approval and recovery (at least 1 day)", 7 * 24 * 60 * 60, types.int)
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+    const recovery = await getRecoveryClient(hre, args.module);
+
+    const proposal = await recovery.proposeSetGuardians(client, {
+      guardians: splitList(args.guardians),
+      threshold: args.threshold,
+      delay: args.delay
+    }, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:recovery:status", "Prints a recovery module's guardians and its open recovery")
+  .addParam("module", "Address of the GuardianRecovery module")
+  .setAction(async (args, hre) => {
+    const recovery = await getRecoveryClient(hre, args.module);
+
+    const result = { ...(await recovery.getGuardians()), open: await recovery.getOpenRecovery() };
+    printJson(result);
+    return result;
+  });
+
+accountParams(task("multisig:recovery:propose", "Proposes a new signer set as a guardian"))
+  .addParam("module", "Address of the GuardianRecovery module")
+  .addParam("signers", "Comma-separated signer addresses after recovery")
+  .addParam("threshold", "Wallet threshold after recovery", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const recovery = await getRecoveryClient(hre, args.module);
+    const [guardian] = await resolveSigners(hre, args);
+    if (!guardian) {
+      throw new Error("Pass --keys, --accounts or --backends for the guardian");
+    }
+
+    await (await recovery.proposeRecovery({ signers: splitList(args.signers), threshold: args.threshold }, guardian)).wait();
+    const result = await recovery.getOpenRecovery();
+    printJson(result);
+    return result;
+  });
+
+accountParams(recoveryParams(task("multisig:recovery:approve", "Approves a recovery from each resolved guardian")))
+  .setAction(async (args, hre) => {
+    const recovery = await getRecoveryClient(hre, args.module);
+
+    for (const guardian of await resolveSigners(hre, args)) {
+      await (await recovery.approveRecovery(args.id, guardian)).wait();
+    }
+
+    const result = await recovery.getRecovery(args.id);
+    printJson(result);
+    return result;
+  });
+
+accountParams(recoveryParams(task("multisig:recovery:veto", "Vetoes a recovery; any one current signer can veto")))
+  .setAction(async (args, hre) => {
+    const recovery = await getRecoveryClient(hre, args.module);
+    const [signer] = await resolveSigners(hre, args);
+    if (!signer) {
+      throw new Error("Pass --keys, --accounts or --backends for the signer");
+    }
+
+    await (await recovery.vetoRecovery(args.id, signer)).wait();
+    const result = await recovery.getRecovery(args.id);
+    printJson(result);
+    return result;
+  });
+
+accountParams(recoveryParams(task("multisig:recovery:cancel", "Withdraws a recovery as its proposer, or votes to cancel it as another guardian")))
+  .setAction(async (args, hre) => {
+    const recovery = await getRecoveryClient(hre, args.module);
+    const [guardian] = await resolveSigners(hre, args);
+    if (!guardian) {
+      throw new Error("Pass --keys, --accounts or --backends for the guardian");
+    }
+
+    await (await recovery.cancelRecovery(args.id, guardian)).wait();
+    const result = await recovery.getRecovery(args.id);
+    printJson(result);
+    return result;
+  });
+
+recoveryParams(task("multisig:recovery:execute", "Replaces the wallet's signers once a recovery's delay has passed"))
+  .setAction(async (args, hre) => {
+    const recovery = await getRecoveryClient(hre, args.module);
+
+    const pending = await recovery.getRecovery(args.id);
+    if (pending.state !== "ready") {
+      throw new Error(`Recovery ${args.id} is ${pending.state}, not ready`);
+    }
+    const receipt = await (await recovery.executeRecovery(args.id)).wait();
+
+    const result = { ...(await recovery.getRecovery(args.id)), transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+    printJson(result);
+    return result;
+  });
+
+task("multisig:proposal:threshold", "Prints how many signatures a proposal file needs under the wallet's policies")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args, hre) => {
+    const proposal = readProposal(args.file);
+    const client = await getClient(hre, proposal.wallet);
+
+    const result = await client.getRequiredThreshold(proposal);
+    printJson(result);
+    return result;
+  });
+
+task("multisig:transfer-token", "Writes an unsigned proposal file sending ERC20 tokens from the wallet")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("token", "Address of the ERC20 token")
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in whole tokens, e.g. 1.5")
+  .addOptionalParam("decimals", "Token decimals (default: read from the token)", undefined, types.int)
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const amount = await parseAmount(hre, args.token, args.amount, args.decimals);
+    const proposal = await client.proposeTokenTransfer(args.token, args.to, amount, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:transfer-nft", "Writes an unsigned proposal file sending an ERC721 or ERC1155 token from the wallet")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("token", "Address of the ERC721 or ERC1155 contract")
+  .addParam("to", "Recipient address")
+  .addParam("tokenId", "Id of the token to send")
+  .addOptionalParam("amount", "Number of tokens to send (ERC1155 only)", "1")
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await client.proposeNftTransfer({
+      token: args.token,
+      to: args.to,
+      tokenId: BigInt(args.tokenId),
+      amount: BigInt(args.amount)
+    }, args.nonce);
+    printSummary(proposal, []);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:holdings", "Prints the wallet's ETH, ERC20, ERC721 and ERC1155 holdings")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("tokens", "Comma-separated token addresses to include even without transfers in range")
+  .addOptionalParam("fromBlock", "First block to search for incoming transfers", 0, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const holdings = await client.getHoldings({ tokens: splitList(args.tokens), fromBlock: args.fromBlock });
+    printJson(holdings);
+    return holdings;
+  });
+
+task("multisig:proposal:create-cancel", "Writes an unsigned proposal file that invalidates a nonce")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("out", "Path of the proposal file to write")
+  .addOptionalParam("nonce", "Nonce to cancel (default: current wallet nonce)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await client.proposeCancellation(args.nonce);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+task("multisig:proposal:create-batch", "Writes an unsigned batch proposal file for executeBatch")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("calls", "JSON file with an array of { target, value (wei), data } calls")
+  .addParam("out", "Path of the proposal file to write")
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const calls = JSON.parse(fs.readFileSync(args.calls, "utf8"));
+    const proposal = await client.proposeBatch(calls, args.nonce);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+signingParams(task("multisig:proposal:sign", "Appends signatures from local keys to a proposal file"))
+  .addParam("file", "Path of the proposal file")
+  .addOptionalParam("out", "Path to write the signed proposal to (default: overwrite --file)")
+  .addOptionalParam("signatures", "Comma-separated eth_sign signatures produced elsewhere")
+  .addOptionalParam("typedSignatures", "Comma-separated eth_signTypedData_v4 signatures produced elsewhere")
+  .addOptionalParam("abis", "Comma-separated artifact names used to decode call data, e.g. MockERC20")
+  .setAction(async (args, hre) => {
+    const proposal = readProposal(args.file);
+    const client = await getClient(hre, proposal.wallet);
+
+    printSummary(proposal, await readAbis(hre, args.abis));
+    await printRequirement(client, proposal);
+    const signed = await collectSignatures(hre, client, proposal, args);
+    writeProposal(args.out || args.file, signed);
+    printJson(signed);
+    return signed;
+  });
+
+task("multisig:proposal:export-signatures", "Writes one signer's signatures from proposal files to a pre-signed file")
+  .addParam("files", "Comma-separated proposal files signed by --signer")
+  .addParam("signer", "Address whose signatures to export")
+  .addParam("out", "Path of the pre-signed file, for use with --backends presigned:<path>")
+  .setAction(async (args) => {
+    const proposals = splitList(args.files).map(readProposal);
+    writePresignedFile(args.out, args.signer, proposals);
+    const exported = JSON.parse(fs.readFileSync(args.out, "utf8"));
+    printJson(exported);
+    return exported;
+  });
+
+task("multisig:proposal:typed-data", "Prints the eth_signTypedData_v4 payload for a proposal file")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args) => {
+    const payload = getTypedDataPayload(readProposal(args.file));
+    printJson(payload);
+    return payload;
+  });
+
+task("multisig:proposal:merge", "Merges partially signed copies of a proposal")
+  .addParam("files", "Comma-separated proposal files to merge")
+  .addParam("out", "Path of the merged proposal file")
+  .setAction(async (args) => {
+    const merged = mergeProposals(splitList(args.files).map(readProposal));
+    writeProposal(args.out, merged);
+    printJson(merged);
+    return merged;
+  });
+
+task("multisig:proposal:refresh", "Moves proposal files whose nonce was used to the next free nonce")
+  .addParam("files", "Comma-separated pending proposal files for one wallet, in the order they should execute")
+  .addFlag("dryRun", "Only report which files are stale, do not rewrite them")
+  .setAction(async (args, hre) => {
+    const files = splitList(args.files);
+    const proposals = files.map(readProposal);
+    const wallets = new Set(proposals.map((proposal) => proposal.wallet));
+    if (wallets.size !== 1) {
+      throw new Error("Proposal files must all be for the same wallet");
+    }
+
+    const client = await getClient(hre, proposals[0].wallet);
+    const plan = retargetStaleProposals(proposals, await client.getNonce());
+
+    const result = plan.map(({ proposal, stale, previousNonce }, i) => {
+      const entry = { file: files[i], stale, previousNonce, nonce: proposal.nonce, hash: proposal.hash };
+      if (stale) {
+        // Keep the old signatures next to the file for reference; they can never execute
+        entry.staleFile = `${files[i]}.stale`;
+        if (!args.dryRun) {
+          fs.renameSync(files[i], entry.staleFile);
+          writeProposal(files[i], proposal);
+        }
+      }
+      return entry;
+    });
+    printJson(result);
+    return result;
+  });
+
+task("multisig:proposal:validate", "Checks every signature of a proposal file against getSigners()")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args, hre) => {
+    const proposal = readProposal(args.file);
+    const client = await getClient(hre, proposal.wallet);
+
+    const result = await client.validate(proposal);
+    printJson(result);
+    return result;
+  });
+
+task("multisig:proposal:diagnose", "Reports which recoverSigner rule each signature of a proposal file fails")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args, hre) => {
+    const proposal = readProposal(args.file);
+    const client = await getClient(hre, proposal.wallet);
+
+    const report = await client.diagnose(proposal);
+    printJson(report);
+    return report;
+  });
+
+task("multisig:proposal:simulate", "Executes a proposal file on a fork and reports its outcome, balance changes and events")
+  .addParam("file", "Path of the proposal file")
+  .addOptionalParam("fork", "Name of a configured network to fork (default: the hardhat network as configured)")
+  .addOptionalParam("forkUrl", "JSON-RPC URL to fork instead of a configured network")
+  .addOptionalParam("forkBlock", "Block number to fork at (default: latest)", undefined, types.int)
+  .addOptionalParam("tokens", "Comma-separated ERC20 addresses to report balances of")
+  .addOptionalParam("accounts", "Comma-separated extra addresses to report balances of")
+  .addOptionalParam("abis", "Comma-separated artifact names used to decode events and errors, e.g. MockERC20")
+  .setAction(async (args, hre) => {
+    // Impersonation, snapshots and time travel only exist on the in-process network
+    if (hre.network.name !== "hardhat") {
+      throw new Error("Simulation runs on the hardhat network; use --fork instead of --network");
+    }
+
+    let url = args.forkUrl;
+    if (!url && args.fork) {
+      const network = hre.config.networks[args.fork];
+      if (!network || !network.url) {
+        throw new Error(`No JSON-RPC network named ${args.fork} in hardhat.config.js`);
+      }
+      url = network.url;
+    }
+    if (url) {
+      await forkNetwork(hre.ethers.provider, { url, blockNumber: args.forkBlock });
+    }
+
+    const proposal = readProposal(args.file);
+    const result = await simulateProposal(hre.ethers.provider, proposal, {
+      tokens: splitList(args.tokens),
+      accounts: splitList(args.accounts),
+      abis: await readAbis(hre, args.abis)
+    });
+    printJson(result);
+    return result;
+  });
+
+task("multisig:proposal:relay", "Sends a signed proposal file to a relayer, which pays the gas to submit it")
+  .addParam("file", "Path of the proposal file")
+  .addParam("url", "Base URL of the relayer, e.g. http://127.0.0.1:8600")
+  .addFlag("wait", "Poll the relayer until the transaction is mined or fails")
+  .setAction(async (args) => {
+    const proposal = readProposal(args.file);
+
+    let record = await relayProposal(args.url, proposal);
+    while (args.wait && record.status === "submitted") {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      record = await getRelayStatus(args.url, record.id);
+    }
+    printJson(record);
+    return record;
+  });
+
+accountParams(task("multisig:relayer", "Runs a relayer HTTP API that submits signed proposals from a local key"))
+  .addOptionalParam("port", "Port to listen on", 8600, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1")
+  .addFlag("requireRefund", "Only relay proposals that refund the relayer's gas")
+  .setAction(async (args, hre) => {
+    // Defaults to the first configured account, e.g. a funded account of a local Hardhat node
+    const [signer = (await hre.ethers.getSigners())[0]] = await resolveSigners(hre, args);
+    const relayer = new Relayer(signer, { requireRefund: args.requireRefund });
+
+    const server = await relayer.listen(args.port, args.host);
+    const { port } = server.address();
+    console.log(`Relaying from ${signer.address} on http://${args.host}:${port}`);
+    await new Promise((resolve) => server.on("close", resolve));
+  });
+
+task("multisig:coordinator", "Runs a coordination server where signers share proposals and signatures")
+  .addOptionalParam("port", "Port to listen on", 8700, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1")
+  .addOptionalParam("store", "JSON file to keep proposals in (default: memory only)")
+  .addFlag("mock", "Deploy a wallet for the first three configured accounts on the in-process Hardhat network")
+  .setAction(async (args, hre) => {
+    if (args.mock) {
+      if (hre.network.name !== "hardhat") {
+        throw new Error("--mock only runs on the in-process hardhat network");
+      }
+      const accounts = (await hre.ethers.getSigners()).slice(0, 3);
+      const wallet = await hre.ethers.deployContract("MultiSigWallet", [accounts.map((account) => account.address), 2]);
+      await accounts[0].sendTransaction({ to: await wallet.getAddress(), value: hre.ethers.parseEther("10") });
+      console.log(`Mock wallet ${await wallet.getAddress()} (2 of ${accounts.map((account) => account.address).join(", ")})`);
+    }
+
+    const coordinator = new Coordinator(hre.ethers.provider, { store: new ProposalStore(args.store) });
+    const server = await coordinator.listen(args.port, args.host);
+    console.log(`Coordinating on http://${args.host}:${server.address().port}`);
+    await new Promise((resolve) => server.on("close", resolve));
+  });
+
+signingParams(task("multisig:coordinator:propose", "Builds a proposal from a coordinator's view of the wallet, signs it and posts it"))
+  .addParam("url", "Base URL of the coordinator, e.g. http://127.0.0.1:8700")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("target", "Address of the contract or account to call")
+  .addOptionalParam("value", "Amount of ETH to send, in ether", "0")
+  .addOptionalParam("data", "Call data for the target", "0x")
+  .addOptionalParam("nonce", "Nonce to sign for (default: the wallet's current nonce)")
+  .setAction(async (args, hre) => {
+    // Needs no node of its own: chain ID and nonce come from the coordinator
+    const info = await getWalletInfo(args.url, args.wallet);
+    const tx = {
+      target: hre.ethers.getAddress(args.target),
+      value: hre.ethers.parseEther(args.value),
+      data: args.data,
+      nonce: args.nonce === undefined ? info.nonce : BigInt(args.nonce)
+    };
+    const unsigned = {
+      chainId: info.chainId,
+      wallet: info.wallet,
+      ...tx,
+      hash: getTransactionHash(info.chainId, info.wallet, tx),
+      signatures: []
+    };
+
+    printSummary(unsigned, []);
+    const client = new MultiSigClient(info.wallet, hre.ethers.provider);
+    const result = await postProposal(args.url, await collectSignatures(hre, client, unsigned, args));
+    printJson(result);
+    return result;
+  });
+
+task("multisig:coordinator:post", "Posts a proposal file, with any signatures it carries, to a coordinator")
+  .addParam("url", "Base URL of the coordinator")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args) => {
+    const result = await postProposal(args.url, readProposal(args.file));
+    printJson(result);
+    return result;
+  });
+
+task("multisig:coordinator:pending", "Lists a wallet's proposals waiting on a coordinator for the current nonce")
+  .addParam("url", "Base URL of the coordinator")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addOptionalParam("nonce", "Nonce to list (default: the wallet's current nonce)")
+  .addOptionalParam("outDir", "Directory to write each proposal to as <hash>.json")
+  .setAction(async (args) => {
+    const results = await getPendingProposals(args.url, args.wallet, { nonce: args.nonce });
+    if (args.outDir) {
+      fs.mkdirSync(args.outDir, { recursive: true });
+      for (const { proposal } of results) {
+        writeProposal(`${args.outDir}/${proposal.hash}.json`, proposal);
+      }
+    }
+    printJson(results);
+    return results;
+  });
+
+signingParams(task("multisig:coordinator:sign", "Signs a proposal held by a coordinator and posts the signatures"))
+  .addParam("url", "Base URL of the coordinator")
+  .addParam("hash", "Hash of the proposal")
+  .addOptionalParam("abis", "Comma-separated artifact names used to decode call data, e.g. MockERC20")
+  .setAction(async (args, hre) => {
+    const { proposal, status } = await getProposalStatus(args.url, args.hash);
+    printSummary(proposal, await readAbis(hre, args.abis));
+    console.log(`Requires ${status.threshold} signatures, ${status.validCount} collected`);
+
+    const client = new MultiSigClient(proposal.wallet, hre.ethers.provider);
+    const signed = await collectSignatures(hre, client, { ...proposal, signatures: [] }, args);
+    const result = await postSignatures(args.url, proposal.hash, signed.signatures);
+    printJson(result);
+    return result;
+  });
+
+task("multisig:proposal:submit", "Executes a proposal file once it holds threshold valid signatures")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args, hre) => {
+    const proposal = readProposal(args.file);
+    const client = await getClient(hre, proposal.wallet);
+
+    if (await client.requiresTimelock(proposal)) {
+      throw new Error(`Proposal ${proposal.hash} is subject to the timelock; use multisig:proposal:queue`);
+    }
+
+    const result = await submit(client, await validSignaturesOnly(client, proposal));
+    printJson(result);
+    return result;
+  });
+
+task("multisig:proposal:queue", "Queues a proposal file through the timelock once it holds threshold valid signatures")
+  .addParam("file", "Path of the proposal file")
+  .setAction(async (args, hre) => {
+    const proposal = readProposal(args.file);
+    const client = await getClient(hre, proposal.wallet);
+
+    const result = await queue(client, await validSignaturesOnly(client, proposal));
+    printJson(result);
+    return result;
+  });
+
+// On-chain proposals, for signers who approve with a transaction instead of a signature
+
+transactionParams(task("multisig:onchain:submit", "Stores a transaction on-chain and confirms it as the sender"))
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposalId = await client.submitProposal(await buildProposal(hre, client, args));
+    const result = await client.getProposal(proposalId);
+    printJson(result);
+    return result;
+  });
+
+accountParams(onchainParams(task("multisig:onchain:confirm", "Confirms an on-chain proposal from each resolved account")))
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    for (const signer of await resolveSigners(hre, args)) {
+      await (await client.confirmProposal(args.id, signer)).wait();
+    }
+
+    const result = await client.getProposal(args.id);
+    printJson(result);
+    return result;
+  });
+
+accountParams(onchainParams(task("multisig:onchain:revoke", "Revokes the confirmation of each resolved account")))
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    for (const signer of await resolveSigners(hre, args)) {
+      await (await client.revokeConfirmation(args.id, signer)).wait();
+    }
+
+    const result = await client.getProposal(args.id);
+    printJson(result);
+    return result;
+  });
+
+onchainParams(task("multisig:onchain:status", "Prints an on-chain proposal and the signers who confirmed it"))
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const result = {
+      ...(await client.getProposal(args.id)),
+      threshold: await client.getThreshold()
+    };
+    printJson(result);
+    return result;
+  });
+
+onchainParams(task("multisig:onchain:execute", "Executes an on-chain proposal, adding signatures from a proposal file"))
+  .addOptionalParam("file", "Proposal file (see multisig:onchain:export) with off-chain signatures")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const signatures = args.file ? readProposal(args.file).signatures : [];
+    const receipt = await (await client.executeProposal(args.id, signatures)).wait();
+
+    const result = {
+      ...(await client.getProposal(args.id)),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed
+    };
+    printJson(result);
+    return result;
+  });
+
+onchainParams(task("multisig:onchain:export", "Writes an on-chain proposal to a file for off-chain signing at the current nonce"))
+  .addParam("out", "Path of the proposal file to write")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const proposal = await client.proposeFromChain(args.id);
+    writeProposal(args.out, proposal);
+    printJson(proposal);
+    return proposal;
+  });
+
+// Timelock for large-value transactions and changes to the wallet itself
+
+signingParams(task("multisig:timelock:set", "Sets the timelock delay and value threshold"))
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("delay", "Seconds queued transactions wait before executing (0 disables the timelock)", undefined, types.int)
+  .addParam("valueThreshold", "Transactions sending more than this many ether must be queued")
+  .addOptionalParam("nonce", "Nonce to sign for (default: current wallet nonce)")
+  .addOptionalParam("signatures", "Comma-separated signatures collected from other signers")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    let proposal = await client.proposeSetTimelock(args.delay, hre.ethers.parseEther(args.valueThreshold), args.nonce);
+    proposal = await collectSignatures(hre, client, proposal, args);
+
+    // Once a delay is set, changing it is itself queued
+    const result = (await client.requiresTimelock(proposal))
+      ? await queue(client, proposal)
+      : await submit(client, proposal);
+    printJson(result);
+    return result;
+  });
+
+task("multisig:timelock:status", "Prints a queued transaction and whether it can execute yet")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("hash", "Queue id (the transaction hash that was signed)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const result = await client.getQueued(args.hash);
+    printJson(result);
+    return result;
+  });
+
+task("multisig:timelock:execute", "Executes a queued transaction whose delay has passed")
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("hash", "Queue id (the transaction hash that was signed)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const receipt = await (await client.executeQueued(args.hash)).wait();
+    const result = {
+      ...(await client.getQueued(args.hash)),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed
+    };
+    printJson(result);
+    return result;
+  });
+
+accountParams(task("multisig:timelock:cancel", "Cancels a queued transaction; any one signer can cancel"))
+  .addParam("wallet", "Address of the MultiSigWallet")
+  .addParam("hash", "Queue id (the transaction hash that was signed)")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.wallet);
+
+    const [signer] = await resolveSigners(hre, args);
+    await (await client.cancelQueued(args.hash, signer)).wait();
+
+    const result = await client.getQueued(args.hash);
+    printJson(result);
+    return result;
+  });
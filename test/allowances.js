@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MultiSigClient } = require("../lib");
+
+const DAY = 24 * 60 * 60;
+
+describe("Spending allowances", function () {
+  let multiSig;
+  let walletAddress;
+  let mockERC20;
+  let client;
+  let owner, account1, account2, account3, delegate;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, delegate] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+    await mockERC20.transfer(walletAddress, ethers.parseEther("100"));
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("10") });
+
+    client = new MultiSigClient(walletAddress, owner);
+  });
+
+  async function execute(proposal) {
+    const signatures = [await client.sign(proposal, owner), await client.sign(proposal, account1)];
+    return client.execute(client.collect(proposal, signatures));
+  }
+
+  async function grant(allowance) {
+    return execute(await client.proposeSetAllowance({ delegate: delegate.address, ...allowance }));
+  }
+
+  it("lets a delegate spend ETH alone within the allowance", async function () {
+    await expect(grant({ amount: ethers.parseEther("1"), period: DAY }))
+      .to.emit(multiSig, "AllowanceSet")
+      .withArgs(delegate.address, ethers.ZeroAddress, ethers.parseEther("1"), DAY);
+
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    await expect(client.spendAllowance({ to: account3.address, amount: ethers.parseEther("0.4") }, delegate))
+      .to.emit(multiSig, "AllowanceSpent")
+      .withArgs(delegate.address, ethers.ZeroAddress, account3.address, ethers.parseEther("0.4"));
+
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("0.4"));
+    expect(await multiSig.nonce()).to.equal(1n);
+
+    const allowance = await client.getAllowance(delegate.address);
+    expect(allowance).to.include({ spent: ethers.parseEther("0.4"), remaining: ethers.parseEther("0.6") });
+  });
+
+  it("spends ERC20 tokens", async function () {
+    const token = await mockERC20.getAddress();
+    await grant({ token, amount: ethers.parseEther("5") });
+
+    await client.spendAllowance({ token, to: account3.address, amount: ethers.parseEther("5") }, delegate);
+
+    expect(await mockERC20.balanceOf(account3.address)).to.equal(ethers.parseEther("5"));
+    await expect(client.spendAllowance({ token, to: account3.address, amount: 1n }, delegate))
+      .to.be.revertedWith("Allowance exceeded");
+  });
+
+  it("rejects spending beyond the allowance or without one", async function () {
+    await grant({ amount: ethers.parseEther("1"), period: DAY });
+
+    await expect(client.spendAllowance({ to: account3.address, amount: ethers.parseEther("1.1") }, delegate))
+      .to.be.revertedWith("Allowance exceeded");
+    await expect(client.spendAllowance({ to: account3.address, amount: 1n }, account3))
+      .to.be.revertedWith("No allowance");
+    // Allowances are per token
+    await expect(client.spendAllowance({ token: await mockERC20.getAddress(), to: account3.address, amount: 1n }, delegate))
+      .to.be.revertedWith("No allowance");
+  });
+
+  it("resets the amount spent when the window ends", async function () {
+    await grant({ amount: ethers.parseEther("1"), period: DAY });
+    const { resetAt } = await client.getAllowance(delegate.address);
+
+    await client.spendAllowance({ to: account3.address, amount: ethers.parseEther("1") }, delegate);
+    await expect(client.spendAllowance({ to: account3.address, amount: 1n }, delegate))
+      .to.be.revertedWith("Allowance exceeded");
+
+    await time.increaseTo(resetAt);
+    expect((await client.getAllowance(delegate.address)).spent).to.equal(0n);
+    await client.spendAllowance({ to: account3.address, amount: ethers.parseEther("0.3") }, delegate);
+
+    const allowance = await client.getAllowance(delegate.address);
+    expect(allowance.spent).to.equal(ethers.parseEther("0.3"));
+    expect(allowance.resetAt).to.equal(resetAt + BigInt(DAY));
+  });
+
+  it("keeps windows aligned when several periods pass", async function () {
+    await grant({ amount: ethers.parseEther("1"), period: DAY });
+    const { resetAt } = await client.getAllowance(delegate.address);
+
+    await time.increaseTo(resetAt + BigInt(3 * DAY) + 100n);
+    await client.spendAllowance({ to: account3.address, amount: ethers.parseEther("1") }, delegate);
+
+    expect((await client.getAllowance(delegate.address)).resetAt).to.equal(resetAt + BigInt(4 * DAY));
+  });
+
+  it("never resets one-off allowances", async function () {
+    await grant({ amount: ethers.parseEther("1") });
+
+    await client.spendAllowance({ to: account3.address, amount: ethers.parseEther("1") }, delegate);
+    await time.increase(365 * DAY);
+
+    await expect(client.spendAllowance({ to: account3.address, amount: 1n }, delegate))
+      .to.be.revertedWith("Allowance exceeded");
+    expect(await client.getAllowance(delegate.address)).to.include({ period: 0n, resetAt: 0n });
+  });
+
+  it("is changed and revoked by threshold vote only", async function () {
+    await expect(multiSig.setAllowance(delegate.address, ethers.ZeroAddress, 1n, 0)).to.be.revertedWith("Only the wallet itself");
+
+    await grant({ amount: ethers.parseEther("1"), period: DAY });
+    await client.spendAllowance({ to: account3.address, amount: ethers.parseEther("0.5") }, delegate);
+
+    // A new grant starts a new window
+    await grant({ amount: ethers.parseEther("2"), period: DAY });
+    expect((await client.getAllowance(delegate.address)).spent).to.equal(0n);
+
+    await grant({ amount: 0n });
+    await expect(client.spendAllowance({ to: account3.address, amount: 1n }, delegate))
+      .to.be.revertedWith("No allowance");
+    expect(await client.listAllowances()).to.deep.equal([]);
+  });
+
+  it("bubbles the reason a transfer failed", async function () {
+    const token = await mockERC20.getAddress();
+    await grant({ token, amount: ethers.parseEther("500") });
+
+    await expect(client.spendAllowance({ token, to: account3.address, amount: ethers.parseEther("200") }, delegate))
+      .to.be.revertedWith("Insufficient balance");
+    expect((await client.getAllowance(delegate.address, token)).spent).to.equal(0n);
+  });
+
+  it("lists allowances and records payments in the history", async function () {
+    const token = await mockERC20.getAddress();
+    await grant({ amount: ethers.parseEther("1"), period: DAY });
+    await grant({ token, amount: ethers.parseEther("5"), period: 7 * DAY });
+    await client.spendAllowance({ token, to: account3.address, amount: ethers.parseEther("2") }, delegate);
+
+    const allowances = await client.listAllowances();
+    expect(allowances.map((allowance) => [allowance.token, allowance.remaining])).to.deep.equal([
+      [ethers.ZeroAddress, ethers.parseEther("1")],
+      [token, ethers.parseEther("3")]
+    ]);
+
+    const history = await client.getHistory();
+    const payment = history.entries.find((entry) => entry.type === "allowance");
+    expect(payment).to.include({ from: delegate.address, to: account3.address, value: ethers.parseEther("2") });
+    expect(payment.args).to.deep.equal({ token });
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MultiSigClient, decodeCalldata, detectTokenStandard } = require("../lib");
+
+describe("Token assets", function () {
+  let multiSig;
+  let walletAddress;
+  let mockERC20, mockERC721, mockERC1155;
+  let client;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+
+    mockERC20 = await (await ethers.getContractFactory("MockERC20")).deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    mockERC721 = await (await ethers.getContractFactory("MockERC721")).deploy("Mock NFT", "MNFT");
+    mockERC1155 = await (await ethers.getContractFactory("MockERC1155")).deploy();
+
+    client = new MultiSigClient(walletAddress, owner);
+  });
+
+  async function execute(proposal) {
+    const signatures = [await client.sign(proposal, owner), await client.sign(proposal, account1)];
+    return (await client.execute(client.collect(proposal, signatures))).wait();
+  }
+
+  describe("Receiver hooks", function () {
+    it("accepts ERC721 tokens sent with safeTransferFrom", async function () {
+      await mockERC721.mint(owner.address, 1);
+      await mockERC721["safeTransferFrom(address,address,uint256)"](owner.address, walletAddress, 1);
+
+      expect(await mockERC721.ownerOf(1)).to.equal(walletAddress);
+    });
+
+    it("accepts single and batch ERC1155 transfers", async function () {
+      await mockERC1155.mint(walletAddress, 1, 10);
+      await mockERC1155.mint(owner.address, 2, 5);
+      await mockERC1155.mint(owner.address, 3, 5);
+      await mockERC1155.safeBatchTransferFrom(owner.address, walletAddress, [2, 3], [4, 5], "0x");
+
+      expect(await mockERC1155.balanceOfBatch([walletAddress, walletAddress, walletAddress], [1, 2, 3]))
+        .to.deep.equal([10n, 4n, 5n]);
+    });
+
+    it("reports its interfaces through ERC165", async function () {
+      expect(await multiSig.supportsInterface("0x01ffc9a7")).to.be.true;
+      expect(await multiSig.supportsInterface("0x150b7a02")).to.be.true;
+      expect(await multiSig.supportsInterface("0x4e2312e0")).to.be.true;
+      expect(await multiSig.supportsInterface("0x1626ba7e")).to.be.true;
+      expect(await multiSig.supportsInterface("0xffffffff")).to.be.false;
+    });
+  });
+
+  describe("Transfer proposals", function () {
+    it("sends ERC20 tokens", async function () {
+      await mockERC20.transfer(walletAddress, 100n);
+
+      await execute(await client.proposeTokenTransfer(await mockERC20.getAddress(), account3.address, 40n));
+
+      expect(await mockERC20.balanceOf(account3.address)).to.equal(40n);
+    });
+
+    it("sends ERC721 tokens with safeTransferFrom", async function () {
+      await mockERC721.mint(walletAddress, 7);
+
+      const proposal = await client.proposeNftTransfer({ token: await mockERC721.getAddress(), to: account3.address, tokenId: 7n });
+      expect(decodeCalldata(proposal.data).signature).to.equal("safeTransferFrom(address,address,uint256,bytes)");
+      await execute(proposal);
+
+      expect(await mockERC721.ownerOf(7)).to.equal(account3.address);
+    });
+
+    it("sends ERC1155 tokens, including to another wallet", async function () {
+      const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+      const other = await MultiSigWallet.deploy([account3.address], 1);
+      await mockERC1155.mint(walletAddress, 5, 10);
+
+      await execute(await client.proposeNftTransfer({
+        token: await mockERC1155.getAddress(),
+        to: await other.getAddress(),
+        tokenId: 5n,
+        amount: 3n
+      }));
+
+      expect(await mockERC1155.balanceOf(await other.getAddress(), 5)).to.equal(3n);
+      expect(await mockERC1155.balanceOf(walletAddress, 5)).to.equal(7n);
+    });
+
+    it("detects token standards and rejects NFT transfers of other tokens", async function () {
+      expect(await detectTokenStandard(ethers.provider, await mockERC20.getAddress())).to.equal("erc20");
+      expect(await detectTokenStandard(ethers.provider, await mockERC721.getAddress())).to.equal("erc721");
+      expect(await detectTokenStandard(ethers.provider, await mockERC1155.getAddress())).to.equal("erc1155");
+      expect(await detectTokenStandard(ethers.provider, walletAddress)).to.be.null;
+
+      const token = await mockERC20.getAddress();
+      await expect(client.proposeNftTransfer({ token, to: account3.address, tokenId: 1n }))
+        .to.be.rejectedWith(`Token ${token} implements neither ERC721 nor ERC1155`);
+    });
+  });
+
+  describe("Holdings", function () {
+    it("lists tokens received by the wallet and drops those sent away", async function () {
+      const erc20 = await mockERC20.getAddress();
+      const erc721 = await mockERC721.getAddress();
+      const erc1155 = await mockERC1155.getAddress();
+
+      await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("1") });
+      await mockERC20.transfer(walletAddress, 100n);
+      await mockERC721.mint(walletAddress, 2);
+      await mockERC721.mint(walletAddress, 1);
+      await mockERC721.mint(walletAddress, 3);
+      await mockERC1155.mint(walletAddress, 9, 4);
+      await execute(await client.proposeNftTransfer({ token: erc721, to: account3.address, tokenId: 3n }));
+
+      const holdings = await client.getHoldings();
+
+      expect(holdings.eth).to.equal(ethers.parseEther("1"));
+      expect(holdings.erc20).to.deep.equal([{ token: erc20, symbol: "MTK", decimals: 18n, balance: 100n }]);
+      expect(holdings.erc721).to.deep.equal([{ token: erc721, symbol: "MNFT", tokenIds: [1n, 2n] }]);
+      expect(holdings.erc1155).to.deep.equal([{ token: erc1155, tokenId: 9n, balance: 4n }]);
+    });
+
+    it("includes listed tokens the wallet holds none of", async function () {
+      const erc20 = await mockERC20.getAddress();
+
+      const holdings = await client.getHoldings({ tokens: [erc20] });
+
+      expect(holdings.erc20).to.deep.equal([{ token: erc20, symbol: "MTK", decimals: 18n, balance: 0n }]);
+      expect(holdings.erc721).to.deep.equal([]);
+    });
+  });
+});
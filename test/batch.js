@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { BatchBuilder, MultiSigClient, getBatchHash, parseProposal, serializeProposal } = require("../lib");
+
+describe("Batch execution", function () {
+  let multiSig;
+  let multiSigAddress;
+  let client;
+  let owner, account1, account2, account3, account4;
+  let mockERC20;
+  let tokenAddress;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, account4] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    multiSigAddress = await multiSig.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+    tokenAddress = await mockERC20.getAddress();
+
+    await owner.sendTransaction({ to: multiSigAddress, value: ethers.parseEther("10") });
+    await mockERC20.transfer(multiSigAddress, ethers.parseEther("100"));
+
+    client = new MultiSigClient(multiSigAddress, owner);
+  });
+
+  async function signBatch(calls, signersList) {
+    const proposal = await client.proposeBatch(calls);
+    const signatures = [];
+    for (const signer of signersList) {
+      signatures.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, signatures);
+  }
+
+  it("getBatchHash matches the JS implementation", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, ethers.parseEther("1"))
+      .addTokenTransfer(tokenAddress, account4.address, 5n)
+      .add({ target: account4.address, value: 7n, data: "0xdeadbeef" })
+      .build();
+
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+    const expected = await multiSig.getBatchHash(
+      calls.map((call) => call.target),
+      calls.map((call) => call.value),
+      calls.map((call) => call.data),
+      3
+    );
+
+    expect(getBatchHash(chainId, multiSigAddress, calls, 3)).to.equal(expected);
+  });
+
+  it("executes a mixed ETH and token batch under one nonce", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, ethers.parseEther("1"))
+      .addEtherTransfer(account4.address, ethers.parseEther("2"))
+      .addTokenTransfer(tokenAddress, account3.address, ethers.parseEther("10"))
+      .addCall(tokenAddress, mockERC20.interface, "approve", [account4.address, ethers.parseEther("5")])
+      .build();
+    const proposal = await signBatch(calls, [owner, account1]);
+
+    const balance3 = await ethers.provider.getBalance(account3.address);
+    const balance4 = await ethers.provider.getBalance(account4.address);
+
+    await expect(client.execute(proposal))
+      .to.emit(multiSig, "BatchExecuted").withArgs(0, 4);
+
+    expect(await multiSig.nonce()).to.equal(1n);
+    expect(await ethers.provider.getBalance(account3.address) - balance3).to.equal(ethers.parseEther("1"));
+    expect(await ethers.provider.getBalance(account4.address) - balance4).to.equal(ethers.parseEther("2"));
+    expect(await mockERC20.balanceOf(account3.address)).to.equal(ethers.parseEther("10"));
+    expect(await mockERC20.allowance(multiSigAddress, account4.address)).to.equal(ethers.parseEther("5"));
+  });
+
+  it("reverts the whole batch when one call fails", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, ethers.parseEther("1"))
+      .addTokenTransfer(tokenAddress, account3.address, ethers.parseEther("1000"))
+      .build();
+    const proposal = await signBatch(calls, [owner, account1]);
+
+    const balance3 = await ethers.provider.getBalance(account3.address);
+
+    await expect(client.execute(proposal)).to.be.revertedWith("Insufficient balance");
+
+    expect(await multiSig.nonce()).to.equal(0n);
+    expect(await ethers.provider.getBalance(account3.address)).to.equal(balance3);
+  });
+
+  it("reports 'Batch call failed' when the failing call returns no reason", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, ethers.parseEther("1"))
+      .addEtherTransfer(account3.address, ethers.parseEther("1000"))
+      .build();
+    const proposal = await signBatch(calls, [owner, account1]);
+
+    await expect(client.execute(proposal)).to.be.revertedWith("Batch call failed");
+  });
+
+  it("requires threshold signatures over the batch hash", async function () {
+    const calls = new BatchBuilder().addEtherTransfer(account3.address, 1n).build();
+    const proposal = await signBatch(calls, [owner]);
+
+    await expect(client.execute(proposal)).to.be.revertedWith("Not enough signatures");
+  });
+
+  it("does not accept signatures made for a single transaction", async function () {
+    const single = await client.proposeTransaction({ target: account3.address, value: 1n });
+    const signatures = [
+      await client.sign(single, owner),
+      await client.sign(single, account1)
+    ].map((entry) => entry.signature);
+
+    await expect(
+      multiSig.executeBatch([account3.address], [1n], ["0x"], signatures)
+    ).to.be.revertedWith("Invalid signer");
+  });
+
+  it("cannot be replayed", async function () {
+    const calls = new BatchBuilder().addEtherTransfer(account3.address, 1n).build();
+    const proposal = await signBatch(calls, [owner, account1]);
+
+    await client.execute(proposal);
+    await expect(client.execute(proposal)).to.be.reverted;
+  });
+
+  it("rejects empty and mismatched batches", async function () {
+    await expect(multiSig.executeBatch([], [], [], [])).to.be.revertedWith("Empty batch");
+    await expect(
+      multiSig.executeBatch([account3.address], [1n, 2n], ["0x"], [])
+    ).to.be.revertedWith("Batch length mismatch");
+    await expect(
+      multiSig.executeBatch([account3.address, account2.address], [1n], ["0x", "0x"], [])
+    ).to.be.revertedWith("Batch length mismatch");
+    await expect(
+      multiSig.executeBatch([account3.address, account2.address], [1n, 2n], ["0x"], [])
+    ).to.be.revertedWith("Batch length mismatch");
+    expect(() => new BatchBuilder().build()).to.throw("Empty batch");
+  });
+
+  it("round-trips batch proposals through the file format", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, 1n)
+      .addTokenTransfer(tokenAddress, account3.address, 2n)
+      .build();
+    const proposal = await signBatch(calls, [owner, account2]);
+
+    const parsed = parseProposal(serializeProposal(proposal));
+    expect(parsed).to.deep.equal(proposal);
+
+    await expect(client.execute(parsed)).to.emit(multiSig, "BatchExecuted");
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  BatchBuilder,
+  MULTISIG_ABI,
+  MultiSigClient,
+  buildCalldata,
+  describeCall,
+  formatProposalSummary,
+  summarizeProposal
+} = require("../lib");
+
+describe("Calldata builder and decoder", function () {
+  let multiSig;
+  let inner;
+  let mockERC20;
+  let client;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    inner = await MultiSigWallet.deploy([await multiSig.getAddress()], 1);
+    await inner.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  describe("buildCalldata", function () {
+    it("encodes positional and named arguments", async function () {
+      const expected = mockERC20.interface.encodeFunctionData("transfer", [account3.address, 5n]);
+
+      expect(buildCalldata(mockERC20.interface, "transfer", [account3.address, 5n])).to.equal(expected);
+      expect(buildCalldata(["function transfer(address to, uint256 amount)"], "transfer", {
+        amount: 5n,
+        to: account3.address
+      })).to.equal(expected);
+    });
+
+    it("rejects unknown functions and missing arguments", function () {
+      expect(() => buildCalldata(MULTISIG_ABI, "withdraw", [])).to.throw("Function withdraw not found in ABI");
+      expect(() => buildCalldata(mockERC20.interface, "transfer", { to: account3.address }))
+        .to.throw("Missing argument amount for transfer(address,uint256)");
+    });
+
+    it("builds batch calls from named arguments", async function () {
+      const calls = new BatchBuilder()
+        .addCall(await mockERC20.getAddress(), mockERC20.interface, "approve", { spender: account1.address, amount: 7n })
+        .build();
+
+      expect(calls[0].data).to.equal(mockERC20.interface.encodeFunctionData("approve", [account1.address, 7n]));
+    });
+  });
+
+  describe("Proposal summaries", function () {
+    it("decodes token transfers and flags unknown call data", async function () {
+      const token = await mockERC20.getAddress();
+      const calls = new BatchBuilder()
+        .addTokenTransfer(token, account3.address, ethers.parseEther("5"))
+        .add({ target: account2.address, value: ethers.parseEther("1"), data: "0xdeadbeef00" })
+        .build();
+
+      const summary = summarizeProposal(await client.proposeBatch(calls));
+      expect(summary.kind).to.equal("batch");
+      expect(summary.calls[0]).to.include({ target: token, self: false, function: "transfer(address,uint256)" });
+      expect(summary.calls[0].args).to.deep.equal({ to: account3.address, amount: ethers.parseEther("5") });
+      expect(summary.calls[1].function).to.be.null;
+
+      const text = formatProposalSummary(summary);
+      expect(text).to.include("Nonce 0, 2 calls");
+      expect(text).to.include(`amount: ${ethers.parseEther("5")}`);
+      expect(text).to.include("Value: 1.0 ETH");
+      expect(text).to.include("Unknown function 0xdeadbeef (5 bytes)");
+    });
+
+    it("marks self-calls and lists the new signer set", async function () {
+      const proposal = await client.proposeUpdateSigners([account1.address, account3.address], 2);
+      const summary = summarizeProposal(proposal);
+
+      expect(summary.calls[0].self).to.be.true;
+      expect(summary.calls[0].function).to.equal("updateSigners(address[],uint256,bytes[])");
+      expect(summary.calls[0].args._newSigners).to.deep.equal([account1.address, account3.address]);
+      expect(summary.calls[0].args._newThreshold).to.equal(2n);
+
+      const text = formatProposalSummary(summary);
+      expect(text).to.include(`Call 1 of 1: ${await multiSig.getAddress()} (this wallet)`);
+      expect(text).to.include(`_newSigners: [${account1.address}, ${account3.address}]`);
+      expect(text).to.include(`Hash ${proposal.hash}`);
+    });
+
+    it("expands batches executed through a nested wallet", async function () {
+      const innerAddress = await inner.getAddress();
+      const token = await mockERC20.getAddress();
+      const innerCalls = new BatchBuilder()
+        .addTokenTransfer(token, account3.address, 9n)
+        .addCall(innerAddress, MULTISIG_ABI, "setTimelock", [3600, 0])
+        .build();
+      const data = inner.interface.encodeFunctionData("executeBatch", [
+        innerCalls.map((call) => call.target),
+        innerCalls.map((call) => call.value),
+        innerCalls.map((call) => call.data),
+        ["0x1234"]
+      ]);
+
+      const summary = summarizeProposal(await client.proposeTransaction({ target: innerAddress, data }));
+      const [outer] = summary.calls;
+      expect(outer.function).to.equal("executeBatch(address[],uint256[],bytes[],bytes[])");
+      expect(outer.calls).to.have.length(2);
+      expect(outer.calls[0].args).to.deep.equal({ to: account3.address, amount: 9n });
+      // The nested wallet calling itself is a self-call of that wallet
+      expect(outer.calls[1]).to.include({ self: true, function: "setTimelock(uint256,uint256)" });
+
+      const text = formatProposalSummary(summary);
+      expect(text).to.include("_signatures: [0x1234]");
+      expect(text).not.to.include("_datas");
+      expect(text).to.include(`Nested call 2 of 2: ${innerAddress} (this wallet)`);
+    });
+
+    it("describes message proposals by the hash they approve", async function () {
+      const message = ethers.id("order");
+      const summary = summarizeProposal(await client.proposeMessage(message));
+
+      expect(summary).to.include({ kind: "message", message, nonce: null });
+      expect(formatProposalSummary(summary)).to.include(`Approves message ${message}`);
+    });
+
+    it("describes plain ETH transfers", function () {
+      const call = describeCall({ target: account3.address, value: 10n, data: "0x" });
+      expect(call).to.deep.equal({
+        target: account3.address,
+        value: 10n,
+        data: "0x",
+        self: false,
+        function: null,
+        args: null,
+        calls: []
+      });
+    });
+  });
+});
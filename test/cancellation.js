@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  MultiSigClient,
+  retargetProposal,
+  retargetStaleProposals
+} = require("../lib");
+
+describe("Nonce cancellation", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("5") });
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  async function signed(proposal, signers = [owner, account1]) {
+    const entries = [];
+    for (const signer of signers) {
+      entries.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, entries);
+  }
+
+  it("invalidates the current nonce and unblocks the next proposal", async function () {
+    const stuck = await signed(await client.proposeTransaction({ target: account3.address, value: 1n }));
+    const next = await signed(await client.proposeTransaction({ target: account3.address, value: 2n, nonce: 1 }));
+
+    const cancellation = await signed(await client.proposeCancellation(), [account1, account2]);
+    await expect(client.execute(cancellation))
+      .to.emit(multiSig, "NonceInvalidated")
+      .withArgs(0);
+
+    expect(await client.getNonce()).to.equal(1n);
+    await expect(client.execute(stuck)).to.be.revertedWith("Invalid signer");
+    await expect(client.execute(next)).to.emit(multiSig, "TransactionExecuted");
+  });
+
+  it("requires threshold signatures over the current nonce", async function () {
+    const single = await signed(await client.proposeCancellation(), [owner]);
+    await expect(client.execute(single)).to.be.revertedWith("Not enough signatures");
+
+    const future = await signed(await client.proposeCancellation(1));
+    await expect(client.execute(future)).to.be.revertedWith("Invalid signer");
+  });
+
+  it("only takes effect through invalidateNonce", async function () {
+    const cancellation = await signed(await client.proposeCancellation());
+
+    // The same signatures sent through executeTransaction would call invalidateNonce with no signatures
+    await expect(
+      multiSig.executeTransaction(
+        cancellation.target,
+        0,
+        cancellation.data,
+        cancellation.signatures.map((entry) => entry.signature)
+      )
+    ).to.be.revertedWith("Not enough signatures");
+  });
+
+  it("is not delayed by the timelock", async function () {
+    const setup = await signed(await client.proposeSetTimelock(3600, 0));
+    await client.execute(setup);
+
+    const cancellation = await signed(await client.proposeCancellation());
+
+    expect(await client.requiresTimelock(cancellation)).to.be.false;
+    await expect(client.execute(cancellation)).to.emit(multiSig, "NonceInvalidated").withArgs(1);
+  });
+
+  describe("Retargeting", function () {
+    it("moves a proposal to a new nonce and drops its signatures", async function () {
+      const proposal = await signed(await client.proposeTransaction({ target: account3.address, value: 1n }));
+      const retargeted = retargetProposal(proposal, 4);
+
+      expect(retargeted.nonce).to.equal(4n);
+      expect(retargeted.signatures).to.deep.equal([]);
+      expect(retargeted.hash).to.equal(await multiSig.getTransactionHash(account3.address, 1n, "0x", 4));
+    });
+
+    it("assigns stale proposals the nonces left free by pending ones", async function () {
+      const stale0 = await client.proposeTransaction({ target: account3.address, value: 1n, nonce: 0 });
+      const pending2 = await client.proposeTransaction({ target: account3.address, value: 2n, nonce: 2 });
+      const stale1 = await client.proposeTransaction({ target: account3.address, value: 3n, nonce: 1 });
+      const pending3 = await client.proposeTransaction({ target: account3.address, value: 4n, nonce: 3 });
+
+      const plan = retargetStaleProposals([stale0, pending2, stale1, pending3], 2);
+
+      expect(plan.map((entry) => entry.stale)).to.deep.equal([true, false, true, false]);
+      expect(plan.map((entry) => entry.proposal.nonce)).to.deep.equal([4n, 2n, 5n, 3n]);
+      expect(plan.map((entry) => entry.previousNonce)).to.deep.equal([0n, 2n, 1n, 3n]);
+      expect(plan[1].proposal).to.equal(pending2);
+    });
+
+    it("executes a retargeted proposal once it is signed again", async function () {
+      const stuck = await signed(await client.proposeTransaction({ target: account3.address, value: 1n }));
+      await client.execute(await signed(await client.proposeCancellation()));
+
+      const [{ proposal }] = retargetStaleProposals([stuck], await client.getNonce());
+      await expect(client.execute(await signed(proposal))).to.emit(multiSig, "TransactionExecuted");
+    });
+
+    it("refuses to retarget message proposals", async function () {
+      const message = await client.proposeMessage(ethers.id("hash"));
+
+      expect(() => retargetProposal(message, 1)).to.throw("Message proposals are not bound to a nonce");
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  EIP1271_MAGIC_VALUE,
+  MultiSigClient,
+  decodeContractSignature,
+  encodeContractSignature,
+  encodeWalletSignatures
+} = require("../lib");
+
+describe("Contract signers (EIP-1271)", function () {
+  let outer, inner;
+  let outerClient, innerClient;
+  let owner, account1, account2, account3, account4;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, account4] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+
+    // inner is a 2-of-2 wallet that acts as one signer of the 2-of-3 outer wallet
+    inner = await MultiSigWallet.deploy([account3.address, account4.address], 2);
+    await inner.waitForDeployment();
+
+    outer = await MultiSigWallet.deploy([owner.address, account1.address, await inner.getAddress()], 2);
+    await outer.waitForDeployment();
+
+    await owner.sendTransaction({ to: await outer.getAddress(), value: ethers.parseEther("5") });
+
+    outerClient = new MultiSigClient(await outer.getAddress(), owner);
+    innerClient = new MultiSigClient(await inner.getAddress(), owner);
+  });
+
+  // Has the inner wallet's signers approve an outer proposal and returns the contract signature
+  async function innerApproval(proposal, signers, options) {
+    let message = await innerClient.proposeMessage(proposal.hash);
+    const entries = [];
+    for (const signer of signers) {
+      entries.push(await innerClient.sign(message, signer, options));
+    }
+    message = innerClient.collect(message, entries);
+    return innerClient.toContractSignature(message);
+  }
+
+  it("executes a transaction approved by a nested wallet and an EOA", async function () {
+    const amount = ethers.parseEther("1");
+    let proposal = await outerClient.proposeTransaction({ target: account2.address, value: amount });
+    const contractSignature = await innerApproval(proposal, [account3, account4]);
+    proposal = outerClient.collect(proposal, [await outerClient.sign(proposal, owner), contractSignature]);
+
+    expect(proposal.signatures[1].signer).to.equal(await inner.getAddress());
+
+    const initialBalance = await ethers.provider.getBalance(account2.address);
+    await outerClient.execute(proposal);
+
+    expect(await ethers.provider.getBalance(account2.address) - initialBalance).to.equal(amount);
+  });
+
+  it("accepts typed-data signatures inside a contract signature", async function () {
+    let proposal = await outerClient.proposeTransaction({ target: account2.address, value: 1n });
+    const contractSignature = await innerApproval(proposal, [account3, account4], { typed: true });
+    proposal = outerClient.collect(proposal, [contractSignature, await outerClient.sign(proposal, account1)]);
+
+    await expect(outerClient.execute(proposal)).to.emit(outer, "TransactionExecuted");
+  });
+
+  it("returns the EIP-1271 magic value for approved hashes", async function () {
+    const hash = ethers.id("approved");
+    let message = await innerClient.proposeMessage(hash);
+
+    expect(message.hash).to.equal(await inner.getMessageHash(hash));
+
+    message = innerClient.collect(message, [
+      await innerClient.sign(message, account3),
+      await innerClient.sign(message, account4)
+    ]);
+    const { data } = decodeContractSignature(innerClient.toContractSignature(message));
+
+    expect(await inner.isValidSignature(hash, data)).to.equal(EIP1271_MAGIC_VALUE);
+    await expect(inner.isValidSignature(ethers.id("other"), data)).to.be.revertedWith("Invalid signer");
+  });
+
+  it("rejects a contract signature without enough inner approvals", async function () {
+    const proposal = await outerClient.proposeTransaction({ target: account2.address, value: 1n });
+    const contractSignature = await innerApproval(proposal, [account3]);
+    const ownerSig = (await outerClient.sign(proposal, owner)).signature;
+
+    await expect(
+      outer.executeTransaction(proposal.target, proposal.value, proposal.data, [ownerSig, contractSignature])
+    ).to.be.revertedWith("Invalid contract signature");
+  });
+
+  it("rejects a contract signature naming an account without code", async function () {
+    const proposal = await outerClient.proposeTransaction({ target: account2.address, value: 1n });
+    const ownerSig = (await outerClient.sign(proposal, owner)).signature;
+    const forged = encodeContractSignature(account1.address, encodeWalletSignatures([]));
+
+    await expect(
+      outer.executeTransaction(proposal.target, proposal.value, proposal.data, [ownerSig, forged])
+    ).to.be.revertedWith("Invalid contract signature");
+  });
+
+  it("counts a contract signer only once", async function () {
+    const proposal = await outerClient.proposeTransaction({ target: account2.address, value: 1n });
+    const contractSignature = await innerApproval(proposal, [account3, account4]);
+
+    await expect(
+      outer.executeTransaction(proposal.target, proposal.value, proposal.data, [contractSignature, contractSignature])
+    ).to.be.revertedWith("Duplicate signer");
+  });
+
+  it("checks contract signatures on-chain when validating and diagnosing", async function () {
+    let proposal = await outerClient.proposeTransaction({ target: account2.address, value: 1n });
+    const contractSignature = await innerApproval(proposal, [account3]);
+    proposal = outerClient.collect(proposal, [await outerClient.sign(proposal, owner), contractSignature]);
+
+    const result = await outerClient.validate(proposal);
+    expect(result.ready).to.be.false;
+    expect(result.signatures[1].reason).to.equal("Invalid contract signature");
+
+    const report = await outerClient.diagnose(proposal);
+    expect(report.signatures[1].kind).to.equal("contract");
+    expect(report.expectedRevert).to.equal("Invalid contract signature");
+  });
+
+  it("refuses to execute message proposals", async function () {
+    const message = await innerClient.proposeMessage(ethers.id("approved"));
+
+    await expect(innerClient.execute(message)).to.be.rejectedWith("Message proposals are submitted as contract signatures");
+  });
+});
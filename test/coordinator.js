@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  Coordinator,
+  MultiSigClient,
+  ProposalStore,
+  getPendingProposals,
+  getProposalStatus,
+  getTransactionHash,
+  getWalletInfo,
+  postProposal,
+  postSignatures
+} = require("../lib");
+
+describe("Coordination server", function () {
+  let multiSig;
+  let walletAddress;
+  let client;
+  let dir;
+  let storePath;
+  let server;
+  let url;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("5") });
+
+    client = new MultiSigClient(walletAddress, owner);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "multisig-coordinator-"));
+    storePath = path.join(dir, "store.json");
+    const coordinator = new Coordinator(ethers.provider, { store: new ProposalStore(storePath) });
+    server = await coordinator.listen(0);
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function payment(value = 1n) {
+    return client.proposeTransaction({ target: account3.address, value });
+  }
+
+  it("collects signatures from several signers until the proposal is ready", async function () {
+    const proposal = await payment();
+    const posted = await postProposal(url, client.collect(proposal, [await client.sign(proposal, owner)]));
+    expect(posted.status).to.include({ state: "pending", threshold: 2n, validCount: 1 });
+    expect(posted.status.missing).to.deep.equal([account1.address, account2.address]);
+
+    // Another signer finds the proposal for the current nonce and signs it
+    const [pending] = await getPendingProposals(url, walletAddress);
+    expect(pending.proposal.hash).to.equal(proposal.hash);
+    const signed = await postSignatures(url, pending.proposal.hash, [await client.sign(pending.proposal, account1)]);
+    expect(signed.status).to.include({ state: "ready", validCount: 2 });
+
+    // Anyone can execute the collected proposal
+    const { proposal: ready } = await getProposalStatus(url, proposal.hash);
+    await client.execute(ready);
+    expect((await getProposalStatus(url, proposal.hash)).status.state).to.equal("stale");
+    expect(await getPendingProposals(url, walletAddress)).to.deep.equal([]);
+  });
+
+  it("verifies signatures on receipt", async function () {
+    const proposal = await payment();
+    await expect(postProposal(url, proposal)).to.be.rejectedWith("A new proposal must carry a signature from a current signer");
+    await expect(postProposal(url, client.collect(proposal, [await client.sign(proposal, account3)])))
+      .to.be.rejectedWith(`Signature from ${account3.address} rejected: Not a current signer`);
+    expect(await getPendingProposals(url, walletAddress)).to.deep.equal([]);
+    await postProposal(url, client.collect(proposal, [await client.sign(proposal, account2)]));
+
+    await expect(postSignatures(url, proposal.hash, [await client.sign(proposal, account3)]))
+      .to.be.rejectedWith(`Signature from ${account3.address} rejected: Not a current signer`);
+    await expect(postSignatures(url, proposal.hash, [{ signer: owner.address, signature: (await client.sign(proposal, account1)).signature }]))
+      .to.be.rejectedWith(`Signature does not match signer ${owner.address}`);
+    await expect(postSignatures(url, ethers.ZeroHash, [])).to.be.rejectedWith(`Unknown proposal ${ethers.ZeroHash}`);
+
+    // Posting the same signature twice is harmless
+    const signature = await client.sign(proposal, owner);
+    await postSignatures(url, proposal.hash, [signature]);
+    const again = await postSignatures(url, proposal.hash, [signature]);
+    expect(again.proposal.signatures).to.have.length(2);
+  });
+
+  it("keeps every signature when signers post at the same time", async function () {
+    const coordinator = new Coordinator(ethers.provider);
+    const proposal = await payment();
+    await coordinator.submit(client.collect(proposal, [await client.sign(proposal, owner)]));
+
+    const signatures = [await client.sign(proposal, account1), await client.sign(proposal, account2)];
+    await Promise.all(signatures.map((signature) => coordinator.addSignatures(proposal.hash, [signature])));
+
+    const { proposal: stored, status } = await coordinator.getStatus(proposal.hash);
+    expect(stored.signatures.map((entry) => entry.signer)).to.have.members([owner.address, account1.address, account2.address]);
+    expect(status.validCount).to.equal(3);
+  });
+
+  it("rejects proposals for another chain, a used nonce or no wallet", async function () {
+    const proposal = await payment();
+
+    const otherChain = { ...proposal, chainId: 1n };
+    otherChain.hash = getTransactionHash(1n, walletAddress, otherChain);
+    await expect(postProposal(url, otherChain)).to.be.rejectedWith("Proposal is for chain 1");
+
+    const orphan = { ...proposal, wallet: account3.address };
+    orphan.hash = getTransactionHash(proposal.chainId, account3.address, orphan);
+    await expect(postProposal(url, orphan)).to.be.rejectedWith(`No wallet deployed at ${account3.address}`);
+
+    await client.execute(client.collect(proposal, [await client.sign(proposal, owner), await client.sign(proposal, account1)]));
+    await expect(postProposal(url, proposal)).to.be.rejectedWith("Proposal nonce 0 was already used (wallet nonce 1)");
+  });
+
+  it("lists proposals for a given nonce and reports the wallet state", async function () {
+    const current = await payment(1n);
+    const next = await client.proposeTransaction({ target: account3.address, value: 2n, nonce: 1n });
+    await postProposal(url, client.collect(current, [await client.sign(current, owner)]));
+    await postProposal(url, client.collect(next, [await client.sign(next, owner)]));
+
+    expect((await getPendingProposals(url, walletAddress)).map((entry) => entry.proposal.hash)).to.deep.equal([current.hash]);
+    const later = await getPendingProposals(url, walletAddress, { nonce: 1 });
+    expect(later.map((entry) => entry.proposal.hash)).to.deep.equal([next.hash]);
+    expect(later[0].status.state).to.equal("pending");
+
+    const info = await getWalletInfo(url, walletAddress);
+    expect(info).to.include({ wallet: walletAddress, nonce: 0n, threshold: 2n });
+    expect(info.signers).to.deep.equal([owner.address, account1.address, account2.address]);
+  });
+
+  it("keeps proposals across restarts", async function () {
+    const proposal = await payment();
+    await postProposal(url, client.collect(proposal, [await client.sign(proposal, owner)]));
+
+    const restarted = new Coordinator(ethers.provider, { store: new ProposalStore(storePath) });
+    const { proposal: stored, status } = await restarted.getStatus(proposal.hash);
+    expect(stored.signatures.map((entry) => entry.signer)).to.deep.equal([owner.address]);
+    expect(status.validCount).to.equal(1);
+  });
+});
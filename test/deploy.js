@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { validateSignerConfig } = require("../lib");
+const { deployMultiSigWallet, verifyDeployment } = require("../lib/deploy");
+
+describe("Deployment", function () {
+  let owner, account1, account2;
+
+  beforeEach(async function () {
+    [owner, account1, account2] = await ethers.getSigners();
+  });
+
+  describe("validateSignerConfig", function () {
+    it("normalizes a valid signer set", function () {
+      const config = validateSignerConfig([owner.address.toLowerCase(), account1.address], 2);
+
+      expect(config.signers).to.deep.equal([owner.address, account1.address]);
+      expect(config.threshold).to.equal(2n);
+    });
+
+    it("mirrors the constructor's checks", function () {
+      expect(() => validateSignerConfig([], 1)).to.throw("Signers array empty");
+      expect(() => validateSignerConfig([owner.address], 0)).to.throw("Invalid threshold");
+      expect(() => validateSignerConfig([owner.address], 2)).to.throw("Invalid threshold");
+      expect(() => validateSignerConfig([owner.address, ethers.ZeroAddress], 1)).to.throw("Invalid signer address");
+      expect(() => validateSignerConfig([owner.address, "0x1234"], 1)).to.throw("Invalid signer address");
+      expect(() => validateSignerConfig([owner.address, owner.address.toLowerCase()], 1)).to.throw("Duplicate signer");
+    });
+  });
+
+  describe("Ignition module", function () {
+    it("deploys and verifies the requested signer set", async function () {
+      const signers = [owner.address, account1.address, account2.address];
+      const multisig = await deployMultiSigWallet(hre, { signers, threshold: 2 });
+
+      expect(await multisig.getSigners()).to.deep.equal(signers);
+      expect(await multisig.threshold()).to.equal(2n);
+    });
+
+    it("rejects invalid parameters before sending a transaction", async function () {
+      const initialNonce = await ethers.provider.getTransactionCount(owner.address);
+
+      await expect(
+        deployMultiSigWallet(hre, { signers: [owner.address, owner.address], threshold: 1 })
+      ).to.be.rejectedWith("Duplicate signer");
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(initialNonce);
+    });
+
+    it("detects a wallet whose signer set differs from the expected one", async function () {
+      const multisig = await deployMultiSigWallet(hre, { signers: [owner.address, account1.address], threshold: 1 });
+
+      await expect(
+        verifyDeployment(multisig, { signers: [owner.address, account2.address], threshold: 1n })
+      ).to.be.rejectedWith("Deployed wallet reports signers");
+      await expect(
+        verifyDeployment(multisig, { signers: [owner.address, account1.address], threshold: 2n })
+      ).to.be.rejectedWith("Deployed wallet reports threshold 1, expected 2");
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MultiSigClient, diagnoseSignatures } = require("../lib");
+
+// secp256k1 group order, used to build a high-s twin of a valid signature
+const SECP256K1_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+
+describe("Signature diagnostics", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3, nonSigner;
+  let proposal;
+  let ownerSig, account1Sig, nonSignerSig;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, nonSigner] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("1") });
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+    proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+
+    ownerSig = (await client.sign(proposal, owner)).signature;
+    account1Sig = (await client.sign(proposal, account1)).signature;
+    nonSignerSig = (await client.sign(proposal, nonSigner)).signature;
+  });
+
+  // Diagnoses a signature list, then checks the prediction against an actual executeTransaction
+  async function expectPrediction(signatures, expectedRevert) {
+    const report = await client.diagnose({ ...proposal, signatures });
+    expect(report.expectedRevert).to.equal(expectedRevert);
+
+    const call = multiSig.executeTransaction(proposal.target, proposal.value, proposal.data, signatures);
+    if (expectedRevert === null) {
+      await expect(call).to.not.be.reverted;
+    } else {
+      await expect(call).to.be.revertedWith(expectedRevert);
+    }
+
+    return report;
+  }
+
+  function highS(signature) {
+    const sig = ethers.Signature.from(signature);
+    const s = ethers.toBeHex(SECP256K1_N - BigInt(sig.s), 32);
+    return ethers.concat([sig.r, s, sig.v === 27 ? "0x1c" : "0x1b"]);
+  }
+
+  it("accepts valid signatures", async function () {
+    const report = await expectPrediction([ownerSig, account1Sig], null);
+
+    expect(report.signatures.map((entry) => entry.recovered)).to.deep.equal([owner.address, account1.address]);
+    expect(report.signatures.every((entry) => entry.isSigner && entry.rule === null)).to.be.true;
+  });
+
+  it("predicts 'Not enough signatures'", async function () {
+    await expectPrediction([ownerSig], "Not enough signatures");
+  });
+
+  it("predicts 'Invalid signature length'", async function () {
+    const report = await expectPrediction([ownerSig, ethers.dataSlice(account1Sig, 0, 64)], "Invalid signature length");
+
+    expect(report.signatures[1].rule).to.equal("length");
+  });
+
+  it("predicts 'Invalid signature 's' value' for malleated signatures", async function () {
+    const report = await expectPrediction([ownerSig, highS(account1Sig)], "Invalid signature 's' value");
+
+    expect(report.signatures[1].rule).to.equal("s");
+  });
+
+  it("predicts 'Invalid signature 'v' value'", async function () {
+    const badV = ethers.concat([ethers.dataSlice(account1Sig, 0, 64), "0x05"]);
+
+    await expectPrediction([ownerSig, badV], "Invalid signature 'v' value");
+  });
+
+  it("predicts 'ECDSA: invalid signature' when ecrecover fails", async function () {
+    const zeroR = ethers.concat([ethers.ZeroHash, ethers.dataSlice(account1Sig, 32, 65)]);
+    const report = await expectPrediction([ownerSig, zeroR], "ECDSA: invalid signature");
+
+    expect(report.signatures[1].recovered).to.be.null;
+  });
+
+  it("predicts 'Invalid signer' and reports the recovered address", async function () {
+    const report = await expectPrediction([ownerSig, nonSignerSig], "Invalid signer");
+
+    expect(report.signatures[1].recovered).to.equal(nonSigner.address);
+    expect(report.signatures[1].isSigner).to.be.false;
+  });
+
+  it("predicts 'Duplicate signer' and points at the first occurrence", async function () {
+    const report = await expectPrediction([ownerSig, account1Sig, ownerSig], "Duplicate signer");
+
+    expect(report.signatures[2].duplicateOf).to.equal(0);
+  });
+
+  it("reports the first failure in submission order, like the contract", async function () {
+    const report = await expectPrediction([nonSignerSig, ownerSig, "0x1234"], "Invalid signer");
+
+    expect(report.signatures.map((entry) => entry.rule)).to.deep.equal(["signer", null, "length"]);
+  });
+
+  it("predicts 'Transaction must be queued' for calls the timelock covers, per call in a batch", async function () {
+    const setTimelock = await client.proposeSetTimelock(3600, 10n);
+    await client.execute(client.collect(setTimelock, [await client.sign(setTimelock, owner), await client.sign(setTimelock, account1)]));
+
+    async function diagnoseSigned(unsigned) {
+      const signed = client.collect(unsigned, [await client.sign(unsigned, owner), await client.sign(unsigned, account1)]);
+      return { signed, report: await client.diagnose(signed) };
+    }
+
+    const small = await diagnoseSigned(await client.proposeTransaction({ target: account3.address, value: 1n }));
+    expect(small.report).to.include({ timelocked: false, expectedRevert: null });
+
+    const large = await diagnoseSigned(await client.proposeTransaction({ target: account3.address, value: 11n }));
+    expect(large.report).to.include({ timelocked: true, expectedRevert: "Transaction must be queued" });
+    await expect(client.execute(large.signed)).to.be.revertedWith("Transaction must be queued");
+
+    const batch = await diagnoseSigned(await client.proposeBatch([
+      { target: account3.address, value: 1n, data: "0x" },
+      { target: account3.address, value: 11n, data: "0x" }
+    ]));
+    expect(batch.report.expectedRevert).to.equal("Transaction must be queued");
+    await expect(client.execute(batch.signed)).to.be.revertedWith("Transaction must be queued");
+  });
+
+  it("works from a hash and signer list without a node", function () {
+    const report = diagnoseSignatures({
+      hash: proposal.hash,
+      signatures: [ownerSig, account1Sig],
+      signers: [owner.address, account1.address],
+      threshold: 3
+    });
+
+    expect(report.expectedRevert).to.equal("Not enough signatures");
+    expect(report.signatures.every((entry) => entry.rule === null)).to.be.true;
+  });
+});
@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { BatchBuilder, MultiSigClient, decodeExecutionRecords } = require("../lib");
+
+describe("Execution events", function () {
+  let multiSig;
+  let mockERC20;
+  let client;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("5") });
+    await mockERC20.transfer(await multiSig.getAddress(), ethers.parseEther("10"));
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  async function signed(proposal, signers = [owner, account1]) {
+    const entries = [];
+    for (const signer of signers) {
+      entries.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, entries);
+  }
+
+  function tokenTransfer(amount) {
+    return mockERC20.interface.encodeFunctionData("transfer", [account3.address, amount]);
+  }
+
+  describe("Revert reasons", function () {
+    it("bubbles up the callee's revert reason", async function () {
+      const proposal = await signed(await client.proposeTransaction({
+        target: await mockERC20.getAddress(),
+        data: tokenTransfer(ethers.parseEther("11"))
+      }));
+
+      await expect(client.execute(proposal)).to.be.revertedWith("Insufficient balance");
+      expect(await client.getNonce()).to.equal(0n);
+    });
+
+    it("falls back to 'Transaction execution failed' when the callee returns no data", async function () {
+      const proposal = await signed(await client.proposeTransaction({
+        target: account3.address,
+        value: ethers.parseEther("6")
+      }));
+
+      await expect(client.execute(proposal)).to.be.revertedWith("Transaction execution failed");
+    });
+
+    it("bubbles up reasons from on-chain proposals and queued transactions", async function () {
+      const proposalId = await client.submitProposal(await client.proposeTransaction({
+        target: await mockERC20.getAddress(),
+        data: tokenTransfer(ethers.parseEther("11"))
+      }));
+      await client.confirmProposal(proposalId, account1);
+      await expect(client.executeProposal(proposalId)).to.be.revertedWith("Insufficient balance");
+
+      const queued = await signed(await client.proposeTransaction({
+        target: await mockERC20.getAddress(),
+        data: tokenTransfer(ethers.parseEther("11"))
+      }));
+      await client.queue(queued);
+      await expect(client.executeQueued(queued.hash)).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("Approvers", function () {
+    it("records the signers who approved an execution", async function () {
+      const proposal = await signed(await client.proposeTransaction({ target: account3.address, value: 1n }), [account2, owner]);
+
+      await expect(client.execute(proposal))
+        .to.emit(multiSig, "TransactionApproved")
+        .withArgs(proposal.hash, 0, [account2.address, owner.address]);
+    });
+
+    it("lists on-chain confirmations before off-chain signers", async function () {
+      const proposalId = await client.submitProposal(
+        await client.proposeTransaction({ target: account3.address, value: 1n }),
+        account1
+      );
+      const offchain = await signed(await client.proposeFromChain(proposalId), [account2]);
+
+      await expect(client.executeProposal(proposalId, offchain.signatures))
+        .to.emit(multiSig, "TransactionApproved")
+        .withArgs(offchain.hash, 0, [account1.address, account2.address]);
+    });
+  });
+
+  describe("decodeExecutionRecords", function () {
+    it("builds one readable record per nonce", async function () {
+      const tokenAddress = await mockERC20.getAddress();
+      const wallet = await multiSig.getAddress();
+
+      // 0: a plain transfer
+      const transfer = await signed(await client.proposeTransaction({ target: account3.address, value: 1n }));
+      await client.execute(transfer);
+
+      // 1: a batch
+      const calls = new BatchBuilder()
+        .addEtherTransfer(account3.address, 2n)
+        .addTokenTransfer(tokenAddress, account3.address, 3n)
+        .build();
+      await client.execute(await signed(await client.proposeBatch(calls), [account1, account2]));
+
+      // 2: an on-chain proposal
+      const proposalId = await client.submitProposal(await client.proposeTransaction({ target: account3.address, value: 4n }));
+      await client.confirmProposal(proposalId, account2);
+      await client.executeProposal(proposalId);
+
+      // 3: a cancelled nonce
+      await client.execute(await signed(await client.proposeCancellation()));
+
+      // 4: a direct signer update
+      const newSigners = [owner.address, account1.address, account2.address, account3.address];
+      await client.execute(await signed(await client.proposeUpdateSigners(newSigners, 2)));
+
+      // 5: a queued signer update, after enabling the timelock with an immediate call (nonce 5)
+      await client.execute(await signed(await client.proposeSetTimelock(60, ethers.parseEther("1"))));
+      const update = await signed(await client.proposeUpdateSigners([owner.address, account1.address], 1));
+      await client.queue(update);
+      await time.increase(60);
+      await client.executeQueued(update.hash);
+
+      // 7: a queued transfer that gets cancelled
+      const large = await signed(await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("2") }), [owner]);
+      await client.queue(large);
+      await client.cancelQueued(large.hash, owner);
+
+      const records = await client.getExecutionRecords();
+      const summary = records.map(({ nonce, kind, status }) => [nonce, kind, status]);
+      expect(summary).to.deep.equal([
+        [0n, "transaction", "executed"],
+        [1n, "batch", "executed"],
+        [2n, "transaction", "executed"],
+        [3n, "cancellation", "executed"],
+        [4n, "signers", "executed"],
+        [5n, "transaction", "executed"],
+        [6n, "signers", "executed"],
+        [7n, "transaction", "cancelled"]
+      ]);
+
+      expect(records[0].txHash).to.equal(transfer.hash);
+      expect(records[0].approvers).to.deep.equal([owner.address, account1.address]);
+      expect(records[0].calls).to.deep.equal([{ target: account3.address, value: 1n, data: "0x" }]);
+
+      expect(records[1].approvers).to.deep.equal([account1.address, account2.address]);
+      expect(records[1].calls.map((call) => call.target)).to.deep.equal([account3.address, tokenAddress]);
+
+      expect(records[2].proposalId).to.equal(proposalId);
+      expect(records[2].approvers).to.deep.equal([owner.address, account2.address]);
+
+      expect(records[4].signerUpdate).to.deep.equal({ signers: newSigners, threshold: 2n });
+      expect(records[4].calls).to.have.length(1);
+      expect(records[4].calls[0].target).to.equal(wallet);
+
+      expect(records[6].signerUpdate).to.deep.equal({ signers: [owner.address, account1.address], threshold: 1n });
+      expect(records[6].calls).to.have.length(1);
+      expect(records[6].eta).to.not.be.null;
+      expect(records[6].executedIn.blockNumber).to.be.greaterThan(records[6].approvedIn.blockNumber);
+
+      expect(records[7].cancelledBy).to.equal(owner.address);
+    });
+
+    it("decodes the records of a single receipt", async function () {
+      const proposal = await signed(await client.proposeTransaction({ target: account3.address, value: 1n }));
+      const receipt = await (await client.execute(proposal)).wait();
+
+      const [record] = decodeExecutionRecords(receipt.logs, await multiSig.getAddress());
+
+      expect(record.status).to.equal("executed");
+      expect(record.executedIn.transactionHash).to.equal(receipt.hash);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  TRANSACTION_TYPES,
+  getDomain,
+  getDomainSeparator,
+  getTransactionStructHash,
+  getTransactionHash
+} = require("../lib/hash");
+
+const RANDOM_CASES = 100;
+
+describe("Offline transaction hashing", function () {
+  let multiSig;
+  let multiSigAddress;
+  let chainId;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    multiSigAddress = await multiSig.getAddress();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+  });
+
+  // Random transaction covering the full range of each field
+  function randomTransaction() {
+    const dataLength = Math.floor(Math.random() * 300);
+    return {
+      target: ethers.hexlify(ethers.randomBytes(20)),
+      value: ethers.toBigInt(ethers.randomBytes(Math.ceil(Math.random() * 32))),
+      data: ethers.hexlify(ethers.randomBytes(dataLength)),
+      nonce: ethers.toBigInt(ethers.randomBytes(Math.ceil(Math.random() * 32)))
+    };
+  }
+
+  it("matches getTransactionHash for random inputs", async function () {
+    for (let i = 0; i < RANDOM_CASES; i++) {
+      const tx = randomTransaction();
+      const expected = await multiSig.getTransactionHash(tx.target, tx.value, tx.data, tx.nonce);
+
+      expect(getTransactionHash(chainId, multiSigAddress, tx), JSON.stringify(tx, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      )).to.equal(expected);
+    }
+  });
+
+  it("matches getTransactionHash for edge-case inputs", async function () {
+    const cases = [
+      { target: ethers.ZeroAddress, value: 0n, data: "0x", nonce: 0n },
+      { target: multiSigAddress, value: ethers.MaxUint256, data: "0x00", nonce: ethers.MaxUint256 },
+      { target: account3.address, value: 1n, data: ethers.hexlify(new Uint8Array(64)), nonce: 1n }
+    ];
+
+    for (const tx of cases) {
+      const expected = await multiSig.getTransactionHash(tx.target, tx.value, tx.data, tx.nonce);
+      expect(getTransactionHash(chainId, multiSigAddress, tx)).to.equal(expected);
+    }
+  });
+
+  it("agrees with the generic EIP-712 encoder", function () {
+    const tx = randomTransaction();
+    const domain = getDomain(chainId, multiSigAddress);
+
+    expect(getDomainSeparator(chainId, multiSigAddress)).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    expect(getTransactionStructHash(tx)).to.equal(
+      ethers.TypedDataEncoder.hashStruct("Transaction", TRANSACTION_TYPES, tx)
+    );
+    expect(getTransactionHash(chainId, multiSigAddress, tx)).to.equal(
+      ethers.TypedDataEncoder.hash(domain, TRANSACTION_TYPES, tx)
+    );
+  });
+
+  it("binds the chain id and wallet address", function () {
+    const tx = randomTransaction();
+    const hash = getTransactionHash(chainId, multiSigAddress, tx);
+
+    expect(getTransactionHash(chainId + 1n, multiSigAddress, tx)).to.not.equal(hash);
+    expect(getTransactionHash(chainId, account3.address, tx)).to.not.equal(hash);
+  });
+
+  it("accepts signatures produced without a provider", async function () {
+    const nonce = await multiSig.nonce();
+    const tx = { target: account3.address, value: 0n, data: "0x", nonce };
+    const hash = getTransactionHash(chainId, multiSigAddress, tx);
+
+    // Hardhat default keys for accounts #0 and #1, used as detached (air-gapped) wallets
+    const offlineSigners = [
+      new ethers.Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"),
+      new ethers.Wallet("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d")
+    ];
+    const signatures = [];
+    for (const wallet of offlineSigners) {
+      signatures.push(await wallet.signMessage(ethers.getBytes(hash)));
+    }
+
+    await expect(
+      multiSig.executeTransaction(tx.target, tx.value, tx.data, signatures)
+    ).to.emit(multiSig, "TransactionExecuted");
+  });
+});
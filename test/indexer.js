@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  BatchBuilder,
+  HISTORY_COLUMNS,
+  MultiSigClient,
+  decodeCalldata,
+  historyToCsv,
+  historyToJson,
+  indexHistory
+} = require("../lib");
+
+describe("History indexer", function () {
+  let multiSig;
+  let mockERC20;
+  let client;
+  let owner, account1, account2, account3;
+  let deployBlock;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    deployBlock = (await multiSig.deploymentTransaction().wait()).blockNumber;
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+    await mockERC20.transfer(await multiSig.getAddress(), ethers.parseEther("100"));
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  async function signed(proposal, signers = [owner, account1]) {
+    const entries = [];
+    for (const signer of signers) {
+      entries.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, entries);
+  }
+
+  // Deposits, an ERC20 transfer, a signer update and a batch signed by the new set
+  async function buildHistory() {
+    await expect(account3.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("2") }))
+      .to.emit(multiSig, "Deposit")
+      .withArgs(account3.address, ethers.parseEther("2"));
+
+    const data = mockERC20.interface.encodeFunctionData("transfer", [account3.address, ethers.parseEther("5")]);
+    await client.execute(await signed(await client.proposeTransaction({ target: await mockERC20.getAddress(), data })));
+
+    await client.execute(await signed(await client.proposeUpdateSigners([account1.address, account3.address], 2)));
+
+    const calls = new BatchBuilder()
+      .addEtherTransfer(owner.address, ethers.parseEther("0.5"))
+      .addTokenTransfer(await mockERC20.getAddress(), owner.address, ethers.parseEther("1"))
+      .build();
+    await client.execute(await signed(await client.proposeBatch(calls), [account1, account3]));
+  }
+
+  it("lists deposits and executed calls with decoded call data and approvers", async function () {
+    await buildHistory();
+
+    const history = await client.getHistory({ fromBlock: deployBlock, abis: [mockERC20.interface] });
+    const types = history.entries.map((entry) => entry.type);
+    expect(types).to.deep.equal(["deposit", "transaction", "signers", "batch", "batch"]);
+
+    const [deposit, transfer, update, batchEth, batchToken] = history.entries;
+    expect(deposit.from).to.equal(account3.address);
+    expect(deposit.value).to.equal(ethers.parseEther("2"));
+    expect(deposit.timestamp).to.be.a("number");
+
+    expect(transfer.nonce).to.equal(0n);
+    expect(transfer.to).to.equal(await mockERC20.getAddress());
+    expect(transfer.function).to.equal("transfer(address,uint256)");
+    expect(transfer.args).to.deep.equal({ to: account3.address, amount: ethers.parseEther("5") });
+    expect(transfer.approvers).to.deep.equal([owner.address, account1.address]);
+
+    expect(update.function).to.equal("updateSigners(address[],uint256,bytes[])");
+    expect(update.args._newSigners).to.deep.equal([account1.address, account3.address]);
+
+    expect(batchEth.value).to.equal(ethers.parseEther("0.5"));
+    expect(batchEth.function).to.be.null;
+    expect(batchToken.function).to.equal("transfer(address,uint256)");
+    expect(batchToken.approvers).to.deep.equal([account1.address, account3.address]);
+  });
+
+  it("tracks signer-set epochs and tags entries with the epoch that approved them", async function () {
+    await buildHistory();
+
+    const history = await client.getHistory({ fromBlock: deployBlock });
+
+    expect(history.epochs).to.have.length(2);
+    expect(history.epochs[0].signers).to.deep.equal([owner.address, account1.address, account2.address]);
+    expect(history.epochs[0].fromBlock).to.equal(deployBlock);
+    expect(history.epochs[1].signers).to.deep.equal([account1.address, account3.address]);
+    expect(history.epochs[0].toBlock).to.equal(history.epochs[1].fromBlock);
+    expect(history.epochs[1].toBlock).to.be.null;
+
+    // The signer update itself was approved by the first set
+    expect(history.entries.map((entry) => entry.epoch)).to.deep.equal([0, 0, 0, 1, 1]);
+  });
+
+  it("reads the signer set in force when starting after deployment", async function () {
+    await client.execute(await signed(await client.proposeUpdateSigners([account1.address, account2.address], 1)));
+    const start = (await ethers.provider.getBlockNumber()) + 1;
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: 1n });
+
+    const history = await client.getHistory({ fromBlock: start });
+
+    expect(history.epochs).to.have.length(1);
+    expect(history.epochs[0]).to.include({ fromBlock: null, threshold: 1n });
+    expect(history.epochs[0].signers).to.deep.equal([account1.address, account2.address]);
+    expect(history.entries.map((entry) => [entry.type, entry.epoch])).to.deep.equal([["deposit", 0]]);
+  });
+
+  it("exports JSON and CSV", async function () {
+    await buildHistory();
+    const history = await client.getHistory({ fromBlock: deployBlock, abis: [mockERC20.interface] });
+
+    const json = JSON.parse(historyToJson(history));
+    expect(json.entries[0].value).to.equal(ethers.parseEther("2").toString());
+
+    const lines = historyToCsv(history).trim().split("\n");
+    expect(lines[0]).to.equal(HISTORY_COLUMNS.join(","));
+    expect(lines).to.have.length(history.entries.length + 1);
+
+    // Decoded arguments are quoted JSON; approvers are separated by semicolons
+    expect(lines[2]).to.include(`"{""to"":""${account3.address}"",""amount"":""${ethers.parseEther("5")}""}"`);
+    expect(lines[2]).to.include(`${owner.address};${account1.address}`);
+  });
+
+  it("reads logs in block ranges a capped provider accepts", async function () {
+    await buildHistory();
+    const address = await multiSig.getAddress();
+    const full = await client.getHistory({ fromBlock: deployBlock });
+
+    // Stands in for a public RPC provider that rejects getLogs over more than 2 blocks
+    const requests = [];
+    const capped = {
+      getBlockNumber: () => ethers.provider.getBlockNumber(),
+      getBlock: (blockTag) => ethers.provider.getBlock(blockTag),
+      getCode: (account, blockTag) => ethers.provider.getCode(account, blockTag),
+      getLogs: (filter) => {
+        requests.push(filter);
+        if (filter.toBlock - filter.fromBlock + 1 > 2) {
+          throw new Error("block range too large");
+        }
+        return ethers.provider.getLogs(filter);
+      }
+    };
+
+    const chunked = await indexHistory(capped, address, { fromBlock: deployBlock, blockRange: 2 });
+    expect(chunked).to.deep.equal(full);
+    expect(requests.length).to.equal(Math.ceil((full.toBlock - deployBlock + 1) / 2));
+    await expect(indexHistory(capped, address, { fromBlock: deployBlock, blockRange: 0 })).to.be.rejectedWith("Invalid block range: 0");
+  });
+
+  it("quotes CSV fields holding separators, quotes or line breaks", function () {
+    const entry = Object.fromEntries(HISTORY_COLUMNS.map((column) => [column, null]));
+    const history = { entries: [{ ...entry, type: "a\rb", function: "c\nd", data: "e,f", status: 'say "g"' }] };
+
+    const csv = historyToCsv(history);
+    const row = csv.slice(csv.indexOf("\n") + 1);
+    expect(row).to.include('"a\rb"');
+    expect(row).to.include('"e,f"');
+    expect(row).to.include('"say ""g"""');
+  });
+
+  it("returns null for call data no known ABI matches", function () {
+    expect(decodeCalldata("0x")).to.be.null;
+    expect(decodeCalldata("0xdeadbeef")).to.be.null;
+  });
+});
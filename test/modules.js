@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MultiSigClient } = require("../lib");
+
+describe("Modules", function () {
+  let multiSig;
+  let walletAddress;
+  let mockModule;
+  let moduleAddress;
+  let client;
+  let owner, account1, account2, account3, operator;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, operator] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("10") });
+
+    const MockModule = await ethers.getContractFactory("MockModule");
+    mockModule = await MockModule.deploy(walletAddress, operator.address);
+    await mockModule.waitForDeployment();
+    moduleAddress = await mockModule.getAddress();
+
+    client = new MultiSigClient(walletAddress, owner);
+  });
+
+  async function signed(proposal, signers = [owner, account1]) {
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, signatures);
+  }
+
+  async function enable(module = moduleAddress) {
+    return client.execute(await signed(await client.proposeEnableModule(module)));
+  }
+
+  it("is enabled and disabled by threshold vote only", async function () {
+    await expect(multiSig.enableModule(moduleAddress)).to.be.revertedWith("Only the wallet itself");
+
+    await expect(enable()).to.emit(multiSig, "ModuleEnabled").withArgs(moduleAddress);
+    expect(await client.getModules()).to.deep.equal([moduleAddress]);
+    expect(await client.isModule(moduleAddress)).to.be.true;
+
+    await expect(multiSig.disableModule(moduleAddress)).to.be.revertedWith("Only the wallet itself");
+    await expect(client.execute(await signed(await client.proposeDisableModule(moduleAddress))))
+      .to.emit(multiSig, "ModuleDisabled")
+      .withArgs(moduleAddress);
+    expect(await client.getModules()).to.deep.equal([]);
+    expect(await client.isModule(moduleAddress)).to.be.false;
+  });
+
+  it("rejects invalid, duplicate and unknown modules", async function () {
+    await expect(enable(ethers.ZeroAddress)).to.be.revertedWith("Invalid module");
+    await expect(enable(walletAddress)).to.be.revertedWith("Invalid module");
+
+    await enable();
+    await expect(enable()).to.be.revertedWith("Module already enabled");
+    await expect(client.execute(await signed(await client.proposeDisableModule(account3.address))))
+      .to.be.revertedWith("Not a module");
+  });
+
+  it("lets an enabled module make calls without signatures", async function () {
+    await expect(mockModule.connect(operator).exec(account3.address, 1n, "0x")).to.be.revertedWith("Not a module");
+    await enable();
+
+    const nonce = await multiSig.nonce();
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    await expect(mockModule.connect(operator).exec(account3.address, ethers.parseEther("1"), "0x"))
+      .to.emit(multiSig, "ExecutionFromModule")
+      .withArgs(moduleAddress, account3.address, ethers.parseEther("1"), "0x");
+
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("1"));
+    expect(await multiSig.nonce()).to.equal(nonce);
+
+    // The module enforces its own rules, and nobody else can call the entry point
+    await expect(mockModule.connect(account3).exec(account3.address, 1n, "0x")).to.be.revertedWith("Not the operator");
+    await expect(multiSig.connect(operator).execTransactionFromModule(account3.address, 1n, "0x"))
+      .to.be.revertedWith("Not a module");
+  });
+
+  it("lets a module call the wallet itself", async function () {
+    await enable();
+
+    const data = multiSig.interface.encodeFunctionData("addSigner", [account3.address, 2n]);
+    await expect(mockModule.connect(operator).exec(walletAddress, 0n, data))
+      .to.emit(multiSig, "SignerAdded")
+      .withArgs(account3.address);
+    expect(await multiSig.isSigner(account3.address)).to.be.true;
+  });
+
+  it("passes on the callee's revert reason", async function () {
+    await enable();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock Token", "MTK", 0n);
+
+    const transfer = token.interface.encodeFunctionData("transfer", [account3.address, 1n]);
+    await expect(mockModule.connect(operator).exec(await token.getAddress(), 0n, transfer))
+      .to.be.revertedWith("Insufficient balance");
+    await expect(mockModule.connect(operator).exec(account3.address, ethers.parseEther("100"), "0x"))
+      .to.be.revertedWith("Module transaction failed");
+  });
+
+  it("stops a disabled module and keeps the others", async function () {
+    const MockModule = await ethers.getContractFactory("MockModule");
+    const second = await MockModule.deploy(walletAddress, operator.address);
+    const secondAddress = await second.getAddress();
+    await enable();
+    await enable(secondAddress);
+
+    await client.execute(await signed(await client.proposeDisableModule(moduleAddress)));
+    expect(await client.getModules()).to.deep.equal([secondAddress]);
+
+    await expect(mockModule.connect(operator).exec(account3.address, 1n, "0x")).to.be.revertedWith("Not a module");
+    await expect(second.connect(operator).exec(account3.address, 1n, "0x")).to.emit(multiSig, "ExecutionFromModule");
+  });
+
+  it("records module calls in the history", async function () {
+    await enable();
+    await mockModule.connect(operator).exec(account3.address, 5n, "0x");
+
+    const history = await client.getHistory();
+    const entry = history.entries.find((item) => item.type === "module");
+    expect(entry).to.include({ status: "executed", from: walletAddress, to: account3.address, value: 5n, nonce: null });
+    expect(entry.approvers).to.deep.equal([moduleAddress]);
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MULTISIG_ABI, MultiSigClient } = require("../lib");
+
+describe("MultiSigClient", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3, nonSigner;
+  let mockERC20;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, nonSigner] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+
+    await owner.sendTransaction({
+      to: await multiSig.getAddress(),
+      value: ethers.parseEther("10")
+    });
+    await mockERC20.transfer(await multiSig.getAddress(), ethers.parseEther("100"));
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  it("ships an ABI that matches the compiled contract", async function () {
+    const compiled = multiSig.interface;
+
+    for (const fragment of new ethers.Interface(MULTISIG_ABI).fragments) {
+      const name = fragment.format("sighash");
+      const match = fragment.type === "event" ? compiled.getEvent(name) : compiled.getFunction(name);
+      expect(match, name).to.not.be.null;
+    }
+  });
+
+  describe("Hashing", function () {
+    it("computes the same hash as getTransactionHash", async function () {
+      const data = mockERC20.interface.encodeFunctionData("transfer", [account3.address, 5n]);
+      const proposal = await client.proposeTransaction({
+        target: await mockERC20.getAddress(),
+        data
+      });
+
+      expect(proposal.nonce).to.equal(0n);
+      expect(proposal.hash).to.equal(
+        await multiSig.getTransactionHash(await mockERC20.getAddress(), 0, data, 0)
+      );
+    });
+
+    it("honours an explicit nonce", async function () {
+      const proposal = await client.proposeTransaction({
+        target: account3.address,
+        value: ethers.parseEther("1"),
+        nonce: 7
+      });
+
+      expect(proposal.hash).to.equal(
+        await multiSig.getTransactionHash(account3.address, ethers.parseEther("1"), "0x", 7)
+      );
+    });
+  });
+
+  describe("Signature collection", function () {
+    it("merges signatures and drops duplicates from the same signer", async function () {
+      const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+      const sig1 = await client.sign(proposal, owner);
+      const sig2 = await client.sign(proposal, account1);
+
+      const partial = client.collect(proposal, [sig1]);
+      const merged = client.collect(partial, [sig1, sig2.signature]);
+
+      expect(proposal.signatures).to.have.length(0);
+      expect(merged.signatures.map((entry) => entry.signer)).to.deep.equal([owner.address, account1.address]);
+    });
+
+    it("rejects a signature attributed to the wrong signer", async function () {
+      const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+      const sig = await client.sign(proposal, owner);
+
+      expect(() =>
+        client.collect(proposal, [{ signer: account1.address, signature: sig.signature }])
+      ).to.throw("Signature does not match signer");
+    });
+  });
+
+  describe("Execution", function () {
+    it("executes an ETH transfer", async function () {
+      const amount = ethers.parseEther("1");
+      let proposal = await client.proposeTransaction({ target: account3.address, value: amount });
+      proposal = client.collect(proposal, [
+        await client.sign(proposal, owner),
+        await client.sign(proposal, account1)
+      ]);
+
+      const initialBalance = await ethers.provider.getBalance(account3.address);
+      await (await client.execute(proposal)).wait();
+
+      expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(amount);
+      expect(await client.getNonce()).to.equal(1n);
+    });
+
+    it("executes a contract call submitted by a non-signer", async function () {
+      const data = mockERC20.interface.encodeFunctionData("transfer", [account3.address, ethers.parseEther("10")]);
+      let proposal = await client.proposeTransaction({ target: await mockERC20.getAddress(), data });
+      proposal = client.collect(proposal, [
+        await client.sign(proposal, account1),
+        await client.sign(proposal, account2)
+      ]);
+
+      await (await client.execute(proposal, nonSigner)).wait();
+
+      expect(await mockERC20.balanceOf(account3.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("routes signer updates to updateSigners", async function () {
+      const newSigners = [account1.address, account2.address, account3.address];
+      let proposal = await client.proposeUpdateSigners(newSigners, 3);
+      proposal = client.collect(proposal, [
+        await client.sign(proposal, owner),
+        await client.sign(proposal, account2)
+      ]);
+
+      await (await client.execute(proposal)).wait();
+
+      expect(await client.getSigners()).to.deep.equal(newSigners);
+      expect(await client.getThreshold()).to.equal(3n);
+    });
+
+    it("refuses proposals built for another wallet", async function () {
+      const other = new MultiSigClient(account3.address, owner);
+      const proposal = await other.proposeTransaction({ target: account3.address, nonce: 0 });
+
+      await expect(client.execute(proposal)).to.be.rejectedWith("Proposal is for wallet");
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MultiSigClient } = require("../lib");
+
+describe("On-chain proposals", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3, nonSigner;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, nonSigner] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("5") });
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  async function submitTransfer(amount = 1n) {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: amount });
+    return client.submitProposal(proposal);
+  }
+
+  it("records the proposer's confirmation on submit", async function () {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+
+    await expect(multiSig.submitTransaction(proposal.target, proposal.value, proposal.data))
+      .to.emit(multiSig, "ProposalSubmitted")
+      .withArgs(0, owner.address, account3.address, 1n, "0x")
+      .and.to.emit(multiSig, "ProposalConfirmed")
+      .withArgs(0, owner.address);
+
+    const stored = await client.getProposal(0);
+    expect(stored.confirmations).to.deep.equal([owner.address]);
+    expect(stored.executed).to.be.false;
+    expect(await multiSig.getProposalCount()).to.equal(1n);
+  });
+
+  it("lets anyone execute once threshold signers have confirmed", async function () {
+    const amount = ethers.parseEther("1");
+    const proposalId = await submitTransfer(amount);
+
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Not enough confirmations");
+
+    await expect(client.confirmProposal(proposalId, account1))
+      .to.emit(multiSig, "ProposalConfirmed")
+      .withArgs(proposalId, account1.address);
+
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    await expect(client.executeProposal(proposalId, [], nonSigner))
+      .to.emit(multiSig, "ProposalExecuted")
+      .withArgs(proposalId, 0)
+      .and.to.emit(multiSig, "TransactionExecuted")
+      .withArgs(account3.address, amount, "0x", 0);
+
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(amount);
+    expect(await client.getNonce()).to.equal(1n);
+    expect((await client.getProposal(proposalId)).executed).to.be.true;
+
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Proposal already executed");
+  });
+
+  it("mixes on-chain confirmations with off-chain signatures", async function () {
+    const proposalId = await submitTransfer();
+
+    let offchain = await client.proposeFromChain(proposalId);
+    offchain = client.collect(offchain, [
+      await client.sign(offchain, owner),
+      await client.sign(offchain, account2, { typed: true })
+    ]);
+
+    // owner's signature duplicates their confirmation and is dropped by the client
+    await expect(client.executeProposal(proposalId, offchain.signatures)).to.emit(multiSig, "ProposalExecuted");
+
+    await expect(
+      multiSig.executeProposal(await submitTransfer(), [])
+    ).to.be.revertedWith("Not enough confirmations");
+  });
+
+  it("rejects an off-chain signature from a signer who also confirmed", async function () {
+    const proposalId = await submitTransfer();
+    const offchain = await client.proposeFromChain(proposalId);
+    const ownerSig = (await client.sign(offchain, owner)).signature;
+
+    await expect(multiSig.executeProposal(proposalId, [ownerSig])).to.be.revertedWith("Duplicate signer");
+  });
+
+  it("requires off-chain signatures to cover the current nonce", async function () {
+    const proposalId = await submitTransfer();
+    const stale = await client.proposeFromChain(proposalId);
+    const account1Sig = (await client.sign(stale, account1)).signature;
+
+    // Another transaction moves the nonce on
+    let other = await client.proposeTransaction({ target: account3.address, value: 2n });
+    other = client.collect(other, [await client.sign(other, owner), await client.sign(other, account2)]);
+    await client.execute(other);
+
+    await expect(multiSig.executeProposal(proposalId, [account1Sig])).to.be.revertedWith("Invalid signer");
+
+    // Confirmations do not depend on the nonce
+    await client.confirmProposal(proposalId, account1);
+    await expect(multiSig.executeProposal(proposalId, [])).to.emit(multiSig, "ProposalExecuted").withArgs(proposalId, 1);
+  });
+
+  it("stops counting a confirmation once it is revoked", async function () {
+    const proposalId = await submitTransfer();
+    await client.confirmProposal(proposalId, account1);
+
+    await expect(client.revokeConfirmation(proposalId, account1))
+      .to.emit(multiSig, "ProposalRevoked")
+      .withArgs(proposalId, account1.address);
+
+    expect((await client.getProposal(proposalId)).confirmations).to.deep.equal([owner.address]);
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Not enough confirmations");
+  });
+
+  it("restricts submit, confirm and revoke to signers", async function () {
+    const proposalId = await submitTransfer();
+
+    await expect(
+      multiSig.connect(nonSigner).submitTransaction(account3.address, 1n, "0x")
+    ).to.be.revertedWith("Not a signer");
+    await expect(multiSig.connect(nonSigner).confirmTransaction(proposalId)).to.be.revertedWith("Not a signer");
+    await expect(multiSig.connect(nonSigner).revokeConfirmation(proposalId)).to.be.revertedWith("Not a signer");
+
+    await expect(multiSig.confirmTransaction(proposalId)).to.be.revertedWith("Already confirmed");
+    await expect(multiSig.connect(account1).revokeConfirmation(proposalId)).to.be.revertedWith("Not confirmed");
+    await expect(multiSig.confirmTransaction(5)).to.be.revertedWith("Proposal does not exist");
+  });
+
+  it("ignores confirmations from removed signers", async function () {
+    const proposalId = await submitTransfer();
+    await client.confirmProposal(proposalId, account1);
+
+    // Replace owner, who confirmed, with account3
+    let update = await client.proposeUpdateSigners([account1.address, account2.address, account3.address], 2);
+    update = client.collect(update, [await client.sign(update, account1), await client.sign(update, account2)]);
+    await client.execute(update);
+
+    // Replacing the whole set lapses every confirmation made under the old one
+    expect((await client.getProposal(proposalId)).confirmations).to.deep.equal([]);
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Not enough confirmations");
+  });
+
+  it("does not revive a confirmation when a removed signer is added back", async function () {
+    const proposalId = await submitTransfer();
+    await client.confirmProposal(proposalId, account1);
+
+    async function executeSelfCall(proposal) {
+      await client.execute(client.collect(proposal, [await client.sign(proposal, owner), await client.sign(proposal, account2)]));
+    }
+    await executeSelfCall(await client.proposeRemoveSigner(account1.address, 2));
+    await executeSelfCall(await client.proposeAddSigner(account1.address, 2));
+
+    expect(await multiSig.isConfirmed(proposalId, account1.address)).to.be.false;
+    expect((await client.getProposal(proposalId)).confirmations).to.deep.equal([owner.address]);
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Not enough confirmations");
+
+    // The signer confirms again under their new membership
+    await client.confirmProposal(proposalId, account1);
+    await expect(multiSig.executeProposal(proposalId, [])).to.emit(multiSig, "ProposalExecuted");
+  });
+
+  it("updates the signer set through an on-chain proposal", async function () {
+    const newSigners = [account1.address, account3.address];
+    const update = await client.proposeUpdateSigners(newSigners, 1);
+    const proposalId = await client.submitProposal(update, account1);
+    await client.confirmProposal(proposalId, account2);
+
+    await expect(multiSig.executeProposal(proposalId, []))
+      .to.emit(multiSig, "SignersUpdated")
+      .withArgs(newSigners, 1);
+
+    expect(await client.getSigners()).to.deep.equal(newSigners);
+    expect(await client.getNonce()).to.equal(1n);
+  });
+
+  it("leaves the proposal pending when the call fails", async function () {
+    const proposalId = await submitTransfer(ethers.parseEther("100"));
+    await client.confirmProposal(proposalId, account1);
+
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Transaction execution failed");
+    expect((await client.getProposal(proposalId)).executed).to.be.false;
+  });
+});
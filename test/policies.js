@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MultiSigClient } = require("../lib");
+
+describe("Approval policies", function () {
+  let multiSig;
+  let walletAddress;
+  let mockERC20;
+  let token;
+  let client;
+  let owner, account1, account2, account3, payroll;
+
+  const ZERO_SELECTOR = "0x00000000";
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, payroll] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address, account3.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+    token = await mockERC20.getAddress();
+    await mockERC20.transfer(walletAddress, ethers.parseEther("100"));
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("10") });
+
+    client = new MultiSigClient(walletAddress, owner);
+  });
+
+  async function signed(proposal, signers) {
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, signatures);
+  }
+
+  async function setPolicy(policy) {
+    return client.execute(await signed(await client.proposeSetPolicy(policy), [owner, account1]));
+  }
+
+  it("is set by threshold vote only", async function () {
+    await expect(multiSig.setPolicy(token, ZERO_SELECTOR, 3, false)).to.be.revertedWith("Only the wallet itself");
+
+    await expect(setPolicy({ target: token, threshold: 3n }))
+      .to.emit(multiSig, "PolicySet")
+      .withArgs(token, ZERO_SELECTOR, 3n, false);
+
+    const [required, denied] = await multiSig.policyFor(token, "0x");
+    expect(required).to.equal(3n);
+    expect(denied).to.be.false;
+  });
+
+  it("requires more signatures for signer changes", async function () {
+    const selector = multiSig.interface.getFunction("addSigner").selector;
+    await setPolicy({ target: walletAddress, selector, threshold: 3n });
+
+    const proposal = await client.proposeAddSigner(payroll.address, 2n);
+    await expect(client.execute(await signed(proposal, [owner, account1])))
+      .to.be.revertedWith("Not enough signatures");
+
+    await client.execute(await signed(proposal, [owner, account1, account2]));
+    expect(await multiSig.isSigner(payroll.address)).to.be.true;
+  });
+
+  it("lets a whitelisted payroll target through with fewer signatures", async function () {
+    await setPolicy({ target: payroll.address, threshold: 1n });
+
+    const initialBalance = await ethers.provider.getBalance(payroll.address);
+    const proposal = await client.proposeTransaction({ target: payroll.address, value: ethers.parseEther("1") });
+    await client.execute(await signed(proposal, [account2]));
+    expect(await ethers.provider.getBalance(payroll.address) - initialBalance).to.equal(ethers.parseEther("1"));
+
+    // Other targets keep the wallet threshold
+    const other = await client.proposeTransaction({ target: account3.address, value: 1n });
+    await expect(client.execute(await signed(other, [account2]))).to.be.revertedWith("Not enough signatures");
+  });
+
+  it("denies selectors on every target but the wallet itself", async function () {
+    const approve = mockERC20.interface.getFunction("approve").selector;
+    await setPolicy({ selector: approve, denied: true });
+
+    const data = mockERC20.interface.encodeFunctionData("approve", [account3.address, 1n]);
+    const proposal = await signed(await client.proposeTransaction({ target: token, data }), [owner, account1, account2]);
+    await expect(client.execute(proposal)).to.be.revertedWith("Denied by policy");
+
+    // Other calls to the same token are unaffected
+    const transfer = mockERC20.interface.encodeFunctionData("transfer", [account3.address, 1n]);
+    await client.execute(await signed(await client.proposeTransaction({ target: token, data: transfer }), [owner, account1]));
+    expect(await mockERC20.balanceOf(account3.address)).to.equal(1n);
+
+    // Wildcard targets never match the wallet, and the wallet cannot be denied at all
+    await setPolicy({ threshold: 4n });
+    expect((await multiSig.policyFor(walletAddress, "0x"))[0]).to.equal(2n);
+    await expect(setPolicy({ target: walletAddress, denied: true })).to.be.revertedWith("Cannot deny calls to the wallet");
+  });
+
+  it("applies the most specific rule", async function () {
+    const transfer = mockERC20.interface.encodeFunctionData("transfer", [account3.address, 1n]);
+    await setPolicy({ threshold: 4n });
+    await setPolicy({ target: token, threshold: 3n });
+    await setPolicy({ target: token, selector: transfer.slice(0, 10), threshold: 1n });
+
+    expect((await multiSig.policyFor(token, transfer))[0]).to.equal(1n);
+    expect((await multiSig.policyFor(token, "0x"))[0]).to.equal(3n);
+    expect((await multiSig.policyFor(account3.address, "0x"))[0]).to.equal(4n);
+
+    // Clearing a rule falls back to the next one
+    await setPolicy({ target: token, selector: transfer.slice(0, 10) });
+    expect((await multiSig.policyFor(token, transfer))[0]).to.equal(3n);
+  });
+
+  it("holds a batch to the highest threshold of its calls", async function () {
+    await setPolicy({ target: payroll.address, threshold: 1n });
+    await setPolicy({ target: token, threshold: 3n });
+
+    const transfer = mockERC20.interface.encodeFunctionData("transfer", [payroll.address, 1n]);
+    const proposal = await client.proposeBatch([
+      { target: payroll.address, value: 1n, data: "0x" },
+      { target: token, value: 0n, data: transfer }
+    ]);
+
+    const requirement = await client.getRequiredThreshold(proposal);
+    expect(requirement.required).to.equal(3n);
+    expect(requirement.calls.map((call) => call.required)).to.deep.equal([1n, 3n]);
+
+    await expect(client.execute(await signed(proposal, [owner, account1])))
+      .to.be.revertedWith("Not enough signatures");
+    await client.execute(await signed(proposal, [owner, account1, account2]));
+    expect(await mockERC20.balanceOf(payroll.address)).to.equal(1n);
+  });
+
+  it("applies to on-chain proposals", async function () {
+    await setPolicy({ target: account3.address, threshold: 3n });
+
+    const proposalId = await client.submitProposal(await client.proposeTransaction({ target: account3.address, value: 1n }));
+    await client.confirmProposal(proposalId, account1);
+    await expect(client.executeProposal(proposalId)).to.be.revertedWith("Not enough confirmations");
+
+    await client.confirmProposal(proposalId, account2);
+    await client.executeProposal(proposalId);
+    expect((await client.getProposal(proposalId)).executed).to.be.true;
+  });
+
+  it("caps thresholds at the signer count", async function () {
+    await setPolicy({ target: account3.address, threshold: 4n });
+    await expect(setPolicy({ target: account3.address, threshold: 5n })).to.be.revertedWith("Invalid threshold");
+
+    await client.execute(await signed(await client.proposeRemoveSigner(account3.address, 2n), [owner, account1]));
+    expect((await multiSig.policyFor(account3.address, "0x"))[0]).to.equal(3n);
+  });
+
+  it("tells signers which threshold a proposal requires", async function () {
+    await setPolicy({ target: payroll.address, threshold: 1n });
+    await setPolicy({ target: token, denied: true });
+
+    const payment = await signed(await client.proposeTransaction({ target: payroll.address, value: 1n }), [account2]);
+    const validation = await client.validate(payment);
+    expect(validation).to.include({ threshold: 1n, ready: true });
+
+    const denied = await signed(await client.proposeTransaction({ target: token }), [owner, account1]);
+    expect(await client.getRequiredThreshold(denied)).to.include({ required: 2n, denied: true });
+    expect((await client.validate(denied)).errors).to.include("Proposal is denied by policy");
+    expect((await client.diagnose(denied)).expectedRevert).to.equal("Denied by policy");
+
+    // Cancellations and messages use the wallet threshold
+    const cancellation = await client.proposeCancellation();
+    expect((await client.getRequiredThreshold(cancellation)).required).to.equal(2n);
+
+    expect(await client.listPolicies()).to.deep.equal([
+      { target: payroll.address, selector: ZERO_SELECTOR, threshold: 1n, denied: false },
+      { target: token, selector: ZERO_SELECTOR, threshold: 0n, denied: true }
+    ]);
+  });
+});
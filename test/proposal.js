@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  MultiSigClient,
+  addSignatures,
+  mergeProposals,
+  parseProposal,
+  serializeProposal
+} = require("../lib");
+
+describe("Proposal files", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3, nonSigner;
+  let proposal;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, nonSigner] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("1") });
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+    proposal = await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("0.5") });
+  });
+
+  describe("Serialization", function () {
+    it("round-trips through JSON with decimal string amounts", async function () {
+      const signed = addSignatures(proposal, [await client.sign(proposal, owner)]);
+      const json = serializeProposal(signed);
+      const parsed = JSON.parse(json);
+
+      expect(Object.keys(parsed)).to.deep.equal([
+        "chainId", "wallet", "target", "value", "data", "nonce", "hash", "signatures"
+      ]);
+      expect(parsed.value).to.equal(ethers.parseEther("0.5").toString());
+      expect(parseProposal(json)).to.deep.equal(signed);
+    });
+
+    it("rejects a file whose contents no longer match its hash", function () {
+      const parsed = JSON.parse(serializeProposal(proposal));
+      parsed.value = ethers.parseEther("5").toString();
+
+      expect(() => parseProposal(JSON.stringify(parsed))).to.throw("does not match its contents");
+    });
+
+    it("rejects a file with missing fields", function () {
+      const parsed = JSON.parse(serializeProposal(proposal));
+      delete parsed.nonce;
+
+      expect(() => parseProposal(JSON.stringify(parsed))).to.throw('Proposal is missing "nonce"');
+    });
+  });
+
+  describe("Merging", function () {
+    it("combines signatures gathered independently by each signer", async function () {
+      const fromOwner = parseProposal(serializeProposal(addSignatures(proposal, [await client.sign(proposal, owner)])));
+      const fromAccount2 = parseProposal(serializeProposal(addSignatures(proposal, [await client.sign(proposal, account2)])));
+
+      const merged = mergeProposals([fromOwner, fromAccount2, fromOwner]);
+
+      expect(merged.signatures.map((entry) => entry.signer)).to.deep.equal([owner.address, account2.address]);
+    });
+
+    it("refuses to merge different proposals", async function () {
+      const other = await client.proposeTransaction({ target: account3.address, value: 1n });
+
+      expect(() => mergeProposals([proposal, other])).to.throw("Cannot merge proposal");
+    });
+  });
+
+  describe("Validation and submission", function () {
+    it("flags signatures from accounts that are not signers", async function () {
+      const signed = addSignatures(proposal, [
+        await client.sign(proposal, owner),
+        await client.sign(proposal, nonSigner)
+      ]);
+
+      const result = await client.validate(signed);
+
+      expect(result.ready).to.be.false;
+      expect(result.validCount).to.equal(1);
+      expect(result.signatures[1].reason).to.equal("Not a current signer");
+      expect(result.errors).to.deep.equal(["Only 1 of 2 required signatures are valid"]);
+    });
+
+    it("flags signatures the contract would reject even though they recover", async function () {
+      const ownerSig = ethers.Signature.from((await client.sign(proposal, owner)).signature);
+      const account1Sig = ethers.Signature.from((await client.sign(proposal, account1)).signature);
+
+      // Same signer through the malleable twin (n - s, v flipped) and through v of 29
+      const highS = ethers.concat([
+        ownerSig.r,
+        ethers.toBeHex(ethers.N - BigInt(ownerSig.s), 32),
+        ownerSig.v === 27 ? "0x1c" : "0x1b"
+      ]);
+      const badV = ethers.concat([account1Sig.r, account1Sig.s, "0x1d"]);
+      const signed = {
+        ...proposal,
+        signatures: [
+          { signer: owner.address, signature: highS },
+          { signer: account1.address, signature: badV }
+        ]
+      };
+
+      const result = await client.validate(signed);
+
+      expect(result.ready).to.be.false;
+      expect(result.validCount).to.equal(0);
+      expect(result.signatures.map((entry) => entry.reason)).to.deep.equal([
+        "Invalid signature 's' value",
+        "Invalid signature 'v' value"
+      ]);
+      expect(() => addSignatures(proposal, [highS])).to.throw("Invalid signature 's' value");
+      await expect(
+        multiSig.executeTransaction(proposal.target, proposal.value, proposal.data, [highS, badV])
+      ).to.be.revertedWith("Invalid signature 's' value");
+    });
+
+    it("flags proposals signed for a stale nonce", async function () {
+      const stale = await client.proposeTransaction({ target: account3.address, value: 1n, nonce: 5 });
+      const signed = addSignatures(stale, [
+        await client.sign(stale, owner),
+        await client.sign(stale, account1)
+      ]);
+
+      const result = await client.validate(signed);
+
+      expect(result.ready).to.be.false;
+      expect(result.errors).to.deep.equal(["Proposal nonce 5 does not match wallet nonce 0"]);
+    });
+
+    it("executes once threshold valid signatures are collected", async function () {
+      const signed = addSignatures(proposal, [
+        await client.sign(proposal, account1),
+        await client.sign(proposal, account2)
+      ]);
+
+      expect((await client.validate(signed)).ready).to.be.true;
+
+      const initialBalance = await ethers.provider.getBalance(account3.address);
+      await (await client.execute(parseProposal(serializeProposal(signed)))).wait();
+
+      expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("0.5"));
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MultiSigClient, RecoveryClient } = require("../lib");
+
+describe("Guardian recovery", function () {
+  const DELAY = 3 * 24 * 60 * 60;
+
+  let multiSig;
+  let walletAddress;
+  let recoveryModule;
+  let moduleAddress;
+  let client;
+  let recovery;
+  let owner, account1, account2, account3, guardian1, guardian2, guardian3, newSigner;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, guardian1, guardian2, guardian3, newSigner] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("5") });
+
+    const GuardianRecovery = await ethers.getContractFactory("GuardianRecovery");
+    recoveryModule = await GuardianRecovery.deploy(
+      walletAddress,
+      [guardian1.address, guardian2.address, guardian3.address],
+      2,
+      DELAY
+    );
+    await recoveryModule.waitForDeployment();
+    moduleAddress = await recoveryModule.getAddress();
+
+    client = new MultiSigClient(walletAddress, owner);
+    recovery = new RecoveryClient(moduleAddress, owner);
+    await client.execute(await signed(await client.proposeEnableModule(moduleAddress)));
+  });
+
+  async function signed(proposal, signers = [owner, account1]) {
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await client.sign(proposal, signer));
+    }
+    return client.collect(proposal, signatures);
+  }
+
+  // Guardians 1 and 2 agree on a 1-of-2 set of account3 and a new key
+  async function approvedRecovery() {
+    await recovery.proposeRecovery({ signers: [account3.address, newSigner.address], threshold: 1 }, guardian1);
+    await recovery.approveRecovery(0, guardian2);
+    return recovery.getRecovery(0);
+  }
+
+  it("validates the guardian set, which only the wallet can change", async function () {
+    const GuardianRecovery = await ethers.getContractFactory("GuardianRecovery");
+    await expect(GuardianRecovery.deploy(walletAddress, [], 1, DELAY)).to.be.revertedWith("Guardians array empty");
+    await expect(GuardianRecovery.deploy(walletAddress, [guardian1.address], 2, DELAY)).to.be.revertedWith("Invalid threshold");
+    await expect(GuardianRecovery.deploy(walletAddress, [guardian1.address, guardian1.address], 1, DELAY))
+      .to.be.revertedWith("Duplicate guardian");
+    await expect(GuardianRecovery.deploy(walletAddress, [guardian1.address], 1, 3600)).to.be.revertedWith("Delay too short");
+
+    await expect(recoveryModule.setGuardians([guardian1.address], 1, DELAY)).to.be.revertedWith("Only the wallet");
+
+    const proposal = await recovery.proposeSetGuardians(client, { guardians: [guardian3.address], threshold: 1, delay: DELAY * 2 });
+    await expect(client.execute(await signed(proposal)))
+      .to.emit(recoveryModule, "GuardiansUpdated")
+      .withArgs([guardian3.address], 1n, BigInt(DELAY * 2));
+    expect(await recovery.getGuardians()).to.deep.equal({
+      wallet: walletAddress,
+      guardians: [guardian3.address],
+      threshold: 1n,
+      delay: BigInt(DELAY * 2)
+    });
+    expect(await recoveryModule.isGuardian(guardian1.address)).to.be.false;
+  });
+
+  it("replaces the signers once enough guardians approve and the delay passes", async function () {
+    await expect(recovery.proposeRecovery({ signers: [newSigner.address], threshold: 1 }, account3))
+      .to.be.rejectedWith("Not a guardian");
+
+    await recovery.proposeRecovery({ signers: [account3.address, newSigner.address], threshold: 1 }, guardian1);
+    expect(await recovery.getOpenRecovery()).to.include({ id: 0n, proposer: guardian1.address, approvals: 1n, state: "approving" });
+    await expect(recovery.executeRecovery(0)).to.be.rejectedWith("Not enough approvals");
+
+    const approvedAt = BigInt(await time.latest()) + 10n;
+    await time.setNextBlockTimestamp(approvedAt);
+    await expect(recovery.approveRecovery(0, guardian2))
+      .to.emit(recoveryModule, "RecoveryScheduled")
+      .withArgs(0n, approvedAt + BigInt(DELAY));
+    const scheduled = await recovery.getRecovery(0);
+    expect(scheduled.state).to.equal("scheduled");
+    await expect(recovery.executeRecovery(0)).to.be.rejectedWith("Recovery delay not expired");
+
+    await time.increaseTo(scheduled.eta);
+    expect((await recovery.getRecovery(0)).state).to.equal("ready");
+
+    const nonce = await multiSig.nonce();
+    await expect(recovery.executeRecovery(0, account3))
+      .to.emit(multiSig, "SignersUpdated")
+      .withArgs([account3.address, newSigner.address], 1n)
+      .and.to.emit(recoveryModule, "RecoveryExecuted")
+      .withArgs(0n);
+    expect(await client.getSigners()).to.deep.equal([account3.address, newSigner.address]);
+    expect(await client.getThreshold()).to.equal(1n);
+    expect(await multiSig.nonce()).to.equal(nonce);
+    expect(await recovery.getOpenRecovery()).to.be.null;
+
+    // The new signers control the wallet
+    const payment = await client.proposeTransaction({ target: account3.address, value: 1n });
+    await client.execute(await signed(payment, [newSigner]));
+    await expect(recovery.executeRecovery(0)).to.be.rejectedWith("Recovery closed");
+  });
+
+  it("lets any current signer veto, even after the delay", async function () {
+    const { eta } = await approvedRecovery();
+    await time.increaseTo(eta);
+
+    await expect(recovery.vetoRecovery(0, guardian1)).to.be.rejectedWith("Not a signer");
+    await expect(recovery.vetoRecovery(0, account2))
+      .to.emit(recoveryModule, "RecoveryVetoed")
+      .withArgs(0n, account2.address);
+    expect((await recovery.getRecovery(0)).state).to.equal("vetoed");
+
+    await expect(recovery.executeRecovery(0)).to.be.rejectedWith("Recovery closed");
+    expect(await client.getSigners()).to.deep.equal([owner.address, account1.address, account2.address]);
+
+    // Guardians can try again with a new proposal
+    await recovery.proposeRecovery({ signers: [newSigner.address], threshold: 1 }, guardian3);
+    expect((await recovery.getOpenRecovery()).id).to.equal(1n);
+  });
+
+  it("allows one open recovery at a time, withdrawn at once by its proposer", async function () {
+    await recovery.proposeRecovery({ signers: [newSigner.address], threshold: 1 }, guardian1);
+
+    await expect(recovery.proposeRecovery({ signers: [account3.address], threshold: 1 }, guardian2))
+      .to.be.rejectedWith("Recovery already open");
+    await expect(recovery.approveRecovery(0, guardian1)).to.be.rejectedWith("Already approved");
+    await expect(recovery.cancelRecovery(0, account3)).to.be.rejectedWith("Not a guardian");
+
+    await expect(recovery.cancelRecovery(0, guardian1)).to.emit(recoveryModule, "RecoveryCancelled").withArgs(0n);
+    await expect(recovery.approveRecovery(0, guardian2)).to.be.rejectedWith("Recovery closed");
+    await expect(recovery.approveRecovery(5, guardian2)).to.be.rejectedWith("Recovery does not exist");
+  });
+
+  it("lets the guardian threshold cancel a recovery its proposer cannot withdraw", async function () {
+    // guardian1's key is lost after proposing a set nobody can sign for
+    await recovery.proposeRecovery({ signers: [ethers.Wallet.createRandom().address], threshold: 1 }, guardian1);
+
+    await expect(recovery.cancelRecovery(0, guardian2))
+      .to.emit(recoveryModule, "RecoveryCancelVoted")
+      .withArgs(0n, guardian2.address)
+      .and.not.to.emit(recoveryModule, "RecoveryCancelled");
+    await expect(recovery.cancelRecovery(0, guardian2)).to.be.rejectedWith("Already voted to cancel");
+    expect(await recovery.getRecovery(0)).to.include({ cancelVotes: 1n, state: "approving" });
+
+    await expect(recovery.cancelRecovery(0, guardian3)).to.emit(recoveryModule, "RecoveryCancelled").withArgs(0n);
+    expect((await recovery.getRecovery(0)).state).to.equal("cancelled");
+
+    // The remaining guardians can now recover the wallet themselves
+    await recovery.proposeRecovery({ signers: [account3.address, newSigner.address], threshold: 1 }, guardian2);
+    await recovery.approveRecovery(1, guardian3);
+    await time.increaseTo((await recovery.getRecovery(1)).eta);
+    await recovery.executeRecovery(1);
+    expect(await client.getSigners()).to.deep.equal([account3.address, newSigner.address]);
+  });
+
+  it("cancels the open recovery when the signers change the guardians", async function () {
+    await approvedRecovery();
+
+    const proposal = await recovery.proposeSetGuardians(client, { guardians: [guardian3.address], threshold: 1, delay: DELAY });
+    await expect(client.execute(await signed(proposal))).to.emit(recoveryModule, "RecoveryCancelled").withArgs(0n);
+    expect((await recovery.getRecovery(0)).state).to.equal("cancelled");
+  });
+
+  it("cannot recover a wallet that has not enabled the module", async function () {
+    const { eta } = await approvedRecovery();
+    await client.execute(await signed(await client.proposeDisableModule(moduleAddress)));
+
+    await time.increaseTo(eta);
+    await expect(recovery.executeRecovery(0)).to.be.rejectedWith("Not a module");
+  });
+});
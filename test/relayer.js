@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MultiSigClient, Relayer, getRelayedTransactionHash, getRelayStatus, relayProposal } = require("../lib");
+
+describe("Relayer", function () {
+  let multiSig;
+  let walletAddress;
+  let chainId;
+  let client;
+  let owner, account1, account2, account3, relayerAccount;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, relayerAccount] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("10") });
+
+    client = new MultiSigClient(walletAddress, owner);
+  });
+
+  async function signed(proposal, signers = [owner, account1], options) {
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await client.sign(proposal, signer, options));
+    }
+    return client.collect(proposal, signatures);
+  }
+
+  function payment(refund) {
+    return client.proposeTransaction({ target: account3.address, value: ethers.parseEther("1"), refund });
+  }
+
+  describe("executeRelayedTransaction", function () {
+    it("matches the contract's relayed transaction hash", async function () {
+      const tx = { target: account3.address, value: 5n, data: "0x1234", nonce: 3n };
+      const refund = { gasPrice: 7n, baseGas: 21000n, receiver: relayerAccount.address };
+
+      expect(getRelayedTransactionHash(chainId, walletAddress, tx, refund)).to.equal(
+        await multiSig.getRelayedTransactionHash(tx.target, tx.value, tx.data, tx.nonce, refund)
+      );
+      expect(getRelayedTransactionHash(chainId, walletAddress, tx, refund))
+        .to.not.equal(await multiSig.getTransactionHash(tx.target, tx.value, tx.data, tx.nonce));
+    });
+
+    it("refunds the submitter for the gas used, at no more than the signed price", async function () {
+      // A price of 1 wei per gas stays below tx.gasprice, so the signed price applies
+      const proposal = await signed(await payment({ gasPrice: 1n, baseGas: 30000n }));
+
+      const initialBalance = await ethers.provider.getBalance(walletAddress);
+      const tx = await client.execute(proposal, relayerAccount);
+      const receipt = await tx.wait();
+      const [event] = receipt.logs
+        .map((log) => multiSig.interface.parseLog(log))
+        .filter((parsed) => parsed && parsed.name === "RefundPaid");
+
+      expect(event.args.receiver).to.equal(relayerAccount.address);
+      expect(event.args.payment).to.be.greaterThan(30000n);
+      expect(event.args.payment).to.be.lessThan(receipt.gasUsed + 30000n);
+      expect(initialBalance - await ethers.provider.getBalance(walletAddress))
+        .to.equal(ethers.parseEther("1") + event.args.payment);
+    });
+
+    it("pays a named refund receiver", async function () {
+      const proposal = await signed(await payment({ gasPrice: 1n, receiver: account2.address }));
+
+      await expect(client.execute(proposal, relayerAccount))
+        .to.emit(multiSig, "RefundPaid")
+        .withArgs(account2.address, (value) => value > 0n);
+    });
+
+    it("rejects changed refund terms and plain transaction signatures", async function () {
+      const proposal = await signed(await payment({ gasPrice: 1n }));
+      const signatures = proposal.signatures.map((entry) => entry.signature);
+
+      await expect(multiSig.executeRelayedTransaction(
+        proposal.target, proposal.value, proposal.data, { ...proposal.refund, gasPrice: 1000n }, signatures
+      )).to.be.revertedWith("Invalid signer");
+
+      const plain = await signed(await payment());
+      await expect(multiSig.executeRelayedTransaction(
+        plain.target, plain.value, plain.data, proposal.refund, plain.signatures.map((entry) => entry.signature)
+      )).to.be.revertedWith("Invalid signer");
+    });
+
+    it("accepts typed-data signatures over the refund terms", async function () {
+      const proposal = await signed(await payment({ gasPrice: 1n }), [owner, account2], { typed: true });
+
+      await expect(client.execute(proposal, relayerAccount)).to.emit(multiSig, "RefundPaid");
+      expect(await multiSig.nonce()).to.equal(1n);
+    });
+  });
+
+  describe("Relayer", function () {
+    let relayer;
+
+    beforeEach(function () {
+      relayer = new Relayer(relayerAccount);
+    });
+
+    it("submits a signed proposal from its own key and tracks it until mined", async function () {
+      const proposal = await signed(await payment({ gasPrice: ethers.parseUnits("100", "gwei"), baseGas: 40000n }));
+      const initialBalance = await ethers.provider.getBalance(account3.address);
+
+      const record = await relayer.relay(proposal);
+      expect(record).to.include({ id: proposal.hash, status: "submitted" });
+
+      const final = await relayer.waitFor(record.id);
+      expect(final.status).to.equal("mined");
+      expect(final.refundPaid > 0n).to.be.true;
+      expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("1"));
+
+      const tx = await ethers.provider.getTransaction(final.transactionHash);
+      expect(tx.from).to.equal(relayerAccount.address);
+
+      // Relaying the same proposal again returns its record
+      expect(await relayer.relay(proposal)).to.equal(final);
+    });
+
+    it("submits a proposal relayed twice at the same time only once", async function () {
+      const proposal = await signed(await payment({ gasPrice: ethers.parseUnits("100", "gwei") }));
+      const nonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+      const [first, second] = await Promise.all([relayer.relay(proposal), relayer.relay(proposal)]);
+
+      expect(second).to.equal(first);
+      expect((await relayer.waitFor(first.id)).status).to.equal("mined");
+      expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(nonce + 1);
+
+      // A failed check frees the hash, so the proposal can be relayed once it is fixed
+      const partial = await signed(await payment({ gasPrice: 1n }), [owner]);
+      await expect(Promise.all([relayer.relay(partial), relayer.relay(partial)])).to.be.rejectedWith("Only 1 of 2");
+      const record = await relayer.relay(await signed(partial, [account1]));
+      expect((await relayer.waitFor(record.id)).status).to.equal("mined");
+    });
+
+    it("relays proposals without a refund unless one is required", async function () {
+      await relayer.relay(await signed(await payment()));
+      expect(await multiSig.nonce()).to.equal(1n);
+
+      const strict = new Relayer(relayerAccount, { requireRefund: true });
+      await expect(strict.relay(await signed(await payment()))).to.be.rejectedWith("Proposal carries no refund");
+    });
+
+    it("rejects proposals before spending gas", async function () {
+      const nonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+      await expect(relayer.relay(await signed(await payment({ gasPrice: 1n }), [owner])))
+        .to.be.rejectedWith("Only 1 of 2 required signatures are valid");
+      await expect(relayer.relay(await signed(await payment({ gasPrice: 1n, receiver: account3.address }))))
+        .to.be.rejectedWith(`Refund receiver ${account3.address} is not this relayer`);
+
+      const tooLarge = await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("20") });
+      await expect(relayer.relay(await signed(tooLarge))).to.be.rejectedWith("Execution would revert");
+
+      const tampered = { ...(await signed(await payment({ gasPrice: 1n }))), refund: { gasPrice: 2n, baseGas: 0n, receiver: ethers.ZeroAddress } };
+      await expect(relayer.relay(tampered)).to.be.rejectedWith("does not match its contents");
+
+      expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(nonce);
+    });
+
+    it("serves the HTTP API", async function () {
+      const server = await relayer.listen(0);
+      const url = `http://127.0.0.1:${server.address().port}`;
+      try {
+        const health = await (await fetch(`${url}/health`)).json();
+        expect(health.relayer).to.equal(relayerAccount.address);
+        expect(health.chainId).to.equal(chainId.toString());
+
+        const proposal = await signed(await payment({ gasPrice: ethers.parseUnits("100", "gwei") }));
+        const record = await relayProposal(url, proposal);
+        expect(record.id).to.equal(proposal.hash);
+
+        await relayer.waitFor(record.id);
+        expect((await getRelayStatus(url, record.id)).status).to.equal("mined");
+
+        await expect(getRelayStatus(url, ethers.ZeroHash)).to.be.rejectedWith("was not relayed");
+        await expect(relayProposal(url, { wallet: walletAddress })).to.be.rejectedWith('Proposal is missing "chainId"');
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
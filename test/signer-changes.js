@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MultiSigClient, diffSigners, planSignerChanges } = require("../lib");
+
+describe("Granular signer changes", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3, account4;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, account4] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  async function execute(proposal, signers = [owner, account1]) {
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await client.sign(proposal, signer));
+    }
+    return client.execute(client.collect(proposal, signatures));
+  }
+
+  describe("Contract", function () {
+    it("adds a signer and changes the threshold", async function () {
+      const tx = await execute(await client.proposeAddSigner(account3.address, 3));
+
+      await expect(tx).to.emit(multiSig, "SignerAdded").withArgs(account3.address);
+      await expect(tx).to.emit(multiSig, "ThresholdChanged").withArgs(3);
+      expect(await multiSig.getSigners()).to.deep.equal([owner.address, account1.address, account2.address, account3.address]);
+      expect(await multiSig.signerCount()).to.equal(4n);
+      expect(await multiSig.threshold()).to.equal(3n);
+      expect(await multiSig.isSigner(account3.address)).to.be.true;
+    });
+
+    it("removes a signer, keeping the order of the others", async function () {
+      const tx = await execute(await client.proposeRemoveSigner(account1.address));
+
+      await expect(tx).to.emit(multiSig, "SignerRemoved").withArgs(account1.address);
+      await expect(tx).not.to.emit(multiSig, "ThresholdChanged");
+      expect(await multiSig.getSigners()).to.deep.equal([owner.address, account2.address]);
+      expect(await multiSig.signerCount()).to.equal(2n);
+      expect(await multiSig.isSigner(account1.address)).to.be.false;
+    });
+
+    it("swaps a signer, appending the new one", async function () {
+      const tx = await execute(await client.proposeSwapSigner(owner.address, account3.address));
+
+      await expect(tx).to.emit(multiSig, "SignerRemoved").withArgs(owner.address);
+      await expect(tx).to.emit(multiSig, "SignerAdded").withArgs(account3.address);
+      expect(await multiSig.getSigners()).to.deep.equal([account1.address, account2.address, account3.address]);
+      expect(await multiSig.isSigner(owner.address)).to.be.false;
+    });
+
+    it("changes only the threshold", async function () {
+      await expect(execute(await client.proposeChangeThreshold(1)))
+        .to.emit(multiSig, "ThresholdChanged").withArgs(1);
+
+      expect(await multiSig.threshold()).to.equal(1n);
+      expect(await multiSig.getSigners()).to.have.length(3);
+    });
+
+    it("keeps the threshold satisfiable", async function () {
+      await expect(execute(await client.proposeRemoveSigner(account1.address, 3))).to.be.revertedWith("Invalid threshold");
+      await expect(execute(await client.proposeChangeThreshold(4))).to.be.revertedWith("Invalid threshold");
+      await expect(execute(await client.proposeChangeThreshold(0))).to.be.revertedWith("Invalid threshold");
+      await expect(execute(await client.proposeAddSigner(account3.address, 5))).to.be.revertedWith("Invalid threshold");
+
+      await execute(await client.proposeChangeThreshold(1));
+      await execute(await client.proposeRemoveSigner(account1.address), [owner]);
+      await execute(await client.proposeRemoveSigner(account2.address), [owner]);
+      await expect(execute(await client.proposeRemoveSigner(owner.address, 1), [owner]))
+        .to.be.revertedWith("Cannot remove the last signer");
+    });
+
+    it("rejects unknown, duplicate and zero signers", async function () {
+      await expect(execute(await client.proposeAddSigner(account1.address))).to.be.revertedWith("Duplicate signer");
+      await expect(execute(await client.proposeAddSigner(ethers.ZeroAddress))).to.be.revertedWith("Invalid signer address");
+      await expect(execute(await client.proposeRemoveSigner(account3.address, 2))).to.be.revertedWith("Not a signer");
+      await expect(execute(await client.proposeSwapSigner(account3.address, account4.address))).to.be.revertedWith("Not a signer");
+      await expect(execute(await client.proposeSwapSigner(owner.address, account1.address))).to.be.revertedWith("Duplicate signer");
+    });
+
+    it("is only callable by the wallet itself", async function () {
+      await expect(multiSig.addSigner(account3.address, 2)).to.be.revertedWith("Only the wallet itself");
+      await expect(multiSig.removeSigner(account1.address, 2)).to.be.revertedWith("Only the wallet itself");
+      await expect(multiSig.swapSigner(owner.address, account3.address)).to.be.revertedWith("Only the wallet itself");
+      await expect(multiSig.changeThreshold(1)).to.be.revertedWith("Only the wallet itself");
+    });
+  });
+
+  describe("Planning", function () {
+    const [a, b, c, d, e] = [1, 2, 3, 4, 5].map((i) => ethers.getAddress(`0x${String(i).repeat(40)}`));
+
+    it("reports added, removed and kept signers", function () {
+      expect(diffSigners({ signers: [a, b, c], threshold: 2n }, { signers: [a, c, d], threshold: 3 })).to.deep.equal({
+        added: [d],
+        removed: [b],
+        kept: [a, c],
+        threshold: { from: 2n, to: 3n }
+      });
+    });
+
+    it("pairs removals with additions as swaps", function () {
+      expect(planSignerChanges({ signers: [a, b, c], threshold: 2n }, { signers: [a, d, c], threshold: 2 }))
+        .to.deep.equal([{ name: "swapSigner", args: [b, d] }]);
+    });
+
+    it("sets the final threshold on the last addition or removal", function () {
+      expect(planSignerChanges({ signers: [a, b], threshold: 1n }, { signers: [a, b, c, d], threshold: 3 })).to.deep.equal([
+        { name: "addSigner", args: [c, 1n] },
+        { name: "addSigner", args: [d, 3n] }
+      ]);
+      expect(planSignerChanges({ signers: [a, b, c, d], threshold: 4n }, { signers: [a], threshold: 1 })).to.deep.equal([
+        { name: "removeSigner", args: [b, 3n] },
+        { name: "removeSigner", args: [c, 2n] },
+        { name: "removeSigner", args: [d, 1n] }
+      ]);
+    });
+
+    it("changes the threshold separately when no signer is added or removed", function () {
+      expect(planSignerChanges({ signers: [a, b, c], threshold: 2n }, { signers: [a, b, e], threshold: 3 })).to.deep.equal([
+        { name: "swapSigner", args: [c, e] },
+        { name: "changeThreshold", args: [3n] }
+      ]);
+      expect(planSignerChanges({ signers: [a, b], threshold: 2n }, { signers: [b, a], threshold: 2 })).to.deep.equal([]);
+    });
+
+    it("validates the target set", function () {
+      expect(() => planSignerChanges({ signers: [a], threshold: 1n }, { signers: [a, a], threshold: 1 }))
+        .to.throw(`Duplicate signer: ${a}`);
+      expect(() => planSignerChanges({ signers: [a], threshold: 1n }, { signers: [a, b], threshold: 3 }))
+        .to.throw("Invalid threshold: 3 of 2 signers");
+    });
+  });
+
+  describe("Change proposals", function () {
+    it("executes a planned batch and records the new epochs", async function () {
+      const target = [owner.address, account3.address, account4.address];
+      const { proposal, steps } = await client.proposeSignerChanges(target, 3);
+
+      expect(steps.map((step) => step.name)).to.deep.equal(["swapSigner", "swapSigner", "changeThreshold"]);
+      expect(proposal.calls).to.have.length(3);
+      await execute(proposal);
+
+      expect(await multiSig.getSigners()).to.deep.equal(target);
+      expect(await multiSig.threshold()).to.equal(3n);
+
+      const history = await client.getHistory();
+      expect(history.epochs).to.have.length(2);
+      expect(history.epochs[1].signers).to.deep.equal(target);
+      expect(history.epochs[1].threshold).to.equal(3n);
+    });
+
+    it("uses a single call when one change is enough", async function () {
+      const { proposal } = await client.proposeSignerChanges([owner.address, account1.address, account2.address, account3.address], 2);
+
+      expect(proposal.calls).to.be.undefined;
+      expect(proposal.target).to.equal(await multiSig.getAddress());
+      await execute(proposal);
+
+      const [record] = await client.getExecutionRecords();
+      expect(record.kind).to.equal("signers");
+      expect(record.status).to.equal("executed");
+    });
+
+    it("replaces the signers with one queueable call on a timelocked wallet", async function () {
+      await execute(await client.proposeSetTimelock(3600, 0n));
+      const target = [owner.address, account3.address, account4.address];
+
+      const { proposal, steps } = await client.proposeSignerChanges(target, 3);
+
+      expect(steps).to.deep.equal([{ name: "updateSigners", args: [target, 3n, []] }]);
+      expect(proposal.calls).to.be.undefined;
+      expect(await client.requiresTimelock(proposal)).to.be.true;
+
+      const signed = client.collect(proposal, [await client.sign(proposal, owner), await client.sign(proposal, account1)]);
+      await client.queue(signed);
+      await time.increase(3600);
+      await client.executeQueued(proposal.hash);
+
+      expect(await multiSig.getSigners()).to.deep.equal(target);
+      expect(await multiSig.threshold()).to.equal(3n);
+    });
+
+    it("refuses to propose no change", async function () {
+      await expect(client.proposeSignerChanges([owner.address, account1.address, account2.address], 2))
+        .to.be.rejectedWith("Signer set and threshold are already as requested");
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  MockRemoteSigner,
+  MultiSigClient,
+  PresignedSigner,
+  RemoteSigner,
+  loadSigner,
+  loadSigners,
+  writePresignedFile
+} = require("../lib");
+
+describe("Signer backends", function () {
+  let multiSig;
+  let walletAddress;
+  let client;
+  let dir;
+  let keystoreWallet;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+    keystoreWallet = ethers.Wallet.createRandom();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([keystoreWallet.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("5") });
+
+    client = new MultiSigClient(walletAddress, owner);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "multisig-signers-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function payment() {
+    return client.proposeTransaction({ target: account3.address, value: ethers.parseEther("1") });
+  }
+
+  // A cheap scrypt setting keeps the test fast; real keystores use the default
+  async function writeKeystore(password) {
+    const file = path.join(dir, "keystore.json");
+    fs.writeFileSync(file, await ethers.encryptKeystoreJson(
+      { address: keystoreWallet.address, privateKey: keystoreWallet.privateKey },
+      password,
+      { scrypt: { N: 1024 } }
+    ));
+    return file;
+  }
+
+  describe("keystore", function () {
+    it("signs with a decrypted keystore", async function () {
+      const file = await writeKeystore("secret");
+      const signer = await loadSigner(`keystore:${file}`, { password: "secret", provider: ethers.provider });
+      expect(signer.address).to.equal(keystoreWallet.address);
+
+      const proposal = await payment();
+      const signed = client.collect(proposal, [
+        await client.sign(proposal, signer),
+        await client.sign(proposal, account1)
+      ]);
+      await client.execute(signed);
+      expect(await multiSig.nonce()).to.equal(1n);
+    });
+
+    it("needs the right password", async function () {
+      const file = await writeKeystore("secret");
+
+      await expect(loadSigner(`keystore:${file}`)).to.be.rejectedWith(`No password given for keystore ${file}`);
+      await expect(loadSigner(`keystore:${file}`, { password: "wrong" })).to.be.rejectedWith("incorrect password");
+    });
+  });
+
+  describe("remote", function () {
+    let server;
+    let url;
+
+    beforeEach(async function () {
+      server = await new MockRemoteSigner([keystoreWallet, account1]).listen(0);
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("signs with eth_sign and eth_signTypedData_v4 without holding the keys", async function () {
+      const first = new RemoteSigner(url);
+      expect(await first.getAddress()).to.equal(keystoreWallet.address);
+      const [second] = await loadSigners(`remote:${url}#${account1.address}`);
+
+      const proposal = await payment();
+      const signed = client.collect(proposal, [
+        await client.sign(proposal, first),
+        await client.sign(proposal, second, { typed: true })
+      ]);
+      expect((await client.validate(signed)).ready).to.be.true;
+      await client.execute(signed);
+      expect(await multiSig.nonce()).to.equal(1n);
+    });
+
+    it("reports signer errors and checks what comes back", async function () {
+      const proposal = await payment();
+      await expect(client.sign(proposal, new RemoteSigner(url, account2.address)))
+        .to.be.rejectedWith(`Remote signer eth_sign failed: Unknown account ${account2.address}`);
+
+      // A signer that answers with the wrong key is caught before the signature is used
+      class Impostor extends MockRemoteSigner {
+        call(method, params) {
+          return super.call(method, [account2.address, ...params.slice(1)]);
+        }
+      }
+      const impostor = await new Impostor([account2]).listen(0);
+      try {
+        await expect(client.sign(proposal, new RemoteSigner(`http://127.0.0.1:${impostor.address().port}`, account1.address)))
+          .to.be.rejectedWith(`Remote signer returned a signature that does not recover to ${account1.address}`);
+      } finally {
+        await new Promise((resolve) => impostor.close(resolve));
+      }
+    });
+  });
+
+  describe("presigned", function () {
+    it("imports signatures made elsewhere for the hashes they cover", async function () {
+      const proposal = await payment();
+      const file = path.join(dir, "presigned.json");
+      writePresignedFile(file, account1.address, [client.collect(proposal, [await client.sign(proposal, account1)])]);
+
+      const [signer] = await loadSigners(`presigned:${file}`);
+      expect(signer).to.be.instanceOf(PresignedSigner);
+      expect(await signer.getAddress()).to.equal(account1.address);
+
+      const signed = client.collect(proposal, [
+        await client.sign(proposal, signer),
+        await client.sign(proposal, account2)
+      ]);
+      await client.execute(signed);
+      expect(await multiSig.nonce()).to.equal(1n);
+
+      const next = await payment();
+      await expect(client.sign(next, signer)).to.be.rejectedWith(`No pre-signed signature from ${account1.address} for ${next.hash}`);
+      await expect(client.sign(next, signer, { typed: true })).to.be.rejectedWith("sign without --typed");
+      expect(() => writePresignedFile(file, account2.address, [proposal]))
+        .to.throw(`Proposal ${proposal.hash} carries no signature from ${account2.address}`);
+    });
+  });
+
+  it("resolves configured accounts and rejects unknown backends", async function () {
+    const [signer] = await loadSigners(" account:1 ,", { accounts: [owner, account1] });
+    expect(signer).to.equal(account1);
+
+    await expect(loadSigner("account:5", { accounts: [owner] })).to.be.rejectedWith("No configured account at index 5");
+    await expect(loadSigner("ledger:0")).to.be.rejectedWith('Unknown signer backend "ledger"');
+  });
+});
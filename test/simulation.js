@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  BatchBuilder,
+  MultiSigClient,
+  computeProposalHash,
+  getDomainSeparator,
+  simulateProposal
+} = require("../lib");
+
+describe("Proposal simulation", function () {
+  let multiSig;
+  let mockERC20;
+  let client;
+  let walletAddress;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+    walletAddress = await multiSig.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockERC20 = await MockERC20.deploy("Mock Token", "MTK", ethers.parseEther("1000"));
+    await mockERC20.waitForDeployment();
+    await mockERC20.transfer(walletAddress, ethers.parseEther("100"));
+    await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("5") });
+
+    client = new MultiSigClient(walletAddress, owner);
+  });
+
+  function deltaOf(result, account, token = null) {
+    return result.balances.find((entry) => entry.account === account && entry.token === token).delta;
+  }
+
+  it("reports balance deltas, gas and events without changing the chain", async function () {
+    const token = await mockERC20.getAddress();
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, ethers.parseEther("1"))
+      .addTokenTransfer(token, account3.address, ethers.parseEther("10"))
+      .build();
+    const proposal = await client.proposeBatch(calls);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const result = await simulateProposal(ethers.provider, proposal);
+
+    expect(result.success).to.be.true;
+    expect(result.revertReason).to.be.null;
+    expect(result.gasUsed > 0n).to.be.true;
+    expect(deltaOf(result, walletAddress)).to.equal(-ethers.parseEther("1"));
+    expect(deltaOf(result, account3.address)).to.equal(ethers.parseEther("1"));
+    // The token is a call target, so its balances are reported without being listed
+    expect(deltaOf(result, walletAddress, token)).to.equal(-ethers.parseEther("10"));
+    expect(deltaOf(result, account3.address, token)).to.equal(ethers.parseEther("10"));
+
+    expect(result.events.map((event) => event.name)).to.deep.equal([
+      "TransactionApproved",
+      "TransactionExecuted",
+      "Transfer",
+      "TransactionExecuted",
+      "BatchExecuted"
+    ]);
+    expect(result.events[2].args).to.deep.equal({ from: walletAddress, to: account3.address, value: ethers.parseEther("10") });
+
+    // Everything was rolled back
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await multiSig.getSigners()).to.deep.equal([owner.address, account1.address, account2.address]);
+    expect(await multiSig.nonce()).to.equal(0n);
+    expect(await ethers.provider.getBalance(walletAddress)).to.equal(ethers.parseEther("5"));
+  });
+
+  it("reports the revert reason of a failing call", async function () {
+    const data = mockERC20.interface.encodeFunctionData("transfer", [account3.address, ethers.parseEther("500")]);
+    const proposal = await client.proposeTransaction({ target: await mockERC20.getAddress(), data });
+
+    const result = await simulateProposal(ethers.provider, proposal);
+
+    expect(result.success).to.be.false;
+    expect(result.revertReason).to.equal("Insufficient balance");
+    expect(result.gasUsed).to.be.null;
+    expect(result.events).to.deep.equal([]);
+  });
+
+  it("runs signer updates without the signers' keys", async function () {
+    const proposal = await client.proposeUpdateSigners([account1.address, account3.address], 1);
+
+    const result = await simulateProposal(ethers.provider, proposal);
+
+    expect(result.success).to.be.true;
+    const update = result.events.find((event) => event.name === "SignersUpdated");
+    expect(update.args.newSigners).to.deep.equal([account1.address, account3.address]);
+    expect(await multiSig.getSigners()).to.deep.equal([owner.address, account1.address, account2.address]);
+  });
+
+  it("runs changes to the existing signers against the real signer set", async function () {
+    const proposal = await client.proposeRemoveSigner(account2.address, 2);
+
+    const result = await simulateProposal(ethers.provider, proposal);
+
+    expect(result.success).to.be.true;
+    expect(result.events.find((event) => event.name === "SignerRemoved").args.signer).to.equal(account2.address);
+    expect(await multiSig.getSigners()).to.deep.equal([owner.address, account1.address, account2.address]);
+
+    // Removing a signer below the threshold still fails as it would for real
+    const tooMany = await client.proposeRemoveSigner(account2.address, 3);
+    expect(await simulateProposal(ethers.provider, tooMany)).to.include({ success: false, revertReason: "Invalid threshold" });
+  });
+
+  it("signs with as many keys as the threshold, so gas matches a real execution", async function () {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("1") });
+
+    const { gasUsed } = await simulateProposal(ethers.provider, proposal);
+
+    const signed = client.collect(proposal, [await client.sign(proposal, owner), await client.sign(proposal, account1)]);
+    const receipt = await (await client.execute(signed)).wait();
+    expect(gasUsed).to.be.closeTo(receipt.gasUsed, 1000n);
+  });
+
+  it("simulates a wallet deployed on another chain, whose signatures are bound to that chain", async function () {
+    // Stand in for a fork of chain 1: the wallet's immutable domain separator names chain 1
+    const { chainId } = await ethers.provider.getNetwork();
+    const code = await ethers.provider.getCode(walletAddress);
+    const local = getDomainSeparator(chainId, walletAddress).slice(2);
+    const mainnet = getDomainSeparator(1n, walletAddress).slice(2);
+    await ethers.provider.send("hardhat_setCode", [walletAddress, code.split(local).join(mainnet)]);
+
+    const unsigned = await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("1") });
+    const proposal = { ...unsigned, chainId: 1n };
+    proposal.hash = computeProposalHash(proposal);
+
+    const result = await simulateProposal(ethers.provider, proposal);
+
+    expect(result.success).to.be.true;
+    expect(deltaOf(result, account3.address)).to.equal(ethers.parseEther("1"));
+  });
+
+  it("queues timelocked proposals and executes them after the delay", async function () {
+    const setTimelock = await client.proposeSetTimelock(3600, ethers.parseEther("1"));
+    await client.execute(client.collect(setTimelock, [
+      await client.sign(setTimelock, owner),
+      await client.sign(setTimelock, account1)
+    ]));
+    const now = await time.latest();
+
+    const proposal = await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("2") });
+    const result = await simulateProposal(ethers.provider, proposal);
+
+    expect(result).to.include({ success: true, queued: true });
+    expect(deltaOf(result, account3.address)).to.equal(ethers.parseEther("2"));
+    expect(result.events.map((event) => event.name)).to.include.members(["TransactionQueued", "QueuedTransactionExecuted"]);
+    expect(await time.latest()).to.equal(now);
+
+    // Gas covers the queueing transaction, which checks the signatures, and the execution
+    const signed = client.collect(proposal, [await client.sign(proposal, owner), await client.sign(proposal, account1)]);
+    const queueReceipt = await (await client.queue(signed)).wait();
+    await time.increase(3600);
+    const executeReceipt = await (await client.executeQueued(proposal.hash)).wait();
+    expect(result.queueGasUsed).to.be.closeTo(queueReceipt.gasUsed, 1000n);
+    expect(result.gasUsed).to.be.closeTo(queueReceipt.gasUsed + executeReceipt.gasUsed, 1000n);
+
+    const relayed = await client.proposeTransaction({
+      target: account3.address,
+      value: ethers.parseEther("2"),
+      refund: { gasPrice: 1n }
+    });
+    await expect(simulateProposal(ethers.provider, relayed))
+      .to.be.rejectedWith("Proposal needs the timelock, but relayed proposals cannot be queued");
+  });
+
+  it("rejects proposals for another nonce and message proposals", async function () {
+    const later = await client.proposeTransaction({ target: account3.address, value: 1n, nonce: 3 });
+    await expect(simulateProposal(ethers.provider, later))
+      .to.be.rejectedWith("Proposal nonce 3 does not match wallet nonce 0");
+
+    await expect(simulateProposal(ethers.provider, await client.proposeMessage(ethers.id("order"))))
+      .to.be.rejectedWith("Message proposals are submitted as contract signatures, not executed");
+  });
+});
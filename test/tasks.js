@@ -0,0 +1,503 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers } = hre;
+const { Coordinator, MockRemoteSigner, Relayer } = require("../lib");
+
+describe("Hardhat tasks", function () {
+  let owner, account1, account2, account3;
+  let wallet;
+  let log;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    // Tasks print JSON; keep the test output readable
+    log = console.log;
+    console.log = () => {};
+
+    const deployed = await hre.run("multisig:deploy", {
+      signers: [owner.address, account1.address, account2.address].join(","),
+      threshold: 2
+    });
+    wallet = deployed.address;
+
+    await owner.sendTransaction({ to: wallet, value: ethers.parseEther("5") });
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  it("multisig:deploy and multisig:info report the wallet state", async function () {
+    const info = await hre.run("multisig:info", { wallet });
+
+    expect(info.signers).to.deep.equal([owner.address, account1.address, account2.address]);
+    expect(info.threshold).to.equal(2n);
+    expect(info.nonce).to.equal(0n);
+    expect(info.balance).to.equal(ethers.parseEther("5"));
+  });
+
+  it("multisig:propose prints the contract's transaction hash", async function () {
+    const proposal = await hre.run("multisig:propose", {
+      wallet,
+      target: account3.address,
+      value: "0.1"
+    });
+
+    const multiSig = await ethers.getContractAt("MultiSigWallet", wallet);
+    expect(proposal.value).to.equal(ethers.parseEther("0.1"));
+    expect(proposal.hash).to.equal(
+      await multiSig.getTransactionHash(account3.address, ethers.parseEther("0.1"), "0x", 0)
+    );
+  });
+
+  it("multisig:sign prints what the signer approves", async function () {
+    const printed = [];
+    console.log = (line) => printed.push(line);
+
+    await hre.run("multisig:sign", {
+      wallet,
+      target: account3.address,
+      value: "0.1",
+      accounts: "1"
+    });
+
+    expect(printed[0]).to.include(`Call 1 of 1: ${account3.address}`);
+    expect(printed[0]).to.include("Value: 0.1 ETH");
+  });
+
+  it("multisig:execute submits signatures gathered with multisig:sign", async function () {
+    const signed = await hre.run("multisig:sign", {
+      wallet,
+      target: account3.address,
+      value: "0.1",
+      accounts: "1"
+    });
+
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    const result = await hre.run("multisig:execute", {
+      wallet,
+      target: account3.address,
+      value: "0.1",
+      accounts: "2",
+      signatures: signed.signatures[0].signature
+    });
+
+    expect(result.signers).to.deep.equal([account2.address, account1.address]);
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("0.1"));
+  });
+
+  it("multisig:update-signers replaces the signer set", async function () {
+    await hre.run("multisig:update-signers", {
+      wallet,
+      signers: [account1.address, account3.address].join(","),
+      threshold: 1,
+      accounts: "0,1"
+    });
+
+    const info = await hre.run("multisig:info", { wallet });
+    expect(info.signers).to.deep.equal([account1.address, account3.address]);
+    expect(info.threshold).to.equal(1n);
+  });
+
+  it("multisig:history writes JSON and CSV exports", async function () {
+    await hre.run("multisig:execute", {
+      wallet,
+      target: account3.address,
+      value: "0.1",
+      accounts: "0,1"
+    });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "multisig-history-"));
+    const json = path.join(dir, "history.json");
+    const csv = path.join(dir, "history.csv");
+    const history = await hre.run("multisig:history", { wallet, json, csv });
+
+    expect(history.entries.map((entry) => entry.type)).to.deep.equal(["deposit", "transaction"]);
+    expect(JSON.parse(fs.readFileSync(json, "utf8")).entries).to.have.length(2);
+    expect(fs.readFileSync(csv, "utf8").trim().split("\n")).to.have.length(3);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Proposal files", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "multisig-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("simulates an unsigned proposal file before the signature round", async function () {
+      const file = path.join(dir, "proposal.json");
+      await hre.run("multisig:proposal:create", {
+        wallet,
+        target: account3.address,
+        value: "0.25",
+        out: file
+      });
+
+      const result = await hre.run("multisig:proposal:simulate", { file });
+      expect(result.success).to.be.true;
+      expect(result.balances.find((entry) => entry.account === account3.address).delta)
+        .to.equal(ethers.parseEther("0.25"));
+      expect((await hre.run("multisig:info", { wallet })).nonce).to.equal(0n);
+    });
+
+    it("multisig:transfer-token and multisig:transfer-nft write token transfer proposals", async function () {
+      const multiSig = await ethers.getContractAt("MultiSigWallet", wallet);
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Mock Token", "MTK", ethers.parseEther("10"));
+      const nft = await (await ethers.getContractFactory("MockERC721")).deploy("Mock NFT", "MNFT");
+      await token.transfer(wallet, ethers.parseEther("10"));
+      await nft.mint(wallet, 4);
+
+      const tokenFile = path.join(dir, "token.json");
+      const tokenProposal = await hre.run("multisig:transfer-token", {
+        wallet,
+        token: await token.getAddress(),
+        to: account3.address,
+        amount: "2.5",
+        out: tokenFile
+      });
+      expect(tokenProposal.data).to.equal(
+        token.interface.encodeFunctionData("transfer", [account3.address, ethers.parseEther("2.5")])
+      );
+
+      const nftFile = path.join(dir, "nft.json");
+      await hre.run("multisig:transfer-nft", {
+        wallet,
+        token: await nft.getAddress(),
+        to: account3.address,
+        tokenId: "4",
+        nonce: "1",
+        out: nftFile
+      });
+
+      for (const file of [tokenFile, nftFile]) {
+        await hre.run("multisig:proposal:sign", { file, accounts: "0,1" });
+        await hre.run("multisig:proposal:submit", { file });
+      }
+      expect(await multiSig.nonce()).to.equal(2n);
+
+      const holdings = await hre.run("multisig:holdings", { wallet });
+      expect(holdings.erc20[0].balance).to.equal(ethers.parseEther("7.5"));
+      expect(holdings.erc721).to.deep.equal([]);
+      expect(await nft.ownerOf(4)).to.equal(account3.address);
+    });
+
+    it("multisig:proposal:create-signer-change writes the minimal change", async function () {
+      const file = path.join(dir, "change.json");
+      const result = await hre.run("multisig:proposal:create-signer-change", {
+        wallet,
+        add: account3.address,
+        remove: account1.address,
+        out: file
+      });
+
+      expect(result.diff.added).to.deep.equal([account3.address]);
+      expect(result.diff.removed).to.deep.equal([account1.address]);
+      expect(result.steps).to.deep.equal([{ name: "swapSigner", args: [account1.address, account3.address] }]);
+
+      await hre.run("multisig:proposal:sign", { file, accounts: "0,2" });
+      await hre.run("multisig:proposal:submit", { file });
+      const info = await hre.run("multisig:info", { wallet });
+      expect(info.signers).to.deep.equal([owner.address, account2.address, account3.address]);
+    });
+
+    it("multisig:allowance:set, status and spend manage allowances", async function () {
+      const file = path.join(dir, "allowance.json");
+      await hre.run("multisig:allowance:set", {
+        wallet,
+        delegate: account3.address,
+        amount: "0.5",
+        period: 3600,
+        out: file
+      });
+      await hre.run("multisig:proposal:sign", { file, accounts: "0,1" });
+      await hre.run("multisig:proposal:submit", { file });
+
+      const paid = await hre.run("multisig:allowance:spend", {
+        wallet,
+        to: account2.address,
+        amount: "0.2",
+        accounts: "3"
+      });
+      expect(paid.remaining).to.equal(ethers.parseEther("0.3"));
+
+      const [status] = await hre.run("multisig:allowance:status", { wallet });
+      expect(status).to.include({ delegate: account3.address, spent: ethers.parseEther("0.2"), period: 3600n });
+    });
+
+    it("multisig:policy:set, list and proposal:threshold report policy thresholds", async function () {
+      const file = path.join(dir, "policy.json");
+      await hre.run("multisig:policy:set", {
+        wallet,
+        target: account3.address,
+        selector: "transfer(address,uint256)",
+        threshold: 1,
+        out: file
+      });
+      await hre.run("multisig:proposal:sign", { file, accounts: "0,1" });
+      await hre.run("multisig:proposal:submit", { file });
+
+      const [policy] = await hre.run("multisig:policy:list", { wallet });
+      expect(policy).to.include({ target: account3.address, selector: "0xa9059cbb", threshold: 1n, denied: false });
+
+      const payment = path.join(dir, "payment.json");
+      await hre.run("multisig:proposal:create", {
+        wallet,
+        target: account3.address,
+        data: new ethers.Interface(["function transfer(address,uint256)"]).encodeFunctionData("transfer", [owner.address, 1n]),
+        out: payment
+      });
+      const requirement = await hre.run("multisig:proposal:threshold", { file: payment });
+      expect(requirement).to.include({ required: 1n, denied: false });
+    });
+
+    it("multisig:module:enable, list and disable manage modules", async function () {
+      const mockModule = await (await ethers.getContractFactory("MockModule")).deploy(wallet, account3.address);
+      const module = await mockModule.getAddress();
+      await expect(hre.run("multisig:module:enable", { wallet, module: account3.address, out: path.join(dir, "eoa.json") }))
+        .to.be.rejectedWith(`No contract deployed at ${account3.address}`);
+
+      const enable = path.join(dir, "enable.json");
+      await hre.run("multisig:module:enable", { wallet, module, out: enable });
+      await hre.run("multisig:proposal:sign", { file: enable, accounts: "0,1" });
+      await hre.run("multisig:proposal:submit", { file: enable });
+      expect(await hre.run("multisig:module:list", { wallet })).to.deep.equal([module]);
+
+      const disable = path.join(dir, "disable.json");
+      await hre.run("multisig:module:disable", { wallet, module, out: disable });
+      await hre.run("multisig:proposal:sign", { file: disable, accounts: "0,1" });
+      await hre.run("multisig:proposal:submit", { file: disable });
+      expect(await hre.run("multisig:module:list", { wallet })).to.deep.equal([]);
+      await expect(hre.run("multisig:module:disable", { wallet, module, out: disable }))
+        .to.be.rejectedWith(`${module} is not an enabled module`);
+    });
+
+    it("multisig:recovery tasks deploy guardians, veto one recovery and execute another", async function () {
+      const [, , , , guardian1, guardian2] = await ethers.getSigners();
+      const deployed = await hre.run("multisig:recovery:deploy", {
+        wallet,
+        guardians: [guardian1.address, guardian2.address].join(","),
+        threshold: 2,
+        delay: 86400
+      });
+      expect(deployed).to.include({ wallet, threshold: 2n, delay: 86400n });
+
+      const enable = path.join(dir, "enable.json");
+      await hre.run("multisig:module:enable", { wallet, module: deployed.address, out: enable });
+      await hre.run("multisig:proposal:sign", { file: enable, accounts: "0,1" });
+      await hre.run("multisig:proposal:submit", { file: enable });
+
+      const module = deployed.address;
+      const proposed = await hre.run("multisig:recovery:propose", { module, signers: account3.address, threshold: 1, accounts: "4" });
+      expect(proposed).to.include({ id: 0n, state: "approving" });
+      await hre.run("multisig:recovery:approve", { module, id: "0", accounts: "5" });
+      const vetoed = await hre.run("multisig:recovery:veto", { module, id: "0", accounts: "2" });
+      expect(vetoed.state).to.equal("vetoed");
+
+      await hre.run("multisig:recovery:propose", { module, signers: account3.address, threshold: 1, accounts: "4" });
+      await hre.run("multisig:recovery:approve", { module, id: "1", accounts: "5" });
+      await expect(hre.run("multisig:recovery:execute", { module, id: "1" })).to.be.rejectedWith("Recovery 1 is scheduled, not ready");
+
+      const status = await hre.run("multisig:recovery:status", { module });
+      await time.increaseTo(status.open.eta);
+      const executed = await hre.run("multisig:recovery:execute", { module, id: "1" });
+      expect(executed.state).to.equal("executed");
+      expect((await hre.run("multisig:info", { wallet })).signers).to.deep.equal([account3.address]);
+    });
+
+    it("multisig:proposal:relay hands a proposal with refund terms to a relayer", async function () {
+      const file = path.join(dir, "relayed.json");
+      const proposal = await hre.run("multisig:proposal:create", {
+        wallet,
+        target: account3.address,
+        value: "0.5",
+        refundGasPrice: "100",
+        refundBaseGas: 40000,
+        out: file
+      });
+      expect(proposal.refund).to.deep.equal({
+        gasPrice: ethers.parseUnits("100", "gwei"),
+        baseGas: 40000n,
+        receiver: ethers.ZeroAddress
+      });
+      await hre.run("multisig:proposal:sign", { file, accounts: "0,1" });
+
+      const relayer = new Relayer(account3);
+      const server = await relayer.listen(0);
+      try {
+        const record = await hre.run("multisig:proposal:relay", {
+          file,
+          url: `http://127.0.0.1:${server.address().port}`,
+          wait: true
+        });
+        expect(record.status).to.equal("mined");
+        expect(BigInt(record.refundPaid) > 0n).to.be.true;
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("multisig:coordinator tasks propose, list and sign through a coordinator", async function () {
+      const coordinator = new Coordinator(ethers.provider);
+      const server = await coordinator.listen(0);
+      const url = `http://127.0.0.1:${server.address().port}`;
+      try {
+        const { proposal } = await hre.run("multisig:coordinator:propose", {
+          url,
+          wallet,
+          target: account3.address,
+          value: "0.1",
+          accounts: "0"
+        });
+
+        const pending = await hre.run("multisig:coordinator:pending", { url, wallet, outDir: dir });
+        expect(pending.map((entry) => entry.proposal.hash)).to.deep.equal([proposal.hash]);
+        expect(fs.existsSync(path.join(dir, `${proposal.hash}.json`))).to.be.true;
+
+        const { status } = await hre.run("multisig:coordinator:sign", { url, hash: proposal.hash, accounts: "2" });
+        expect(status.state).to.equal("ready");
+
+        // Fetch the collected signatures and submit them
+        await hre.run("multisig:coordinator:pending", { url, wallet, outDir: dir });
+        const result = await hre.run("multisig:proposal:submit", { file: path.join(dir, `${proposal.hash}.json`) });
+        expect(result.signers).to.deep.equal([owner.address, account2.address]);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("collects signatures from separate files and submits the merged proposal", async function () {
+      const file = path.join(dir, "proposal.json");
+      await hre.run("multisig:proposal:create", {
+        wallet,
+        target: account3.address,
+        value: "0.25",
+        out: file
+      });
+
+      // Each signer works on their own copy
+      const ownerCopy = path.join(dir, "owner.json");
+      const account2Copy = path.join(dir, "account2.json");
+      await hre.run("multisig:proposal:sign", { file, out: ownerCopy, accounts: "0" });
+      await hre.run("multisig:proposal:sign", { file, out: account2Copy, accounts: "2" });
+
+      const merged = path.join(dir, "merged.json");
+      await hre.run("multisig:proposal:merge", { files: [ownerCopy, account2Copy].join(","), out: merged });
+
+      const validation = await hre.run("multisig:proposal:validate", { file: merged });
+      expect(validation.ready).to.be.true;
+      expect(validation.validCount).to.equal(2);
+
+      const initialBalance = await ethers.provider.getBalance(account3.address);
+      const result = await hre.run("multisig:proposal:submit", { file: merged });
+
+      expect(result.signers).to.deep.equal([owner.address, account2.address]);
+      expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("0.25"));
+    });
+
+    it("signs through remote and pre-signed signer backends", async function () {
+      const file = path.join(dir, "proposal.json");
+      await hre.run("multisig:proposal:create", { wallet, target: account3.address, value: "0.25", out: file });
+
+      // The owner signed on another machine and exported their signature
+      const ownerCopy = path.join(dir, "owner.json");
+      const presigned = path.join(dir, "owner-signatures.json");
+      await hre.run("multisig:proposal:sign", { file, out: ownerCopy, accounts: "0" });
+      await hre.run("multisig:proposal:export-signatures", { files: ownerCopy, signer: owner.address, out: presigned });
+
+      const server = await new MockRemoteSigner([account1]).listen(0);
+      try {
+        const signed = await hre.run("multisig:proposal:sign", {
+          file,
+          backends: `presigned:${presigned},remote:http://127.0.0.1:${server.address().port}`
+        });
+        expect(signed.signatures.map((entry) => entry.signer)).to.deep.equal([owner.address, account1.address]);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+
+      const result = await hre.run("multisig:proposal:submit", { file });
+      expect(result.signers).to.deep.equal([owner.address, account1.address]);
+    });
+
+    it("refuses to submit a proposal below threshold", async function () {
+      const file = path.join(dir, "proposal.json");
+      await hre.run("multisig:proposal:create", { wallet, target: account3.address, out: file });
+      await hre.run("multisig:proposal:sign", { file, accounts: "1" });
+
+      await expect(hre.run("multisig:proposal:submit", { file })).to.be.rejectedWith(
+        "Only 1 of 2 required signatures are valid"
+      );
+    });
+
+    it("executes an on-chain proposal with a confirmation and an exported signature", async function () {
+      const submitted = await hre.run("multisig:onchain:submit", { wallet, target: account3.address, value: "0.5" });
+      const id = submitted.proposalId.toString();
+      expect(submitted.confirmations).to.deep.equal([owner.address]);
+
+      const confirmed = await hre.run("multisig:onchain:confirm", { wallet, id, accounts: "1" });
+      expect(confirmed.confirmations).to.deep.equal([owner.address, account1.address]);
+      await hre.run("multisig:onchain:revoke", { wallet, id, accounts: "1" });
+
+      // account2 signs off-chain instead of confirming
+      const file = path.join(dir, "onchain.json");
+      await hre.run("multisig:onchain:export", { wallet, id, out: file });
+      await hre.run("multisig:proposal:sign", { file, accounts: "2" });
+
+      const initialBalance = await ethers.provider.getBalance(account3.address);
+      const result = await hre.run("multisig:onchain:execute", { wallet, id, file });
+
+      expect(result.executed).to.be.true;
+      expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("cancels a stuck proposal and re-targets the files queued behind it", async function () {
+      const stuck = path.join(dir, "stuck.json");
+      const later = path.join(dir, "later.json");
+      await hre.run("multisig:proposal:create", { wallet, target: account3.address, value: "0.1", out: stuck });
+      await hre.run("multisig:proposal:create", { wallet, target: account3.address, value: "0.2", nonce: "1", out: later });
+      await hre.run("multisig:proposal:sign", { file: stuck, accounts: "0" });
+
+      const cancel = path.join(dir, "cancel.json");
+      await hre.run("multisig:proposal:create-cancel", { wallet, out: cancel });
+      await hre.run("multisig:proposal:sign", { file: cancel, accounts: "1,2" });
+      await hre.run("multisig:proposal:submit", { file: cancel });
+
+      const refreshed = await hre.run("multisig:proposal:refresh", { files: [stuck, later].join(",") });
+
+      expect(refreshed.map((entry) => entry.stale)).to.deep.equal([true, false]);
+      expect(refreshed[0].nonce).to.equal(2n);
+      expect(fs.existsSync(`${stuck}.stale`)).to.be.true;
+
+      const rewritten = JSON.parse(fs.readFileSync(stuck, "utf8"));
+      expect(rewritten.nonce).to.equal("2");
+      expect(rewritten.signatures).to.deep.equal([]);
+    });
+
+    it("queues a large proposal file behind the timelock and executes it after the delay", async function () {
+      await hre.run("multisig:timelock:set", { wallet, delay: 3600, valueThreshold: "1", accounts: "0,1" });
+
+      const file = path.join(dir, "large.json");
+      await hre.run("multisig:proposal:create", { wallet, target: account3.address, value: "2", out: file });
+      await hre.run("multisig:proposal:sign", { file, accounts: "0,2" });
+
+      await expect(hre.run("multisig:proposal:submit", { file })).to.be.rejectedWith("use multisig:proposal:queue");
+
+      const queued = await hre.run("multisig:proposal:queue", { file });
+      expect(queued.status).to.equal("pending");
+
+      await time.increase(3600);
+      const result = await hre.run("multisig:timelock:execute", { wallet, hash: queued.hash });
+      expect(result.status).to.equal("executed");
+    });
+  });
+});
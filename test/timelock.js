@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { BatchBuilder, MultiSigClient } = require("../lib");
+
+describe("Timelock", function () {
+  const DELAY = 24 * 60 * 60;
+  const VALUE_THRESHOLD = ethers.parseEther("1");
+
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3, nonSigner;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3, nonSigner] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("10") });
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+
+    // No delay is set yet, so the timelock itself is configured with an immediate transaction
+    const setup = await signed(await client.proposeSetTimelock(DELAY, VALUE_THRESHOLD));
+    await expect(client.execute(setup))
+      .to.emit(multiSig, "TimelockUpdated")
+      .withArgs(DELAY, VALUE_THRESHOLD);
+  });
+
+  async function signed(proposal) {
+    return client.collect(proposal, [await client.sign(proposal, owner), await client.sign(proposal, account1)]);
+  }
+
+  async function queueTransfer(value) {
+    const proposal = await signed(await client.proposeTransaction({ target: account3.address, value }));
+    const tx = await client.queue(proposal);
+    const eta = BigInt(await time.latest()) + BigInt(DELAY);
+    await expect(tx)
+      .to.emit(multiSig, "TransactionQueued")
+      .withArgs(proposal.hash, account3.address, value, "0x", proposal.nonce, eta);
+    return { proposal, eta };
+  }
+
+  it("executes transactions up to the value threshold immediately", async function () {
+    const proposal = await signed(await client.proposeTransaction({ target: account3.address, value: VALUE_THRESHOLD }));
+
+    expect(await client.requiresTimelock(proposal)).to.be.false;
+    await expect(client.execute(proposal)).to.emit(multiSig, "TransactionExecuted");
+  });
+
+  it("requires large transfers to be queued", async function () {
+    const proposal = await signed(await client.proposeTransaction({ target: account3.address, value: VALUE_THRESHOLD + 1n }));
+
+    expect(await client.requiresTimelock(proposal)).to.be.true;
+    expect(await multiSig.requiresTimelock(account3.address, VALUE_THRESHOLD + 1n)).to.be.true;
+    await expect(client.execute(proposal)).to.be.revertedWith("Transaction must be queued");
+  });
+
+  it("executes a queued transaction exactly at its ETA", async function () {
+    const amount = ethers.parseEther("2");
+    const { proposal, eta } = await queueTransfer(amount);
+
+    expect(await client.getNonce()).to.equal(proposal.nonce + 1n);
+    expect((await client.getQueued(proposal.hash)).status).to.equal("pending");
+
+    await time.setNextBlockTimestamp(eta - 1n);
+    await expect(multiSig.executeQueued(proposal.hash)).to.be.revertedWith("Timelock not expired");
+
+    await time.setNextBlockTimestamp(eta);
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    await expect(client.executeQueued(proposal.hash, nonSigner))
+      .to.emit(multiSig, "QueuedTransactionExecuted")
+      .withArgs(proposal.hash)
+      .and.to.emit(multiSig, "TransactionExecuted")
+      .withArgs(account3.address, amount, "0x", proposal.nonce);
+
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(amount);
+    expect((await client.getQueued(proposal.hash)).status).to.equal("executed");
+    await expect(multiSig.executeQueued(proposal.hash)).to.be.revertedWith("Transaction already executed");
+  });
+
+  it("reports a queued transaction as ready once the delay has passed", async function () {
+    const { proposal } = await queueTransfer(ethers.parseEther("2"));
+
+    await time.increase(DELAY);
+
+    expect((await client.getQueued(proposal.hash)).status).to.equal("ready");
+  });
+
+  it("lets any single signer cancel during the delay", async function () {
+    const { proposal } = await queueTransfer(ethers.parseEther("2"));
+
+    await expect(multiSig.connect(nonSigner).cancelQueued(proposal.hash)).to.be.revertedWith("Not a signer");
+    await expect(client.cancelQueued(proposal.hash, account2))
+      .to.emit(multiSig, "TransactionCancelled")
+      .withArgs(proposal.hash, account2.address);
+
+    await time.increase(DELAY);
+
+    expect((await client.getQueued(proposal.hash)).status).to.equal("cancelled");
+    await expect(multiSig.executeQueued(proposal.hash)).to.be.revertedWith("Transaction cancelled");
+    await expect(multiSig.cancelQueued(proposal.hash)).to.be.revertedWith("Transaction cancelled");
+  });
+
+  it("rejects unknown queue ids", async function () {
+    await expect(multiSig.executeQueued(ethers.ZeroHash)).to.be.revertedWith("Transaction not queued");
+    await expect(multiSig.cancelQueued(ethers.ZeroHash)).to.be.revertedWith("Transaction not queued");
+  });
+
+  it("consumes the nonce when queueing, so the signatures cannot be replayed", async function () {
+    const proposal = await signed(await client.proposeTransaction({ target: account3.address, value: ethers.parseEther("2") }));
+    await client.queue(proposal);
+
+    await expect(client.queue(proposal)).to.be.revertedWith("Invalid signer");
+  });
+
+  it("queues signer updates, which can no longer be applied directly", async function () {
+    const newSigners = [account1.address, account2.address, account3.address];
+    const proposal = await signed(await client.proposeUpdateSigners(newSigners, 2));
+
+    expect(await client.requiresTimelock(proposal)).to.be.true;
+    await expect(client.execute(proposal)).to.be.revertedWith("Transaction must be queued");
+
+    await client.queue(proposal);
+    await time.increase(DELAY);
+    await expect(client.executeQueued(proposal.hash))
+      .to.emit(multiSig, "SignersUpdated")
+      .withArgs(newSigners, 2);
+
+    expect(await client.getSigners()).to.deep.equal(newSigners);
+  });
+
+  it("queues changes to the timelock itself", async function () {
+    const proposal = await signed(await client.proposeSetTimelock(0, 0));
+    await expect(client.execute(proposal)).to.be.revertedWith("Transaction must be queued");
+
+    await client.queue(proposal);
+    await time.increase(DELAY);
+    await client.executeQueued(proposal.hash);
+
+    expect((await client.getTimelock()).delay).to.equal(0n);
+  });
+
+  it("only accepts setTimelock from the wallet itself", async function () {
+    await expect(multiSig.setTimelock(0, 0)).to.be.revertedWith("Only the wallet itself");
+  });
+
+  it("rejects batches containing a call that must be queued", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, 1n)
+      .addEtherTransfer(account2.address, ethers.parseEther("2"))
+      .build();
+    const batch = await signed(await client.proposeBatch(calls));
+
+    expect(await client.requiresTimelock(batch)).to.be.true;
+    await expect(client.execute(batch)).to.be.revertedWith("Transaction must be queued");
+  });
+
+  it("queues large on-chain proposals", async function () {
+    const amount = ethers.parseEther("3");
+    const proposalId = await client.submitProposal(await client.proposeTransaction({ target: account3.address, value: amount }));
+    await client.confirmProposal(proposalId, account1);
+
+    await expect(multiSig.executeProposal(proposalId, [])).to.be.revertedWith("Transaction must be queued");
+
+    const offchain = await client.proposeFromChain(proposalId);
+    await expect(client.queueProposal(proposalId)).to.emit(multiSig, "TransactionQueued");
+    expect((await client.getProposal(proposalId)).executed).to.be.true;
+
+    await time.increase(DELAY);
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    await client.executeQueued(offchain.hash);
+
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(amount);
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  BatchBuilder,
+  MultiSigClient,
+  getTypedDataPayload,
+  toTypedSignature
+} = require("../lib");
+
+describe("Typed-data signatures", function () {
+  let multiSig;
+  let client;
+  let owner, account1, account2, account3;
+
+  beforeEach(async function () {
+    [owner, account1, account2, account3] = await ethers.getSigners();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, account1.address, account2.address], 2);
+    await multiSig.waitForDeployment();
+
+    await owner.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("5") });
+
+    client = new MultiSigClient(await multiSig.getAddress(), owner);
+  });
+
+  // Replaces the last byte (v) of a signature
+  function withV(signature, v) {
+    return ethers.concat([ethers.dataSlice(signature, 0, 64), ethers.toBeHex(v, 1)]);
+  }
+
+  it("executes a transaction signed with signTypedData", async function () {
+    const amount = ethers.parseEther("1");
+    let proposal = await client.proposeTransaction({ target: account3.address, value: amount });
+    proposal = client.collect(proposal, [
+      await client.sign(proposal, owner, { typed: true }),
+      await client.sign(proposal, account1, { typed: true })
+    ]);
+
+    const initialBalance = await ethers.provider.getBalance(account3.address);
+    await client.execute(proposal);
+
+    expect(await ethers.provider.getBalance(account3.address) - initialBalance).to.equal(amount);
+  });
+
+  it("accepts a mix of eth_sign and typed-data signatures", async function () {
+    let proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+    proposal = client.collect(proposal, [
+      await client.sign(proposal, owner),
+      await client.sign(proposal, account2, { typed: true })
+    ]);
+
+    await expect(client.execute(proposal)).to.emit(multiSig, "TransactionExecuted");
+  });
+
+  it("accepts typed-data signatures for batches and signer updates", async function () {
+    const calls = new BatchBuilder()
+      .addEtherTransfer(account3.address, 1n)
+      .addEtherTransfer(account2.address, 2n)
+      .build();
+    let batch = await client.proposeBatch(calls);
+    batch = client.collect(batch, [
+      await client.sign(batch, owner, { typed: true }),
+      await client.sign(batch, account1, { typed: true })
+    ]);
+    await expect(client.execute(batch)).to.emit(multiSig, "BatchExecuted");
+
+    let update = await client.proposeUpdateSigners([account1.address, account3.address], 1);
+    update = client.collect(update, [
+      await client.sign(update, account1, { typed: true }),
+      await client.sign(update, account2, { typed: true })
+    ]);
+    await client.execute(update);
+
+    expect(await multiSig.getSigners()).to.deep.equal([account1.address, account3.address]);
+  });
+
+  it("accepts the eth_signTypedData_v4 payload signed over JSON-RPC", async function () {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+    const payload = getTypedDataPayload(proposal);
+
+    expect(payload.primaryType).to.equal("Transaction");
+    expect(payload.message).to.deep.equal({
+      target: account3.address,
+      value: "1",
+      data: "0x",
+      nonce: "0"
+    });
+
+    const signatures = [];
+    for (const signer of [owner, account1]) {
+      const raw = await ethers.provider.send("eth_signTypedData_v4", [signer.address, JSON.stringify(payload)]);
+      signatures.push(toTypedSignature(raw));
+    }
+
+    await expect(
+      multiSig.executeTransaction(proposal.target, proposal.value, proposal.data, signatures)
+    ).to.emit(multiSig, "TransactionExecuted");
+  });
+
+  it("does not treat one signature kind as the other", async function () {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+    const ethSign = (await client.sign(proposal, owner)).signature;
+    const typed = (await client.sign(proposal, owner, { typed: true })).signature;
+    const valid = (await client.sign(proposal, account1)).signature;
+
+    // A typed signature without the v offset is checked against the prefixed hash
+    const unmarked = withV(typed, ethers.getBytes(typed)[64] - 4);
+    await expect(
+      multiSig.executeTransaction(proposal.target, proposal.value, proposal.data, [unmarked, valid])
+    ).to.be.revertedWith("Invalid signer");
+
+    // An eth_sign signature with the offset is checked against the raw digest
+    const marked = withV(ethSign, ethers.getBytes(ethSign)[64] + 4);
+    await expect(
+      multiSig.executeTransaction(proposal.target, proposal.value, proposal.data, [marked, valid])
+    ).to.be.revertedWith("Invalid signer");
+  });
+
+  it("rejects v values outside both conventions", async function () {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+    const valid = (await client.sign(proposal, account1)).signature;
+    const signature = (await client.sign(proposal, owner)).signature;
+
+    for (const v of [29, 30, 33]) {
+      await expect(
+        multiSig.executeTransaction(proposal.target, proposal.value, proposal.data, [withV(signature, v), valid])
+      ).to.be.revertedWith("Invalid signature 'v' value");
+    }
+  });
+
+  it("reports the signature kind in diagnostics", async function () {
+    let proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+    proposal = client.collect(proposal, [
+      await client.sign(proposal, owner),
+      await client.sign(proposal, account1, { typed: true })
+    ]);
+
+    const report = await client.diagnose(proposal);
+
+    expect(report.expectedRevert).to.be.null;
+    expect(report.signatures.map((entry) => entry.kind)).to.deep.equal(["eth_sign", "typed"]);
+    expect(report.signatures[1].recovered).to.equal(account1.address);
+  });
+
+  it("refuses to re-mark a signature that already carries the offset", async function () {
+    const proposal = await client.proposeTransaction({ target: account3.address, value: 1n });
+    const typed = (await client.sign(proposal, owner, { typed: true })).signature;
+
+    expect(() => toTypedSignature(typed)).to.throw("Expected a 65-byte signature with v of 27 or 28");
+  });
+});